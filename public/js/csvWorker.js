@@ -0,0 +1,129 @@
+// csvWorker.js - Parses CSV files off the main thread into typed column arrays
+
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js');
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const PROGRESS_INTERVAL = 100; // ms
+
+self.onmessage = (e) => {
+    parseFile(e.data.file);
+};
+
+function parseFile(file) {
+    let columns = null;
+    let store = null;
+    let length = 0;
+    let lastProgress = 0;
+
+    Papa.parse(file, {
+        header: false,
+        skipEmptyLines: true,
+        chunkSize: CHUNK_SIZE,
+        chunk: (results) => {
+            let rows = results.data;
+
+            if (!columns) {
+                columns = uniqueNames(rows[0]);
+                rows = rows.slice(1);
+            }
+            if (rows.length === 0) return;
+
+            if (!store) {
+                // Size the arrays from the bytes per row seen in the first chunk
+                const bytesPerRow = results.meta.cursor / (rows.length + 1);
+                store = createStore(columns, rows, Math.ceil(file.size / bytesPerRow * 1.05) + 1);
+            }
+
+            if (length + rows.length > store.capacity) {
+                growStore(store, Math.max(store.capacity * 2, length + rows.length));
+            }
+
+            for (let r = 0; r < rows.length; r++) {
+                const row = rows[r];
+                for (let c = 0; c < columns.length; c++) {
+                    const column = store.arrays[c];
+                    if (store.text[c]) {
+                        column.push(row[c] === undefined ? '' : row[c]);
+                    } else {
+                        column[length] = parseNumber(row[c]);
+                    }
+                }
+                length++;
+            }
+
+            const now = Date.now();
+            if (now - lastProgress > PROGRESS_INTERVAL) {
+                lastProgress = now;
+                self.postMessage({ type: 'progress', loaded: results.meta.cursor, total: file.size });
+            }
+        },
+        complete: () => {
+            if (!columns || length === 0) {
+                self.postMessage({ type: 'error', message: 'No data found in file' });
+                return;
+            }
+
+            const data = {};
+            const transfer = [];
+            columns.forEach((name, c) => {
+                const column = store.arrays[c];
+                data[name] = store.text[c] ? column : column.slice(0, length);
+                if (!store.text[c]) transfer.push(data[name].buffer);
+            });
+
+            self.postMessage({ type: 'complete', columns, data, length }, transfer);
+        },
+        error: (error) => {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    });
+}
+
+// A column is numeric when most non-empty values in the first chunk parse as
+// numbers. Numeric columns keep double precision: any of them may be picked as
+// the timestamp, and epoch seconds need more digits than a float32 holds.
+function createStore(columns, rows, capacity) {
+    const text = columns.map((name, c) => {
+        let numeric = 0;
+        let filled = 0;
+        rows.forEach(row => {
+            const value = row[c];
+            if (value === undefined || value.trim() === '') return;
+            filled++;
+            if (!isNaN(parseNumber(value))) numeric++;
+        });
+        return filled > 0 && numeric < filled / 2;
+    });
+
+    const arrays = columns.map((name, c) => (text[c] ? [] : new Float64Array(capacity)));
+
+    return { text, arrays, capacity };
+}
+
+function growStore(store, capacity) {
+    store.arrays = store.arrays.map((array, c) => {
+        if (store.text[c]) return array;
+        const grown = new array.constructor(capacity);
+        grown.set(array);
+        return grown;
+    });
+    store.capacity = capacity;
+}
+
+function parseNumber(value) {
+    if (value === undefined) return NaN;
+    const trimmed = value.trim();
+    return trimmed === '' ? NaN : Number(trimmed);
+}
+
+function uniqueNames(header) {
+    const names = [];
+    header.forEach((name, i) => {
+        const base = name.trim() || `column${i + 1}`;
+        let unique = base;
+        let n = 2;
+        while (names.includes(unique)) unique = `${base}_${n++}`;
+        names.push(unique);
+    });
+    return names;
+}
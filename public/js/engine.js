@@ -0,0 +1,71 @@
+// engine.js - Main-thread side of pipeline-worker.js: loads the channels once, then runs step lists on them
+
+import { filterModules } from './filters.js';
+
+let worker = null;
+let loadMessage = null;
+const pending = new Map();
+let nextId = 0;
+
+function startWorker() {
+    worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+        const { id, error, cancelled, ...result } = event.data;
+        const job = pending.get(id);
+        if (!job) return;
+        pending.delete(id);
+        if (error) job.reject(new Error(error));
+        else job.resolve(cancelled ? null : result);
+    };
+    // The next run starts a fresh worker and reloads the channels
+    worker.onerror = (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || 'Pipeline worker failed');
+        worker.terminate();
+        worker = null;
+        pending.forEach(job => job.reject(error));
+        pending.clear();
+    };
+    if (loadMessage) worker.postMessage(loadMessage);
+}
+
+// The { times, values, repaired } channels every run starts from, with the filter
+// modules loaded so far (load again after loading more); clears the worker's cache
+function loadChannels(channels, samplingRate) {
+    loadMessage = {
+        type: 'load',
+        channels: Object.fromEntries(Object.entries(channels).map(([name, { times, values, repaired }]) =>
+            [name, { times, values, repaired }])),
+        samplingRate,
+        modules: [...filterModules]
+    };
+    if (worker) worker.postMessage(loadMessage);
+    else startWorker();
+}
+
+// Run `steps` on the channels in `names` (all when null), or on input samples
+// [start, end) when `range` is given. Resolves to { outputs, stepErrors },
+// where stepErrors maps each per-channel step's index to its error (null when
+// it ran cleanly), or to null when a newer run of the same `group` replaced it.
+function runSteps(steps, { names = null, range = null, group = null } = {}) {
+    if (!worker) startWorker();
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'run', id, steps, names, range, group });
+    });
+}
+
+// Fit ICA with `options` on every channel after `steps`; the fit can take
+// seconds, so it runs in the worker too. Resolves to { ica, stepErrors }, or
+// to null when other channels were loaded before it finished.
+function fitAfterSteps(steps, options) {
+    if (!worker) startWorker();
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'fit', id, steps, options });
+    });
+}
+
+export { loadChannels, runSteps, fitAfterSteps };
@@ -0,0 +1,292 @@
+// expressions.js - Channel-math expressions (e.g. "ch1 - ch2", "sqrt(ax^2 + ay^2 + az^2)") for derived channels
+//
+// Expressions are parsed into a tree and evaluated sample by sample; nothing is
+// passed to eval or Function.
+
+// name: [Math function, Python (numpy) equivalent, argument count (-1: two or more)]
+const FUNCTIONS = {
+    abs: [Math.abs, 'np.abs', 1],
+    sqrt: [Math.sqrt, 'np.sqrt', 1],
+    exp: [Math.exp, 'np.exp', 1],
+    log: [Math.log, 'np.log', 1],
+    log10: [Math.log10, 'np.log10', 1],
+    log2: [Math.log2, 'np.log2', 1],
+    sin: [Math.sin, 'np.sin', 1],
+    cos: [Math.cos, 'np.cos', 1],
+    tan: [Math.tan, 'np.tan', 1],
+    asin: [Math.asin, 'np.arcsin', 1],
+    acos: [Math.acos, 'np.arccos', 1],
+    atan: [Math.atan, 'np.arctan', 1],
+    atan2: [Math.atan2, 'np.arctan2', 2],
+    sign: [Math.sign, 'np.sign', 1],
+    floor: [Math.floor, 'np.floor', 1],
+    ceil: [Math.ceil, 'np.ceil', 1],
+    pow: [Math.pow, 'np.power', 2],
+    min: [Math.min, 'np.minimum', -1],
+    max: [Math.max, 'np.maximum', -1],
+    hypot: [Math.hypot, 'np.hypot', -1]
+};
+
+const CONSTANTS = {
+    pi: [Math.PI, 'np.pi'],
+    e: [Math.E, 'np.e']
+};
+
+const OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '^': Math.pow
+};
+
+// Numbers, operators, parentheses, commas, bare names (letters, digits, _ and .)
+// and quoted names for channels with spaces or dashes ("EEG Fp1-REF")
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) {
+            i++;
+        } else if (/[0-9.]/.test(c) && /^(\d+\.?\d*|\.\d+)/.test(text.slice(i))) {
+            const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/)[0];
+            tokens.push({ type: 'number', value: parseFloat(match), position: i });
+            i += match.length;
+        } else if (/[A-Za-z_]/.test(c)) {
+            const match = text.slice(i).match(/^[A-Za-z_][\w.]*/)[0];
+            tokens.push({ type: 'name', value: match, position: i });
+            i += match.length;
+        } else if (c === '"' || c === "'" || c === '`') {
+            const end = text.indexOf(c, i + 1);
+            if (end === -1) throw new Error(`Unclosed ${c} at position ${i + 1}`);
+            tokens.push({ type: 'name', value: text.slice(i + 1, end), quoted: true, position: i });
+            i = end + 1;
+        } else if ('+-*/%^(),'.includes(c)) {
+            tokens.push({ type: c, position: i });
+            i++;
+        } else {
+            throw new Error(`Unexpected "${c}" at position ${i + 1}`);
+        }
+    }
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+}
+
+// Recursive descent, lowest precedence first:
+//   sum     = product (("+" | "-") product)*
+//   product = unary (("*" | "/" | "%") unary)*
+//   unary   = ("+" | "-") unary | power
+//   power   = atom ("^" unary)?          (right-associative, so -x^2 is -(x^2))
+//   atom    = number | channel | constant | name "(" args ")" | "(" sum ")"
+// `channels` lists the names that may be referenced; they win over constants.
+function parseExpression(text, channels) {
+    const tokens = tokenize(text);
+    let pos = 0;
+    const used = new Set();
+
+    const peek = () => tokens[pos];
+    const describe = (token) => (token.type === 'end' ? 'end of expression'
+        : `"${token.value !== undefined ? token.value : token.type}" at position ${token.position + 1}`);
+    const expect = (type) => {
+        if (peek().type !== type) throw new Error(`Expected "${type}" but found ${describe(peek())}`);
+        return tokens[pos++];
+    };
+
+    function sum() {
+        let node = product();
+        while (peek().type === '+' || peek().type === '-') {
+            const op = tokens[pos++].type;
+            node = { type: 'binary', op, left: node, right: product() };
+        }
+        return node;
+    }
+
+    function product() {
+        let node = unary();
+        while (peek().type === '*' || peek().type === '/' || peek().type === '%') {
+            const op = tokens[pos++].type;
+            node = { type: 'binary', op, left: node, right: unary() };
+        }
+        return node;
+    }
+
+    function unary() {
+        if (peek().type === '-' || peek().type === '+') {
+            const op = tokens[pos++].type;
+            const arg = unary();
+            return op === '-' ? { type: 'negate', arg } : arg;
+        }
+        return power();
+    }
+
+    function power() {
+        const base = atom();
+        if (peek().type !== '^') return base;
+        pos++;
+        return { type: 'binary', op: '^', left: base, right: unary() };
+    }
+
+    function atom() {
+        const token = tokens[pos++];
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === '(') {
+            const node = sum();
+            expect(')');
+            return node;
+        }
+        if (token.type !== 'name') throw new Error(`Unexpected ${describe(token)}`);
+
+        if (!token.quoted && peek().type === '(') {
+            // Own keys only, so names like "toString" are not taken from Object.prototype
+            const fn = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+            if (!fn) throw new Error(`Unknown function "${token.value}"`);
+            pos++;
+            const args = [];
+            if (peek().type !== ')') {
+                args.push(sum());
+                while (peek().type === ',') {
+                    pos++;
+                    args.push(sum());
+                }
+            }
+            expect(')');
+            const count = fn[2];
+            if (count > 0 && args.length !== count) {
+                throw new Error(`${token.value}() takes ${count} argument${count === 1 ? '' : 's'}`);
+            }
+            if (count < 0 && args.length < 2) throw new Error(`${token.value}() takes at least 2 arguments`);
+            return { type: 'call', name: token.value, args };
+        }
+        if (channels.includes(token.value)) {
+            used.add(token.value);
+            return { type: 'channel', name: token.value };
+        }
+        if (!token.quoted && Object.hasOwn(CONSTANTS, token.value)) return { type: 'constant', name: token.value };
+        throw new Error(`Unknown channel "${token.value}"${token.quoted ? '' : ' (quote names with spaces or dashes)'}`);
+    }
+
+    if (peek().type === 'end') throw new Error('Enter an expression');
+    const tree = sum();
+    if (peek().type !== 'end') throw new Error(`Unexpected ${describe(peek())}`);
+    if (used.size === 0) throw new Error('The expression must use at least one channel');
+    return { tree, channels: [...used] };
+}
+
+// The tree as a function of the sample index
+function compile(node, data) {
+    switch (node.type) {
+        case 'number': {
+            const value = node.value;
+            return () => value;
+        }
+        case 'constant': {
+            const value = CONSTANTS[node.name][0];
+            return () => value;
+        }
+        case 'channel': {
+            const column = data[node.name];
+            return (i) => column[i];
+        }
+        case 'negate': {
+            const arg = compile(node.arg, data);
+            return (i) => -arg(i);
+        }
+        case 'binary': {
+            const left = compile(node.left, data);
+            const right = compile(node.right, data);
+            const op = OPERATORS[node.op];
+            return (i) => op(left(i), right(i));
+        }
+        case 'call': {
+            const fn = FUNCTIONS[node.name][0];
+            const args = node.args.map(arg => compile(arg, data));
+            if (args.length === 1) return (i) => fn(args[0](i));
+            if (args.length === 2) return (i) => fn(args[0](i), args[1](i));
+            return (i) => fn(...args.map(arg => arg(i)));
+        }
+    }
+}
+
+// Evaluate `text` row by row over the numeric columns in `data`. Non-finite
+// results (a missing input, log(0), x/0) become NaN, so they are repaired like
+// any other missing sample.
+function evaluateExpression(text, data) {
+    const numeric = Object.keys(data).filter(name => !Array.isArray(data[name]));
+    const { tree, channels } = parseExpression(text, numeric);
+    const length = Math.min(...channels.map(name => data[name].length));
+    const fn = compile(tree, data);
+    const values = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+        const v = fn(i);
+        values[i] = Number.isFinite(v) ? v : NaN;
+    }
+    return values;
+}
+
+// Columns for the derived channels [{ name, expression }] added to `data`, in order,
+// so later expressions can use earlier derived channels; failures are returned by name
+function addDerivedChannels(data, derived = []) {
+    const errors = {};
+    derived.forEach(({ name, expression }) => {
+        try {
+            data[name] = evaluateExpression(expression, data);
+        } catch (e) {
+            errors[name] = e.message;
+        }
+    });
+    return errors;
+}
+
+// Problems with a new derived channel's name, or null
+function checkDerivedName(name, existing) {
+    if (!name) return 'Enter a name for the channel';
+    if (existing.includes(name)) return `A channel called "${name}" already exists`;
+    if (/["'`]/.test(name)) return 'The name cannot contain quotes';
+    return null;
+}
+
+// A channel name as it would be written in an expression
+function quoteName(name) {
+    if (/^[A-Za-z_][\w.]*$/.test(name) && !Object.hasOwn(FUNCTIONS, name) && !Object.hasOwn(CONSTANTS, name)) return name;
+    return ['"', "'", '`'].map(q => q + name + q).find(quoted => !name.includes(quoted[0]));
+}
+
+// The same expression over DataFrame columns `df["name"]`, with numpy functions
+function toPython(node) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'constant':
+            return CONSTANTS[node.name][1];
+        case 'channel':
+            return `df[${JSON.stringify(node.name)}]`;
+        case 'negate':
+            return `(-${toPython(node.arg)})`;
+        case 'binary':
+            if (node.op === '%') return `np.fmod(${toPython(node.left)}, ${toPython(node.right)})`;
+            return `(${toPython(node.left)} ${node.op === '^' ? '**' : node.op} ${toPython(node.right)})`;
+        case 'call': {
+            const fn = FUNCTIONS[node.name][1];
+            const args = node.args.map(toPython);
+            // numpy's element-wise min/max/hypot take two arrays; fold longer lists
+            if (args.length <= 2) return `${fn}(${args.join(', ')})`;
+            return args.slice(2).reduce((acc, arg) => `${fn}(${acc}, ${arg})`, `${fn}(${args[0]}, ${args[1]})`);
+        }
+    }
+}
+
+function expressionToPython(text, channels) {
+    return toPython(parseExpression(text, channels).tree);
+}
+
+export {
+    FUNCTIONS,
+    parseExpression,
+    evaluateExpression,
+    addDerivedChannels,
+    checkDerivedName,
+    quoteName,
+    expressionToPython
+};
@@ -0,0 +1,233 @@
+// fft.js - Fast Fourier transforms: radix-2, Bluestein for other lengths, packed real input
+
+import { getWindow } from './windows.js';
+
+const FFT_PADDING = {
+    none: 'None',
+    pow2: 'Next power of 2',
+    x2: '2× (next power of 2)',
+    x4: '4× (next power of 2)'
+};
+
+const FFT_SCALING = {
+    amplitude: 'Amplitude',
+    power: 'Power'
+};
+
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
+function nextPowerOfTwo(n) {
+    let p = 1;
+    while (p < n) p *= 2;
+    return p;
+}
+
+// In-place iterative transform; inverse is unscaled. Twiddles come from a
+// table rather than a running product so error does not build up across a stage.
+function radix2(re, im, inverse = false) {
+    const n = re.length;
+    if (n <= 1) return;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    const sign = inverse ? 1 : -1;
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+        cos[k] = Math.cos(2 * Math.PI * k / n);
+        sin[k] = sign * Math.sin(2 * Math.PI * k / n);
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+        const half = size / 2;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+// Arbitrary length as a chirp convolution carried out with power-of-two transforms
+function bluestein(re, im, inverse = false) {
+    const n = re.length;
+    const m = nextPowerOfTwo(2 * n - 1);
+    const sign = inverse ? 1 : -1;
+
+    // w[k] = exp(sign * i * pi * k^2 / n); k^2 is reduced mod 2n to keep the angle small
+    const wr = new Float64Array(n);
+    const wi = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        const angle = Math.PI * ((k * k) % (2 * n)) / n;
+        wr[k] = Math.cos(angle);
+        wi[k] = sign * Math.sin(angle);
+    }
+
+    const ar = new Float64Array(m);
+    const ai = new Float64Array(m);
+    for (let k = 0; k < n; k++) {
+        ar[k] = re[k] * wr[k] - im[k] * wi[k];
+        ai[k] = re[k] * wi[k] + im[k] * wr[k];
+    }
+
+    const br = new Float64Array(m);
+    const bi = new Float64Array(m);
+    br[0] = wr[0];
+    bi[0] = -wi[0];
+    for (let k = 1; k < n; k++) {
+        br[k] = br[m - k] = wr[k];
+        bi[k] = bi[m - k] = -wi[k];
+    }
+
+    radix2(ar, ai);
+    radix2(br, bi);
+    for (let k = 0; k < m; k++) {
+        const r = ar[k] * br[k] - ai[k] * bi[k];
+        ai[k] = ar[k] * bi[k] + ai[k] * br[k];
+        ar[k] = r;
+    }
+    radix2(ar, ai, true);
+
+    for (let k = 0; k < n; k++) {
+        const r = ar[k] / m;
+        const i = ai[k] / m;
+        re[k] = r * wr[k] - i * wi[k];
+        im[k] = r * wi[k] + i * wr[k];
+    }
+}
+
+function transform(re, im, inverse) {
+    const outRe = Float64Array.from(re);
+    const outIm = im ? Float64Array.from(im) : new Float64Array(re.length);
+    if (isPowerOfTwo(outRe.length)) radix2(outRe, outIm, inverse);
+    else if (outRe.length > 1) bluestein(outRe, outIm, inverse);
+    return { re: outRe, im: outIm };
+}
+
+// Complex DFT of any length (numpy.fft.fft)
+function fft(re, im) {
+    return transform(re, im, false);
+}
+
+// Inverse DFT scaled by 1 / n (numpy.fft.ifft)
+function ifft(re, im) {
+    const out = transform(re, im, true);
+    const n = out.re.length;
+    for (let k = 0; k < n; k++) {
+        out.re[k] /= n;
+        out.im[k] /= n;
+    }
+    return out;
+}
+
+// Non-negative frequency half of the DFT of a real signal, zero-padded or
+// truncated to nfft (numpy.fft.rfft). Even lengths pack the samples into a
+// complex signal of half the length and separate the two spectra afterwards.
+function rfft(signal, nfft = signal.length) {
+    const bins = Math.floor(nfft / 2) + 1;
+    const count = Math.min(signal.length, nfft);
+
+    if (nfft % 2) {
+        const x = new Float64Array(nfft);
+        for (let i = 0; i < count; i++) x[i] = signal[i];
+        const full = fft(x);
+        return { re: full.re.slice(0, bins), im: full.im.slice(0, bins) };
+    }
+
+    const half = nfft / 2;
+    const zr = new Float64Array(half);
+    const zi = new Float64Array(half);
+    for (let i = 0; i < count; i++) {
+        if (i % 2) zi[i >> 1] = signal[i];
+        else zr[i >> 1] = signal[i];
+    }
+    const z = fft(zr, zi);
+
+    const re = new Float64Array(bins);
+    const im = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        const a = k % half;
+        const b = (half - k) % half;
+        // Even samples: (Z[k] + conj(Z[-k])) / 2, odd samples: (Z[k] - conj(Z[-k])) / 2i
+        const er = (z.re[a] + z.re[b]) / 2;
+        const ei = (z.im[a] - z.im[b]) / 2;
+        const or = (z.im[a] + z.im[b]) / 2;
+        const oi = -(z.re[a] - z.re[b]) / 2;
+        const angle = -2 * Math.PI * k / nfft;
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        re[k] = er + or * c - oi * s;
+        im[k] = ei + or * s + oi * c;
+    }
+    return { re, im };
+}
+
+// Transform length for a zero-padding option
+function paddedLength(length, padding = 'none') {
+    switch (padding) {
+        case 'pow2':
+            return nextPowerOfTwo(length);
+        case 'x2':
+            return nextPowerOfTwo(2 * length);
+        case 'x4':
+            return nextPowerOfTwo(4 * length);
+        default:
+            return length;
+    }
+}
+
+// One-sided spectrum of a real signal. Amplitude scaling gives the peak
+// amplitude of a sinusoid; power gives its mean square (V²). Both are
+// corrected for the window's coherent gain.
+function spectrum(signal, samplingRate, { window = 'hann', padding = 'none', scaling = 'amplitude' } = {}) {
+    const n = signal.length;
+    if (n === 0) return { frequencies: [], magnitudes: [] };
+
+    const win = getWindow(window, n, 0, true);
+    const windowed = new Float64Array(n);
+    let gain = 0;
+    for (let i = 0; i < n; i++) {
+        windowed[i] = signal[i] * win[i];
+        gain += win[i];
+    }
+
+    const nfft = paddedLength(n, padding);
+    const { re, im } = rfft(windowed, nfft);
+    const bins = re.length;
+    const frequencies = new Float64Array(bins);
+    const magnitudes = new Float64Array(bins);
+
+    for (let k = 0; k < bins; k++) {
+        frequencies[k] = k * samplingRate / nfft;
+        // Every bin except DC and an even-length Nyquist stands for two frequencies
+        const oneSided = k === 0 || (nfft % 2 === 0 && k === bins - 1) ? 1 : 2;
+        const amplitude = Math.hypot(re[k], im[k]) / gain;
+        magnitudes[k] = scaling === 'power'
+            ? oneSided * amplitude * amplitude
+            : oneSided * amplitude;
+    }
+
+    return { frequencies, magnitudes, nfft };
+}
+
+export { FFT_PADDING, FFT_SCALING, fft, ifft, rfft, nextPowerOfTwo, paddedLength, spectrum };
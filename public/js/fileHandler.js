@@ -0,0 +1,386 @@
+// fileHandler.js - Readers for binary signal file formats
+
+const EDF_VARIANTS = {
+    EDF: { bytesPerSample: 2, annotationLabel: 'EDF Annotations' },
+    BDF: { bytesPerSample: 3, annotationLabel: 'BDF Annotations' }
+};
+
+function readEDF(buffer) {
+    return readEDFFamily(buffer, 'EDF');
+}
+
+// BioSemi BDF: EDF layout with 24-bit samples and a 0xFF "BIOSEMI" version
+function readBDF(buffer) {
+    return readEDFFamily(buffer, 'BDF');
+}
+
+function readEDFFamily(buffer, variant) {
+    const bytes = new Uint8Array(buffer);
+    const { bytesPerSample, annotationLabel } = EDF_VARIANTS[variant];
+
+    if (bytes.length < 256) {
+        throw new Error(`File is too short to be ${variant}`);
+    }
+
+    // Fixed 256-byte header
+    const header = {
+        version: readAscii(bytes, 0, 8),
+        patient: readAscii(bytes, 8, 80),
+        recording: readAscii(bytes, 88, 80),
+        startDate: readAscii(bytes, 168, 8),
+        startTime: readAscii(bytes, 176, 8),
+        headerBytes: parseInt(readAscii(bytes, 184, 8)),
+        reserved: readAscii(bytes, 192, 44),
+        numRecords: parseInt(readAscii(bytes, 236, 8)),
+        recordDuration: parseFloat(readAscii(bytes, 244, 8)),
+        numSignals: parseInt(readAscii(bytes, 252, 4))
+    };
+
+    const expectedVersion = variant === 'BDF' ? '\xFFBIOSEMI' : '0';
+    if (header.version !== expectedVersion) {
+        throw new Error(`Unsupported ${variant} version: ${header.version}`);
+    }
+    if (!(header.numSignals > 0) || header.headerBytes !== 256 * (header.numSignals + 1)) {
+        throw new Error(`Invalid ${variant} header`);
+    }
+
+    const isPlus = header.reserved.startsWith(variant + '+');
+    const signals = readSignalHeaders(bytes, header.numSignals);
+
+    // Number of data records may be -1 while recording; derive it from the file size
+    const recordSamples = signals.reduce((sum, s) => sum + s.samplesPerRecord, 0);
+    const recordBytes = recordSamples * bytesPerSample;
+    const availableRecords = Math.floor((bytes.length - header.headerBytes) / recordBytes);
+    const numRecords = header.numRecords > 0 ? Math.min(header.numRecords, availableRecords) : availableRecords;
+
+    signals.forEach(s => {
+        s.samplingRate = header.recordDuration > 0 ? s.samplesPerRecord / header.recordDuration : s.samplesPerRecord;
+        s.data = new Float32Array(s.samplesPerRecord * numRecords);
+    });
+
+    const annotationSignals = isPlus ? signals.filter(s => s.label === annotationLabel) : [];
+    const annotations = [];
+    const recordOnsets = [];
+
+    let offset = header.headerBytes;
+    for (let r = 0; r < numRecords; r++) {
+        signals.forEach(s => {
+            const size = s.samplesPerRecord * bytesPerSample;
+            if (annotationSignals.includes(s)) {
+                const tals = parseAnnotationRecord(bytes.subarray(offset, offset + size));
+                tals.forEach(tal => {
+                    if (tal.timekeeping) {
+                        if (s === annotationSignals[0]) recordOnsets.push(tal.onset);
+                    } else {
+                        annotations.push(tal);
+                    }
+                });
+            } else {
+                const gain = (s.physicalMax - s.physicalMin) / (s.digitalMax - s.digitalMin);
+                const base = r * s.samplesPerRecord;
+                for (let i = 0; i < s.samplesPerRecord; i++) {
+                    const digital = readSample(bytes, offset + i * bytesPerSample, bytesPerSample);
+                    s.data[base + i] = (digital - s.digitalMin) * gain + s.physicalMin;
+                }
+            }
+            offset += size;
+        });
+    }
+
+    annotations.sort((a, b) => a.onset - b.onset);
+
+    return {
+        format: isPlus ? variant + '+' : variant,
+        patient: header.patient,
+        recording: header.recording,
+        startTime: parseStartTime(header.startDate, header.startTime),
+        discontinuous: header.reserved.startsWith(variant + '+D'),
+        recordDuration: header.recordDuration,
+        numRecords: numRecords,
+        recordOnsets: recordOnsets,
+        signals: signals.filter(s => !annotationSignals.includes(s)),
+        annotations: annotations
+    };
+}
+
+// Little-endian signed integer of 2 (EDF) or 3 (BDF) bytes
+function readSample(bytes, offset, bytesPerSample) {
+    if (bytesPerSample === 2) {
+        const value = bytes[offset] | (bytes[offset + 1] << 8);
+        return value >= 0x8000 ? value - 0x10000 : value;
+    }
+    const value = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    return value >= 0x800000 ? value - 0x1000000 : value;
+}
+
+function readSignalHeaders(bytes, ns) {
+    // Signal header fields are stored field by field, each repeated ns times
+    const fields = [
+        ['label', 16], ['transducer', 80], ['physicalDimension', 8],
+        ['physicalMin', 8], ['physicalMax', 8], ['digitalMin', 8], ['digitalMax', 8],
+        ['prefiltering', 80], ['samplesPerRecord', 8], ['reserved', 32]
+    ];
+    const numeric = ['physicalMin', 'physicalMax', 'digitalMin', 'digitalMax', 'samplesPerRecord'];
+
+    const signals = Array.from({ length: ns }, () => ({}));
+    let offset = 256;
+    fields.forEach(([name, size]) => {
+        for (let i = 0; i < ns; i++) {
+            const text = readAscii(bytes, offset, size);
+            signals[i][name] = numeric.includes(name) ? parseFloat(text) : text;
+            offset += size;
+        }
+    });
+
+    signals.forEach(s => {
+        if (!(s.samplesPerRecord > 0)) {
+            throw new Error(`Invalid sample count for signal "${s.label}"`);
+        }
+        if (s.digitalMax === s.digitalMin) {
+            throw new Error(`Invalid digital range for signal "${s.label}"`);
+        }
+        delete s.reserved;
+    });
+
+    return signals;
+}
+
+// Parse the Time-stamped Annotations Lists (TALs) of one data record:
+// +onset[\x15duration]\x14[text\x14]...\x00
+function parseAnnotationRecord(bytes) {
+    const tals = [];
+    let start = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] !== 0) continue;
+        if (i > start) {
+            const tal = new TextDecoder('utf-8').decode(bytes.subarray(start, i));
+            const parts = tal.split('\x14');
+            const [onsetText, durationText] = parts[0].split('\x15');
+            const onset = parseFloat(onsetText);
+            const duration = durationText ? parseFloat(durationText) : 0;
+            const texts = parts.slice(1).filter(t => t.length > 0);
+
+            if (!isNaN(onset)) {
+                if (texts.length === 0) {
+                    tals.push({ onset, duration, timekeeping: true });
+                } else {
+                    texts.forEach(text => tals.push({ onset, duration, text }));
+                }
+            }
+        }
+        start = i + 1;
+    }
+
+    return tals;
+}
+
+function parseStartTime(date, time) {
+    const [dd, mm, yy] = date.split('.').map(Number);
+    const [hh, mi, ss] = time.split('.').map(Number);
+    if ([dd, mm, yy, hh, mi, ss].some(isNaN)) return null;
+    // EDF spec: years 85-99 are 1985-1999, 00-84 are 2000-2084
+    const year = yy >= 85 ? 1900 + yy : 2000 + yy;
+    return new Date(year, mm - 1, dd, hh, mi, ss);
+}
+
+// BrainVision recordings come as a header (.vhdr), a marker file (.vmrk)
+// and a data file (.eeg); the header names the other two.
+function readBrainVision(headerText, dataBuffer, markerText) {
+    const header = parseIni(headerText);
+    const common = header['Common Infos'] || {};
+    const binary = header['Binary Infos'] || {};
+    const channelInfos = header['Channel Infos'] || {};
+
+    const numChannels = parseInt(common.NumberOfChannels);
+    const samplingInterval = parseFloat(common.SamplingInterval); // microseconds
+    if (!(numChannels > 0) || !(samplingInterval > 0)) {
+        throw new Error('Invalid BrainVision header');
+    }
+    const samplingRate = 1e6 / samplingInterval;
+
+    const signals = [];
+    for (let c = 1; c <= numChannels; c++) {
+        // Ch<n>=<name>,<reference>,<resolution>,<unit>; "\1" encodes a comma
+        const fields = (channelInfos['Ch' + c] || '').split(',').map(f => f.replace(/\\1/g, ','));
+        const resolution = parseFloat(fields[2]);
+        signals.push({
+            label: fields[0] || 'Ch' + c,
+            reference: fields[1] || '',
+            resolution: isNaN(resolution) || fields[2] === '' ? 1 : resolution,
+            physicalDimension: fields[3] || 'µV',
+            samplingRate: samplingRate
+        });
+    }
+
+    const dataFormat = (common.DataFormat || 'BINARY').toUpperCase();
+    const vectorized = (common.DataOrientation || 'MULTIPLEXED').toUpperCase() === 'VECTORIZED';
+    const values = dataFormat === 'ASCII'
+        ? readBrainVisionAscii(new TextDecoder('utf-8').decode(dataBuffer), header['ASCII Infos'] || {}, numChannels, vectorized)
+        : readBrainVisionBinary(dataBuffer, (binary.BinaryFormat || 'INT_16').toUpperCase());
+
+    const numSamples = Math.floor(values.length / numChannels);
+    signals.forEach((s, c) => {
+        s.data = new Float32Array(numSamples);
+        for (let i = 0; i < numSamples; i++) {
+            const index = vectorized ? c * numSamples + i : i * numChannels + c;
+            s.data[i] = values[index] * s.resolution;
+        }
+    });
+
+    return {
+        format: 'BrainVision',
+        startTime: null,
+        discontinuous: false,
+        signals: signals,
+        annotations: markerText ? readBrainVisionMarkers(markerText, samplingRate) : []
+    };
+}
+
+function brainVisionFileNames(headerText) {
+    const common = parseIni(headerText)['Common Infos'] || {};
+    return { dataFile: common.DataFile, markerFile: common.MarkerFile };
+}
+
+function readBrainVisionBinary(buffer, binaryFormat) {
+    switch (binaryFormat) {
+        case 'INT_16':
+            return new Int16Array(buffer, 0, Math.floor(buffer.byteLength / 2));
+        case 'UINT_16':
+            return new Uint16Array(buffer, 0, Math.floor(buffer.byteLength / 2));
+        case 'INT_32':
+            return new Int32Array(buffer, 0, Math.floor(buffer.byteLength / 4));
+        case 'IEEE_FLOAT_32':
+            return new Float32Array(buffer, 0, Math.floor(buffer.byteLength / 4));
+        default:
+            throw new Error('Unsupported BrainVision binary format: ' + binaryFormat);
+    }
+}
+
+function readBrainVisionAscii(text, asciiInfos, numChannels, vectorized) {
+    const decimal = asciiInfos.DecimalSymbol || '.';
+    const skipLines = parseInt(asciiInfos.SkipLines) || 0;
+    const skipColumns = parseInt(asciiInfos.SkipColumns) || 0;
+
+    const lines = text.split(/\r?\n/).slice(skipLines).filter(line => line.trim().length > 0);
+    const rows = lines.map(line => line.trim().split(/\s+/).slice(skipColumns)
+        .map(v => parseFloat(decimal === '.' ? v : v.replace(decimal, '.'))));
+
+    // Vectorized files hold one channel per line, i.e. channel-major order
+    return (vectorized ? rows.slice(0, numChannels) : rows).flat();
+}
+
+function readBrainVisionMarkers(text, samplingRate) {
+    const markers = parseIni(text)['Marker Infos'] || {};
+
+    return Object.keys(markers)
+        .filter(key => /^Mk\d+$/i.test(key))
+        .map(key => {
+            // Mk<n>=<type>,<description>,<position>,<points>,<channel>[,<date>]
+            const fields = markers[key].split(',').map(f => f.replace(/\\1/g, ','));
+            const position = parseInt(fields[2]);
+            const points = parseInt(fields[3]) || 0;
+            const description = fields[1] ? fields[1].trim() : '';
+            return {
+                onset: (position - 1) / samplingRate,
+                duration: points > 1 ? points / samplingRate : 0,
+                text: description ? `${fields[0]}: ${description}` : fields[0],
+                type: fields[0]
+            };
+        })
+        .filter(m => !isNaN(m.onset))
+        .sort((a, b) => a.onset - b.onset);
+}
+
+function parseIni(text) {
+    const sections = {};
+    let current = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        line = line.trim();
+        if (!line || line.startsWith(';')) return;
+
+        const section = line.match(/^\[(.+)\]$/);
+        if (section) {
+            current = sections[section[1]] = {};
+            return;
+        }
+
+        const eq = line.indexOf('=');
+        if (current && eq > 0) {
+            current[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+        }
+    });
+
+    return sections;
+}
+
+function readAscii(bytes, offset, length) {
+    let text = '';
+    for (let i = offset; i < offset + length && i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return text.trim();
+}
+
+// Convert a recording into typed column arrays. Channels are grouped by
+// sampling rate and the group with the most channels is kept.
+function recordingToColumns(recording) {
+    const groups = {};
+    recording.signals.forEach(s => {
+        (groups[s.samplingRate] = groups[s.samplingRate] || []).push(s);
+    });
+    const samplingRate = Object.keys(groups)
+        .map(Number)
+        .sort((a, b) => groups[b].length - groups[a].length || b - a)[0];
+
+    const kept = groups[samplingRate];
+    const skipped = recording.signals.filter(s => !kept.includes(s));
+
+    // EDF allows duplicate labels; make column names unique
+    const columns = ['time'];
+    kept.forEach(s => {
+        let name = s.label || 'signal';
+        let n = 2;
+        while (columns.includes(name)) name = `${s.label} (${n++})`;
+        columns.push(name);
+    });
+
+    const length = Math.min(...kept.map(s => s.data.length));
+    const data = { time: sampleTimes(recording, samplingRate, length) };
+    kept.forEach((s, c) => {
+        data[columns[c + 1]] = s.data.length === length ? s.data : s.data.slice(0, length);
+    });
+
+    return {
+        columns,
+        data,
+        length,
+        samplingRate,
+        units: Object.fromEntries(kept.map((s, c) => [columns[c + 1], s.physicalDimension])),
+        skipped: skipped.map(s => `${s.label} (${s.samplingRate} Hz)`)
+    };
+}
+
+function sampleTimes(recording, samplingRate, numSamples) {
+    const times = new Float64Array(numSamples);
+
+    if (!recording.discontinuous) {
+        for (let i = 0; i < numSamples; i++) times[i] = i / samplingRate;
+        return times;
+    }
+
+    // EDF+D / BDF+D data records carry their own onset
+    const perRecord = Math.round(samplingRate * recording.recordDuration);
+    for (let i = 0; i < numSamples; i++) {
+        const record = Math.floor(i / perRecord);
+        const recordOnset = recording.recordOnsets[record] !== undefined
+            ? recording.recordOnsets[record]
+            : record * recording.recordDuration;
+        times[i] = recordOnset + (i - record * perRecord) / samplingRate;
+    }
+
+    return times;
+}
+
+export { readEDF, readBDF, readBrainVision, brainVisionFileNames, recordingToColumns };
@@ -0,0 +1,462 @@
+// filters.js - Registry of pipeline steps, shared by both pipeline builders and pipeline-worker.js
+//
+// A filter is registered with:
+//   id, label        step type stored in pipelines, and the name shown for it
+//   params           typed schema: { name: { type: 'number', min, max, step, default } }
+//                    or { name: { type: 'choice', options: { value: label }, default } }
+//   inactiveParams   (params) => names of parameters that don't apply to these values
+//   apply            (values, params, fs, step) => values (may be async); or instead
+//   applyChannel     (channel, step) => channel, for steps that change times and rate; or
+//   applyChannels    ({ name: channel }, step) => { name: channel }, across all channels
+//   design           (params, fs) => second-order sections (iir) or { taps, numtaps, delay } (fir)
+//   response         (step, fs) => a { filter, rate } stage for response.js, or null
+//                    (present only on linear time-invariant steps)
+//   python           (step, { rate, index }) => Python transforming `data` at `sampling_rate`
+// plus flags: iir (causal or zero-phase), fir, multichannel, custom (user code in
+// `language`, with the sliders it declares) and resample (changes the rate seen by later steps).
+//
+// Filters shipped as ES modules call registerFilter() when imported; loadFilterModules()
+// imports them, and the pages pass the same URLs to the worker.
+
+import { butter, cheby1, cheby2, ellip, iirnotch, sosfilt, sosfiltfilt } from './iir.js';
+import { designFir, firFilter } from './fir.js';
+import { WINDOWS } from './windows.js';
+import { SAVGOL_MODES, savgolCoeffs, savgolFilter } from './savgol.js';
+import { WAVELET_FAMILIES, THRESHOLD_MODES, THRESHOLD_RULES, waveletDenoise } from './wavelets.js';
+import { ICA_METHODS, removeComponents } from './ica.js';
+import { runCustom } from './sandbox.js';
+import { RESAMPLE_MODES, resampleFactors, resampleFilter, resampleChannel } from './resample.js';
+import { minMax } from './utils.js';
+
+const BAND_TYPES = { lowpass: 'Lowpass', highpass: 'Highpass', bandpass: 'Bandpass', bandstop: 'Bandstop' };
+
+// Registered filters by id, in registration order (the order of the filter menus)
+const filterConfigs = {};
+// URLs of the filter modules imported so far
+const filterModules = [];
+
+function number(value, min, max, step) {
+    return { type: 'number', min, max, step, default: value };
+}
+
+function choice(options, value) {
+    return { type: 'choice', options, default: value };
+}
+
+// Frequencies (Hz) and other unbounded values
+function hz(value) {
+    return number(value, 0.1, 200, 0.1);
+}
+
+const order = () => number(4, 1, 10, 1);
+
+function registerFilter(definition) {
+    const { id, label, params = {} } = definition;
+    if (!id || !label) throw new Error('A filter needs an id and a label');
+    if (filterConfigs[id]) throw new Error(`Filter "${id}" is already registered`);
+    if (!definition.apply && !definition.applyChannel && !definition.applyChannels) {
+        throw new Error(`Filter "${id}" needs apply, applyChannel or applyChannels`);
+    }
+    Object.entries(params).forEach(([name, spec]) => {
+        if (spec.type !== 'number' && spec.type !== 'choice') {
+            throw new Error(`Filter "${id}": parameter "${name}" must be of type 'number' or 'choice'`);
+        }
+    });
+
+    // Sliders, selects and defaults as the pages use them
+    const entries = Object.entries(params);
+    filterConfigs[id] = {
+        ...definition,
+        params,
+        sliders: entries.filter(([, spec]) => spec.type === 'number').map(([name]) => name),
+        choices: Object.fromEntries(entries.filter(([, spec]) => spec.type === 'choice').map(([name, spec]) => [name, spec.options])),
+        defaults: Object.fromEntries(entries.map(([name, spec]) => [name, spec.default]))
+    };
+    return filterConfigs[id];
+}
+
+// Import filter modules (absolute URLs); each registers its filters as it loads
+async function loadFilterModules(urls) {
+    for (const url of urls) {
+        if (filterModules.includes(url)) continue;
+        await import(url);
+        filterModules.push(url);
+    }
+}
+
+// One step on a { times, values, repaired, rate } channel (multichannel steps go
+// through their applyChannels). Resolves to { channel, error }: a failing step
+// leaves the channel unchanged and returns its error (null when it ran cleanly).
+async function applyStep(channel, step) {
+    const config = filterConfigs[step.type];
+    try {
+        const output = config.applyChannel
+            ? await config.applyChannel(channel, step)
+            : { ...channel, values: await config.apply(channel.values, step.params, channel.rate, step) };
+        return { channel: output, error: null };
+    } catch (e) {
+        return { channel, error: e.message };
+    }
+}
+
+// IIR steps run causal (sosfilt) or zero-phase (sosfiltfilt)
+function iirFilter(definition) {
+    return {
+        ...definition,
+        iir: true,
+        apply: (values, params, fs, step) => {
+            const sos = definition.design(params, fs);
+            return step.zeroPhase ? sosfiltfilt(sos, values) : sosfilt(sos, values);
+        },
+        response: (step, fs) => ({ filter: { sos: definition.design(step.params, fs), zeroPhase: step.zeroPhase }, rate: fs })
+    };
+}
+
+function sosCode(step, design) {
+    return `sos = ${design}\n` + `data = signal.${step.zeroPhase ? 'sosfiltfilt' : 'sosfilt'}(sos, data)\n`;
+}
+
+function butterworth(btype, label, edges) {
+    const band = btype === 'bandpass' || btype === 'bandstop';
+    return iirFilter({
+        id: `butterworth_${btype}`,
+        label,
+        params: band ? { low: hz(edges[0]), high: hz(edges[1]), order: order() } : { cutoff: hz(edges), order: order() },
+        design: (params, fs) => butter(params.order, band ? [params.low, params.high] : params.cutoff, btype, fs),
+        python: (step) => {
+            const params = step.params;
+            const cutoff = band ? `[${params.low}, ${params.high}]` : params.cutoff;
+            return sosCode(step, `signal.butter(${Math.round(params.order)}, ${cutoff}, '${btype}', fs=sampling_rate, output='sos')`);
+        }
+    });
+}
+
+function bandEdges(params) {
+    return params.btype === 'lowpass' || params.btype === 'highpass' ? params.cutoff : [params.low, params.high];
+}
+
+// IIR families with a selectable band type: one cutoff for low/highpass, two edges for
+// band filters. `ripple` lists the family's rp/rs arguments in scipy's order.
+function bandFilter(id, label, ripple, design) {
+    const rippleParams = { rp: number(1, 0.1, 10, 0.1), rs: number(40, 10, 120, 1) };
+    return iirFilter({
+        id,
+        label,
+        params: {
+            btype: choice(BAND_TYPES, 'lowpass'),
+            cutoff: hz(40), low: hz(1), high: hz(40), order: order(),
+            ...Object.fromEntries(ripple.map(name => [name, rippleParams[name]]))
+        },
+        inactiveParams: (values) => (values.btype === 'lowpass' || values.btype === 'highpass' ? ['low', 'high'] : ['cutoff']),
+        design: (params, fs) => design(params, bandEdges(params), fs),
+        python: (step) => {
+            const params = step.params;
+            const edges = Array.isArray(bandEdges(params)) ? `[${params.low}, ${params.high}]` : params.cutoff;
+            const values = ripple.map(name => params[name]);
+            return sosCode(step, `signal.${id}(${Math.round(params.order)}, ${values.join(', ')}, ${edges}, '${params.btype}', fs=sampling_rate, output='sos')`);
+        }
+    });
+}
+
+// Windowed-sinc FIR steps; Kaiser derives the tap count from transition width and ripple
+function firFilterConfig(btype, label, edges) {
+    const band = btype === 'bandpass' || btype === 'bandstop';
+    const design = (params, fs) => designFir(btype, band ? [params.low, params.high] : params.cutoff, params, fs);
+    return {
+        id: `fir_${btype}`,
+        label,
+        params: {
+            window: choice(WINDOWS, 'hamming'),
+            ...(band ? { low: hz(edges[0]), high: hz(edges[1]) } : { cutoff: hz(edges) }),
+            numtaps: number(101, 3, 1001, 2),
+            transition: number(5, 0.1, 50, 0.1),
+            ripple: number(60, 21, 120, 1)
+        },
+        inactiveParams: (values) => (values.window === 'kaiser' ? ['numtaps'] : ['transition', 'ripple']),
+        fir: true,
+        design,
+        apply: (values, params, fs) => firFilter(design(params, fs).taps, values),
+        response: (step, fs) => {
+            const { taps, delay } = design(step.params, fs);
+            return { filter: { taps, delay }, rate: fs };
+        },
+        python: (step) => {
+            const params = step.params;
+            const cutoff = band ? `[${params.low}, ${params.high}]` : params.cutoff;
+            let code = '';
+            let window = `'${params.window}'`;
+            if (params.window === 'kaiser') {
+                code += `numtaps, beta = signal.kaiserord(${params.ripple}, ${params.transition} / (0.5 * sampling_rate))\n`;
+                code += `numtaps = max(3, numtaps | 1)  # odd length: whole-sample group delay\n`;
+                window = `('kaiser', beta)`;
+            } else {
+                code += `numtaps = ${Math.max(3, Math.round(params.numtaps) | 1)}\n`;
+            }
+            code += `taps = signal.firwin(numtaps, ${cutoff}, window=${window}, pass_zero='${btype}', fs=sampling_rate)\n`;
+            code += `data = np.convolve(data, taps, mode='same')  # compensates the (numtaps - 1) / 2 sample delay\n`;
+            return code;
+        }
+    };
+}
+
+function detrend(signal) {
+    const n = signal.length;
+    const x = Array.from({ length: n }, (_, i) => i);
+
+    // Linear regression
+    const xMean = x.reduce((a, b) => a + b) / n;
+    const yMean = signal.reduce((a, b) => a + b) / n;
+
+    let num = 0, den = 0;
+    for (let i = 0; i < n; i++) {
+        num += (x[i] - xMean) * (signal[i] - yMean);
+        den += (x[i] - xMean) ** 2;
+    }
+
+    const slope = num / den;
+    const intercept = yMean - slope * xMean;
+
+    return signal.map((y, i) => y - (slope * x[i] + intercept));
+}
+
+function normalize(signal) {
+    const { min, max } = minMax(signal);
+    const range = max - min;
+    if (range === 0) return signal;
+    return signal.map(v => (v - min) / range);
+}
+
+function standardize(signal) {
+    const mean = signal.reduce((a, b) => a + b) / signal.length;
+    const std = Math.sqrt(signal.reduce((a, b) => a + (b - mean) ** 2, 0) / signal.length);
+    if (std === 0) return signal;
+    return signal.map(v => (v - mean) / std);
+}
+
+// Windows are taken from the input, so each output sample is the median of original
+// samples; the first and last kernel / 2 samples are kept as they are
+function medianFilter(signal, kernel) {
+    const result = Array.from(signal);
+    const half = Math.floor(kernel / 2);
+
+    for (let i = half; i < result.length - half; i++) {
+        const window = Array.from(signal.slice(i - half, i + half + 1)).sort((a, b) => a - b);
+        result[i] = window[Math.floor(window.length / 2)];
+    }
+
+    return result;
+}
+
+// Centred window, rounding the extra sample of an even window forwards; it shrinks at the edges
+function movingAverage(signal, window) {
+    const result = [];
+    for (let i = 0; i < signal.length; i++) {
+        const start = Math.max(0, i - Math.floor(window / 2));
+        const end = Math.min(signal.length, i + Math.ceil(window / 2));
+        let sum = 0;
+        for (let j = start; j < end; j++) sum += signal[j];
+        result.push(sum / (end - start));
+    }
+    return result;
+}
+
+function pythonStepName(index) {
+    return `python_step_${index + 1}`;
+}
+
+// User code run in a locked-down worker; its sliders come from the step's paramSpecs
+function customFilter(id, label, language, python) {
+    return {
+        id,
+        label,
+        custom: true,
+        language,
+        apply: (values, params, fs, step) => runCustom(step.source, values, fs, params, { language }),
+        python
+    };
+}
+
+[
+    {
+        id: 'detrend',
+        label: 'Detrend',
+        apply: (values) => detrend(values),
+        python: () => `data = signal.detrend(data)\n`
+    },
+    {
+        id: 'normalize',
+        label: 'Normalize (0-1)',
+        apply: (values) => normalize(values),
+        python: () => `data = (data - data.min()) / (data.max() - data.min())\n`
+    },
+    {
+        id: 'standardize',
+        label: 'Standardize (Z-score)',
+        apply: (values) => standardize(values),
+        python: () => `data = (data - data.mean()) / data.std()\n`
+    },
+    butterworth('lowpass', 'Butterworth Lowpass', 50),
+    butterworth('highpass', 'Butterworth Highpass', 1),
+    butterworth('bandpass', 'Butterworth Bandpass', [1, 50]),
+    butterworth('bandstop', 'Butterworth Bandstop', [45, 55]),
+    bandFilter('cheby1', 'Chebyshev Type I', ['rp'], (p, edges, fs) => cheby1(p.order, p.rp, edges, p.btype, fs)),
+    bandFilter('cheby2', 'Chebyshev Type II', ['rs'], (p, edges, fs) => cheby2(p.order, p.rs, edges, p.btype, fs)),
+    bandFilter('ellip', 'Elliptic (Cauer)', ['rp', 'rs'], (p, edges, fs) => ellip(p.order, p.rp, p.rs, edges, p.btype, fs)),
+    firFilterConfig('lowpass', 'FIR Lowpass', 40),
+    firFilterConfig('highpass', 'FIR Highpass', 1),
+    firFilterConfig('bandpass', 'FIR Bandpass', [1, 40]),
+    firFilterConfig('bandstop', 'FIR Bandstop', [45, 55]),
+    iirFilter({
+        id: 'notch',
+        label: 'Notch (50/60 Hz)',
+        params: { frequency: hz(50), quality: number(30, 0.1, 50, 0.1) },
+        design: (params, fs) => iirnotch(params.frequency, params.quality, fs),
+        python: (step) => sosCode(step, `signal.tf2sos(*signal.iirnotch(${step.params.frequency}, ${step.params.quality}, fs=sampling_rate))`)
+    }),
+    {
+        id: 'savgol',
+        label: 'Savitzky-Golay',
+        params: {
+            mode: choice(SAVGOL_MODES, 'interp'),
+            window: number(11, 3, 101, 2),
+            polyorder: number(3, 0, 10, 1),
+            deriv: number(0, 0, 2, 1)
+        },
+        // Derivatives are per second: delta is the sample spacing
+        apply: (values, params, fs) => savgolFilter(values, Math.round(params.window) | 1, Math.round(params.polyorder), {
+            deriv: Math.round(params.deriv), delta: 1 / fs, mode: params.mode
+        }),
+        response: (step, fs) => {
+            // savgolFilter correlates with the coefficients; as convolution taps they run backwards
+            const params = step.params;
+            const window = Math.round(params.window) | 1;
+            const coeffs = savgolCoeffs(window, Math.round(params.polyorder), Math.round(params.deriv), 1 / fs);
+            return { filter: { taps: coeffs.reverse(), delay: (window - 1) / 2 }, rate: fs };
+        },
+        python: ({ params }) => `data = signal.savgol_filter(data, ${Math.round(params.window) | 1}, ${Math.round(params.polyorder)}, ` +
+            `deriv=${Math.round(params.deriv)}, delta=1 / sampling_rate, mode='${params.mode}')\n`
+    },
+    {
+        id: 'median',
+        label: 'Median Filter',
+        params: { kernel: number(5, 3, 101, 2) },
+        apply: (values, params) => medianFilter(values, Math.round(params.kernel) | 1),
+        // medfilt zero-pads the edges; the app keeps the first and last kernel / 2 samples instead
+        python: ({ params }) => {
+            const kernel = Math.round(params.kernel) | 1;
+            const half = Math.floor(kernel / 2);
+            let code = `filtered = signal.medfilt(data, kernel_size=${kernel})\n`;
+            code += `filtered[:${half}] = data[:${half}]\n`;
+            code += `filtered[len(data) - ${half}:] = data[len(data) - ${half}:]\n`;
+            code += `data = filtered\n`;
+            return code;
+        }
+    },
+    {
+        id: 'moving_average',
+        label: 'Moving Average',
+        params: { window: number(5, 3, 101, 2) },
+        apply: (values, params) => movingAverage(values, Math.max(1, Math.floor(params.window))),
+        response: (step, fs) => {
+            const window = Math.max(1, Math.floor(step.params.window));
+            return { filter: { taps: new Array(window).fill(1 / window), delay: Math.ceil(window / 2) - 1 }, rate: fs };
+        },
+        python: ({ params }) => `data = pd.Series(data).rolling(${Math.max(1, Math.floor(params.window))}, center=True, min_periods=1).mean().values\n`
+    },
+    {
+        id: 'wavelet_denoise',
+        label: 'Wavelet Denoising',
+        params: {
+            family: choice(WAVELET_FAMILIES, 'db'),
+            threshold: choice(THRESHOLD_MODES, 'soft'),
+            rule: choice(THRESHOLD_RULES, 'universal'),
+            order: order(),
+            level: number(4, 1, 10, 1)
+        },
+        apply: (values, params) => waveletDenoise(values, params).output,
+        python: ({ params }) => {
+            const wavelet = Math.round(params.order) === 1 ? 'haar' : `${params.family}${Math.round(params.order)}`;
+            let code = `import pywt\n`;
+            // The app caps the level at the deepest one the signal length allows; pywt would only warn
+            code += `level = min(${Math.round(params.level)}, pywt.dwt_max_level(len(data), '${wavelet}'))\n`;
+            code += `if level < 1:\n`;
+            code += `    raise ValueError('Signal is too short for this wavelet')\n`;
+            code += `coeffs = pywt.wavedec(data, '${wavelet}', level=level, mode='periodization')\n`;
+            code += `sigma = np.median(np.abs(coeffs[-1])) / 0.6745  # noise level from the finest details\n`;
+            if (params.rule === 'sure') {
+                code += `def sure_threshold(d, sigma):\n`;
+                code += `    x = np.sort((d / sigma) ** 2)\n`;
+                code += `    n = len(x)\n`;
+                code += `    risk = (n - 2 * np.arange(1, n + 1) + np.cumsum(x) + np.arange(n - 1, -1, -1) * x) / n\n`;
+                code += `    return sigma * min(np.sqrt(x[np.argmin(risk)]), np.sqrt(2 * np.log(n)))\n`;
+                code += `thresholds = [sure_threshold(c, sigma) for c in coeffs[1:]]\n`;
+            } else {
+                code += `thresholds = [sigma * np.sqrt(2 * np.log(len(data)))] * (len(coeffs) - 1)\n`;
+            }
+            code += `coeffs[1:] = [pywt.threshold(c, t, mode='${params.threshold}') for c, t in zip(coeffs[1:], thresholds)]\n`;
+            code += `data = pywt.waverec(coeffs, '${wavelet}', mode='periodization')[:len(data)]\n`;
+            return code;
+        }
+    },
+    {
+        id: 'ica',
+        label: 'ICA (artifact removal)',
+        params: { method: choice(ICA_METHODS, 'fastica'), components: number(20, 1, 64, 1) },
+        multichannel: true,
+        // An unfitted step passes the channels through
+        applyChannels: (channels, step) => {
+            try {
+                if (step.ica) {
+                    const values = removeComponents(step.ica, channels);
+                    return Object.fromEntries(Object.entries(channels).map(([ch, channel]) => [ch, { ...channel, values: values[ch] }]));
+                }
+            } catch (e) {
+                console.error('ICA error:', e);
+            }
+            return channels;
+        },
+        // The stored decomposition as matrices; excluded components are subtracted from the DataFrame columns
+        python: (step) => {
+            if (!step.ica) return `# Not fitted in the app; skipped\n`;
+            const { channels, mean, unmixing, mixing, exclude, method } = step.ica;
+            let code = `# ${ICA_METHODS[method]}, fitted in the app; sources = unmixing @ (x - mean)\n`;
+            code += `ica_channels = ${JSON.stringify(channels)}\n`;
+            code += `ica_mean = np.array(${JSON.stringify(mean)})\n`;
+            code += `ica_unmixing = np.array(${JSON.stringify(unmixing)})\n`;
+            code += `ica_mixing = np.array(${JSON.stringify(mixing)})\n`;
+            code += `ica_exclude = ${JSON.stringify(exclude)}\n`;
+            code += `x = df[ica_channels].values.T\n`;
+            code += `sources = ica_unmixing @ (x - ica_mean[:, None])\n`;
+            code += `df[ica_channels] = (x - ica_mixing[:, ica_exclude] @ sources[ica_exclude]).T\n`;
+            return code;
+        }
+    },
+    customFilter('custom', 'Custom (JavaScript)', 'javascript', ({ source, params }) =>
+        `# Custom JavaScript step; port it by hand. Parameters: ${JSON.stringify(params)}\n` +
+        source.split('\n').map(line => `# ${line}\n`).join('')),
+    customFilter('python', 'Custom (Python)', 'python', ({ params }, { index }) =>
+        `data = ${pythonStepName(index)}(data, sampling_rate, ${JSON.stringify(params)})\n`),
+    {
+        id: 'resample',
+        label: 'Resample',
+        params: {
+            mode: choice(RESAMPLE_MODES, 'decimate'),
+            factor: number(2, 2, 16, 1),
+            rate: number(250, 10, 2000, 1)
+        },
+        inactiveParams: (values) => (values.mode === 'resample' ? ['factor'] : ['rate']),
+        resample: true,
+        applyChannel: (channel, step) => resampleChannel(channel, step.params, channel.rate),
+        // The anti-aliasing lowpass; null when the rate is unchanged
+        response: (step, fs) => resampleFilter(step.params, fs),
+        python: ({ params }, { rate }) => {
+            const [up, down] = resampleFactors(params, rate);
+            const code = params.mode === 'decimate'
+                ? `data = signal.decimate(data, ${down}, ftype='fir')\n`
+                : `data = signal.resample_poly(data, ${up}, ${down})\n`;
+            return code + `sampling_rate = ${rate * up / down}\n`;
+        }
+    }
+].forEach(registerFilter);
+
+export { filterConfigs, filterModules, registerFilter, loadFilterModules, applyStep, pythonStepName };
@@ -0,0 +1,113 @@
+// fir.js - Linear-phase FIR design by the window method (scipy.signal.firwin / kaiserord)
+
+import { getWindow } from './windows.js';
+
+function sinc(x) {
+    if (x === 0) return 1;
+    const y = Math.PI * x;
+    return Math.sin(y) / y;
+}
+
+// Kaiser window beta for a stopband attenuation of `ripple` dB
+function kaiserBeta(ripple) {
+    if (ripple > 50) return 0.1102 * (ripple - 8.7);
+    if (ripple > 21) return 0.5842 * Math.pow(ripple - 21, 0.4) + 0.07886 * (ripple - 21);
+    return 0;
+}
+
+// Tap count and beta for a Kaiser design; width is the transition width as a fraction of Nyquist
+function kaiserord(ripple, width) {
+    const attenuation = Math.abs(ripple);
+    if (attenuation < 8) {
+        throw new Error(`Attenuation of ${attenuation} dB is too small for the Kaiser formula`);
+    }
+    const numtaps = (attenuation - 7.95) / 2.285 / (Math.PI * width) + 1;
+    return { numtaps: Math.ceil(numtaps), beta: kaiserBeta(attenuation) };
+}
+
+// Window-method FIR taps; cutoffs in Hz, btype 'lowpass' | 'highpass' | 'bandpass' | 'bandstop'
+function firwin(numtaps, cutoff, btype, fs, window = 'hamming', beta = 0) {
+    const nyquist = fs / 2;
+    const edges = [].concat(cutoff);
+    if (edges.some(f => !(f > 0 && f < nyquist))) {
+        throw new Error(`Cutoff frequencies must be between 0 and ${nyquist} Hz`);
+    }
+    const band = btype === 'bandpass' || btype === 'bandstop';
+    if (band && !(edges.length === 2 && edges[0] < edges[1])) {
+        throw new Error('Band filters need a low cutoff below the high cutoff');
+    }
+
+    const passZero = btype === 'lowpass' || btype === 'bandstop';
+    const passNyquist = btype === 'highpass' || btype === 'bandstop';
+    if (passNyquist && numtaps % 2 === 0) {
+        throw new Error('Highpass and bandstop FIR filters need an odd number of taps');
+    }
+
+    // Band edges as fractions of Nyquist, paired into passbands
+    const points = [
+        ...(passZero ? [0] : []),
+        ...edges.map(f => f / nyquist),
+        ...(passNyquist ? [1] : [])
+    ];
+    const bands = [];
+    for (let i = 0; i < points.length; i += 2) bands.push([points[i], points[i + 1]]);
+
+    const alpha = (numtaps - 1) / 2;
+    const taps = new Float64Array(numtaps);
+    for (let n = 0; n < numtaps; n++) {
+        const m = n - alpha;
+        bands.forEach(([left, right]) => {
+            taps[n] += right * sinc(right * m) - left * sinc(left * m);
+        });
+    }
+
+    const win = getWindow(window, numtaps, beta);
+    for (let n = 0; n < numtaps; n++) taps[n] *= win[n];
+
+    // Unit gain at DC, at Nyquist, or at the centre of the first passband
+    const [left, right] = bands[0];
+    const scaleFrequency = left === 0 ? 0 : (right === 1 ? 1 : (left + right) / 2);
+    let gain = 0;
+    for (let n = 0; n < numtaps; n++) gain += taps[n] * Math.cos(Math.PI * (n - alpha) * scaleFrequency);
+    for (let n = 0; n < numtaps; n++) taps[n] /= gain;
+
+    return taps;
+}
+
+// Design from step parameters. With the Kaiser window the tap count follows
+// from the transition width (Hz) and stopband attenuation (dB); otherwise from
+// `numtaps`. Tap counts are made odd so the group delay is a whole number of samples.
+function designFir(btype, cutoff, { window, numtaps, transition, ripple }, fs) {
+    let taps = Math.round(numtaps);
+    let beta = 0;
+    if (window === 'kaiser') {
+        ({ numtaps: taps, beta } = kaiserord(ripple, transition / (fs / 2)));
+    }
+    taps = Math.max(3, taps | 1);
+
+    return {
+        taps: firwin(taps, cutoff, btype, fs, window, beta),
+        numtaps: taps,
+        beta,
+        delay: (taps - 1) / 2
+    };
+}
+
+// Convolve and drop the (numtaps - 1) / 2 sample delay (numpy.convolve(signal, taps, mode='same'))
+function firFilter(taps, signal) {
+    const n = signal.length;
+    const m = taps.length;
+    const delay = (m - 1) >> 1;
+    const output = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const centre = i + delay;
+        const kStart = Math.max(0, centre - n + 1);
+        const kEnd = Math.min(m - 1, centre);
+        let sum = 0;
+        for (let k = kStart; k <= kEnd; k++) sum += taps[k] * signal[centre - k];
+        output[i] = sum;
+    }
+    return output;
+}
+
+export { kaiserord, firwin, designFir, firFilter };
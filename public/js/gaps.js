@@ -0,0 +1,252 @@
+// gaps.js - Timestamp gap detection and missing-value repair
+
+import { GAP_FACTOR } from './timing.js';
+
+const REPAIR_STRATEGIES = {
+    drop: 'Drop samples',
+    hold: 'Hold last value',
+    linear: 'Linear interpolation',
+    spline: 'Cubic Hermite interpolation',
+    zero: 'Zero-fill'
+};
+
+// Most placeholder samples a timeline may gain; one stray timestamp or a wrong
+// sampling rate could otherwise ask for billions of them
+const MAX_INSERTED = 1e6;
+
+// Put the samples on a regular grid: rows with unreadable, duplicate or
+// out-of-order timestamps are left out, and every gap in the timestamps gets
+// placeholder slots (source -1) at the nominal sampling interval. Gaps that
+// would take the total past MAX_INSERTED stay as jumps in the timestamps.
+function buildTimeline(times, samplingRate) {
+    const interval = 1 / samplingRate;
+    const out = [];
+    const source = [];
+    let previous = -Infinity;
+    let dropped = 0;
+    let inserted = 0;
+    let gaps = 0;
+    let unfilled = 0;
+
+    for (let i = 0; i < times.length; i++) {
+        const t = times[i];
+        if (isNaN(t) || t <= previous) {
+            dropped++;
+            continue;
+        }
+
+        if (previous !== -Infinity && t - previous > GAP_FACTOR * interval) {
+            const missing = Math.round((t - previous) / interval) - 1;
+            if (inserted + missing > MAX_INSERTED) {
+                unfilled++;
+            } else {
+                for (let k = 1; k <= missing; k++) {
+                    out.push(previous + k * interval);
+                    source.push(-1);
+                }
+                inserted += missing;
+                gaps++;
+            }
+        }
+
+        out.push(t);
+        source.push(i);
+        previous = t;
+    }
+
+    return {
+        times: Float64Array.from(out),
+        source: Int32Array.from(source),
+        dropped,
+        inserted,
+        gaps,
+        unfilled
+    };
+}
+
+function channelOnTimeline(timeline, column) {
+    const values = new Float64Array(timeline.times.length);
+    for (let i = 0; i < values.length; i++) {
+        const src = timeline.source[i];
+        values[i] = src >= 0 ? column[src] : NaN;
+    }
+    return values;
+}
+
+// Count missing samples (NaN values and gap placeholders) and their runs
+function summarizeMissing(timeline, column) {
+    const values = channelOnTimeline(timeline, column);
+    let missing = 0;
+    let runs = 0;
+    let longestRun = 0;
+    let run = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        if (isNaN(values[i])) {
+            missing++;
+            run++;
+            if (run === 1) runs++;
+            longestRun = Math.max(longestRun, run);
+        } else {
+            run = 0;
+        }
+    }
+
+    return { missing, runs, longestRun };
+}
+
+// Returns { times, values, repaired } where repaired flags filled-in samples
+function repairChannel(timeline, column, strategy) {
+    const values = channelOnTimeline(timeline, column);
+    const n = values.length;
+
+    if (strategy === 'drop') {
+        const times = new Float64Array(n);
+        const kept = new Float64Array(n);
+        let count = 0;
+        for (let i = 0; i < n; i++) {
+            if (!isNaN(values[i])) {
+                times[count] = timeline.times[i];
+                kept[count] = values[i];
+                count++;
+            }
+        }
+        return { times: times.slice(0, count), values: kept.slice(0, count), repaired: new Uint8Array(count) };
+    }
+
+    const repaired = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+        if (isNaN(values[i])) repaired[i] = 1;
+    }
+
+    switch (strategy) {
+        case 'hold':
+            holdLast(values);
+            break;
+        case 'linear':
+            interpolateRuns(values, timeline.times, false);
+            break;
+        case 'spline':
+            interpolateRuns(values, timeline.times, true);
+            break;
+        case 'zero':
+            for (let i = 0; i < n; i++) {
+                if (isNaN(values[i])) values[i] = 0;
+            }
+            break;
+    }
+
+    return { times: timeline.times.slice(), values, repaired };
+}
+
+function holdLast(values) {
+    let last = NaN;
+    for (let i = 0; i < values.length; i++) {
+        if (isNaN(values[i])) {
+            values[i] = last;
+        } else {
+            last = values[i];
+        }
+    }
+    // Leading missing samples take the first valid value
+    const first = values.findIndex(v => !isNaN(v));
+    values.fill(first >= 0 ? values[first] : 0, 0, first >= 0 ? first : values.length);
+}
+
+// Fill each NaN run between its valid neighbours, either linearly or with a
+// cubic Hermite segment whose end slopes continue the neighbouring samples.
+// Runs at the start or end of the signal take the nearest valid value.
+function interpolateRuns(values, times, cubic) {
+    const n = values.length;
+    let i = 0;
+
+    while (i < n) {
+        if (!isNaN(values[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        while (i < n && isNaN(values[i])) i++;
+        const left = start - 1;
+        const right = i;
+
+        if (left < 0 && right >= n) {
+            values.fill(0);
+            return;
+        }
+        if (left < 0 || right >= n) {
+            values.fill(left < 0 ? values[right] : values[left], start, right);
+            continue;
+        }
+
+        const t0 = times[left];
+        const t1 = times[right];
+        const y0 = values[left];
+        const y1 = values[right];
+        const span = t1 - t0;
+        const m0 = cubic ? edgeSlope(values, times, left, -1, (y1 - y0) / span) : 0;
+        const m1 = cubic ? edgeSlope(values, times, right, 1, (y1 - y0) / span) : 0;
+
+        for (let k = start; k < right; k++) {
+            const u = (times[k] - t0) / span;
+            if (!cubic) {
+                values[k] = y0 + u * (y1 - y0);
+                continue;
+            }
+            const u2 = u * u;
+            const u3 = u2 * u;
+            values[k] = (2 * u3 - 3 * u2 + 1) * y0 +
+                (u3 - 2 * u2 + u) * span * m0 +
+                (-2 * u3 + 3 * u2) * y1 +
+                (u3 - u2) * span * m1;
+        }
+    }
+}
+
+// Average of the slope across the gap and the slope on the outer side of an edge sample
+function edgeSlope(values, times, index, direction, gapSlope) {
+    const outer = index + direction;
+    if (outer < 0 || outer >= values.length || isNaN(values[outer])) return gapSlope;
+    const outerSlope = (values[index] - values[outer]) / (times[index] - times[outer]);
+    return (outerSlope + gapSlope) / 2;
+}
+
+// Channels repaired with 'drop' may have lost different samples. Returns the
+// times present in every channel and, per channel, the index of each of those
+// times (null when all channels share the same times).
+function alignChannels(signals) {
+    const first = signals[0];
+    if (signals.every(s => sameTimes(s.times, first.times))) {
+        return { times: first.times, indices: signals.map(() => null) };
+    }
+
+    const times = [];
+    const indices = signals.map(() => []);
+    const positions = signals.map(() => 0);
+    while (positions.every((p, s) => p < signals[s].times.length)) {
+        const latest = Math.max(...positions.map((p, s) => signals[s].times[p]));
+        let matched = true;
+        signals.forEach((signal, s) => {
+            while (positions[s] < signal.times.length && signal.times[positions[s]] < latest) positions[s]++;
+            if (positions[s] >= signal.times.length || signal.times[positions[s]] !== latest) matched = false;
+        });
+        if (matched) {
+            times.push(latest);
+            signals.forEach((_, s) => indices[s].push(positions[s]++));
+        }
+    }
+    return { times: Float64Array.from(times), indices };
+}
+
+// Drop repairs can differ anywhere inside the recording, so every time is compared
+function sameTimes(a, b) {
+    if (a === b) return true;
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export { REPAIR_STRATEGIES, MAX_INSERTED, buildTimeline, summarizeMissing, repairChannel, alignChannels };
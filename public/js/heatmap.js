@@ -0,0 +1,125 @@
+// heatmap.js - Canvas heatmaps for time-frequency views (spectrogram, scalogram)
+
+// Viridis, sampled at five stops and interpolated linearly
+const COLOR_STOPS = [
+    [68, 1, 84],
+    [59, 82, 139],
+    [33, 145, 140],
+    [94, 201, 98],
+    [253, 231, 37]
+];
+
+const MARGIN = { left: 55, right: 70, top: 10, bottom: 32 };
+
+function colorAt(t) {
+    const clamped = Math.min(1, Math.max(0, t));
+    const position = clamped * (COLOR_STOPS.length - 1);
+    const i = Math.min(COLOR_STOPS.length - 2, Math.floor(position));
+    const f = position - i;
+    return COLOR_STOPS[i].map((c, j) => Math.round(c + (COLOR_STOPS[i + 1][j] - c) * f));
+}
+
+function formatTick(value) {
+    if (typeof value !== 'number') return value;
+    const magnitude = Math.abs(value);
+    if (magnitude >= 100 || value === 0) return value.toFixed(0);
+    if (magnitude >= 1) return value.toFixed(1);
+    return value.toPrecision(2);
+}
+
+// Value range for the colour scale: the data maximum down to `dynamicRange` below it
+function valueRange(columns, dynamicRange = 80) {
+    let max = -Infinity;
+    let min = Infinity;
+    columns.forEach(column => column.forEach(v => {
+        if (!Number.isFinite(v)) return;
+        if (v > max) max = v;
+        if (v < min) min = v;
+    }));
+    if (max === -Infinity) return { min: 0, max: 1 };
+    return { min: Math.max(min, max - dynamicRange), max: max > min ? max : min + 1 };
+}
+
+// Draw `columns` (one array per x position, indexed by row from the bottom) as
+// a heatmap. Rows and columns are evenly spaced on screen; tick labels are read
+// from `xs` and `ys`, so non-uniform axes (e.g. log-spaced scales) label correctly
+// and string labels (e.g. wavelet levels) are drawn as given.
+function drawHeatmap(canvas, { xs, ys, columns, xLabel = '', yLabel = '', unit = '', range = null }) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.clearRect(0, 0, width, height);
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const cols = columns.length;
+    const rows = cols ? columns[0].length : 0;
+    ctx.fillStyle = '#ccc';
+    ctx.font = '11px sans-serif';
+    if (cols === 0 || rows === 0 || plotWidth <= 0 || plotHeight <= 0) {
+        ctx.fillText('Not enough samples in the selected range', MARGIN.left, MARGIN.top + 15);
+        return;
+    }
+
+    const { min, max } = range || valueRange(columns);
+    const image = ctx.createImageData(cols, rows);
+    for (let c = 0; c < cols; c++) {
+        for (let r = 0; r < rows; r++) {
+            const [red, green, blue] = colorAt((columns[c][r] - min) / (max - min));
+            const offset = ((rows - 1 - r) * cols + c) * 4;
+            image.data[offset] = red;
+            image.data[offset + 1] = green;
+            image.data[offset + 2] = blue;
+            image.data[offset + 3] = 255;
+        }
+    }
+
+    // Scale the one-pixel-per-cell image up to the plot area without smoothing
+    const cells = document.createElement('canvas');
+    cells.width = cols;
+    cells.height = rows;
+    cells.getContext('2d').putImageData(image, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(cells, MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+
+    // Axes
+    ctx.strokeStyle = '#aaa';
+    ctx.strokeRect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let t = 0; t <= 5; t++) {
+        const c = Math.round(t * (cols - 1) / 5);
+        const x = MARGIN.left + (c + 0.5) * plotWidth / cols;
+        ctx.fillText(formatTick(xs[c]), x, MARGIN.top + plotHeight + 4);
+    }
+    ctx.fillText(xLabel, MARGIN.left + plotWidth / 2, height - 13);
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let t = 0; t <= 4; t++) {
+        const r = Math.round(t * (rows - 1) / 4);
+        const y = MARGIN.top + plotHeight - (r + 0.5) * plotHeight / rows;
+        ctx.fillText(formatTick(ys[r]), MARGIN.left - 4, y);
+    }
+    ctx.save();
+    ctx.translate(12, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    // Colour bar
+    const barX = width - MARGIN.right + 12;
+    for (let y = 0; y < plotHeight; y++) {
+        const [red, green, blue] = colorAt(1 - y / plotHeight);
+        ctx.fillStyle = `rgb(${red}, ${green}, ${blue})`;
+        ctx.fillRect(barX, MARGIN.top + y, 10, 1);
+    }
+    ctx.fillStyle = '#ccc';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatTick(max), barX + 14, MARGIN.top + 5);
+    ctx.fillText(formatTick(min), barX + 14, MARGIN.top + plotHeight - 5);
+    ctx.fillText(unit, barX + 14, MARGIN.top + plotHeight / 2);
+}
+
+export { colorAt, valueRange, drawHeatmap };
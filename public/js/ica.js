@@ -0,0 +1,351 @@
+// ica.js - Independent component analysis (FastICA, extended Infomax) for removing blink and heartbeat artifacts
+
+import { alignChannels } from './gaps.js';
+
+const ICA_METHODS = {
+    fastica: 'FastICA (logcosh)',
+    infomax: 'Extended Infomax'
+};
+
+// ---- Small dense matrix helpers (arrays of rows) ----
+
+function matMul(a, b) {
+    return a.map(row => b[0].map((_, j) => row.reduce((sum, v, k) => sum + v * b[k][j], 0)));
+}
+
+function transpose(a) {
+    return a[0].map((_, j) => a.map(row => row[j]));
+}
+
+function identity(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+// Gauss-Jordan elimination with partial pivoting
+function invert(matrix) {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, ...identity(n)[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) throw new Error('The unmixing matrix is singular');
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        const p = a[col][col];
+        for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+        for (let r = 0; r < n; r++) {
+            if (r === col || a[r][col] === 0) continue;
+            const f = a[r][col];
+            for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+        }
+    }
+    return a.map(row => row.slice(n));
+}
+
+// Eigenvalues (descending) and eigenvectors (as columns) of a symmetric matrix, by cyclic Jacobi rotations
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = identity(n);
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+        if (off < 1e-22) break;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: v.map(row => order.map(i => row[i]))
+    };
+}
+
+// (W Wᵀ)^(-1/2) W: the closest matrix to W with orthonormal rows
+function symmetricDecorrelation(w) {
+    const { values, vectors } = symmetricEigen(matMul(w, transpose(w)));
+    const scaled = vectors.map(row => row.map((x, k) => x / Math.sqrt(Math.max(values[k], 1e-300))));
+    return matMul(matMul(scaled, transpose(vectors)), w);
+}
+
+// Seeded generator so a fit can be repeated exactly (mulberry32)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function gaussian(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// rows × data (each data row a Float64Array of samples)
+function project(rows, data) {
+    const length = data[0].length;
+    return rows.map(row => {
+        const out = new Float64Array(length);
+        row.forEach((weight, c) => {
+            if (weight === 0) return;
+            const x = data[c];
+            for (let i = 0; i < length; i++) out[i] += weight * x[i];
+        });
+        return out;
+    });
+}
+
+// ---- Whitening ----
+
+// Center the channels and project them onto the leading principal components,
+// scaled to unit variance. Components are capped at the data rank, which an
+// average reference or a bipolar chain reduces.
+function whiten(data, requested) {
+    const channels = data.length;
+    const length = data[0].length;
+    const mean = data.map(x => x.reduce((sum, v) => sum + v, 0) / length);
+    const centered = data.map((x, c) => Float64Array.from(x, v => v - mean[c]));
+
+    const covariance = Array.from({ length: channels }, () => new Array(channels).fill(0));
+    for (let a = 0; a < channels; a++) {
+        for (let b = a; b < channels; b++) {
+            let sum = 0;
+            for (let i = 0; i < length; i++) sum += centered[a][i] * centered[b][i];
+            covariance[a][b] = covariance[b][a] = sum / length;
+        }
+    }
+
+    const { values, vectors } = symmetricEigen(covariance);
+    const rank = values.filter(v => v > values[0] * 1e-10).length;
+    const count = Math.max(1, Math.min(Math.round(requested) || channels, rank));
+    const whitening = Array.from({ length: count }, (_, k) => vectors.map(row => row[k] / Math.sqrt(values[k])));
+    const dewhitening = vectors.map(row => row.slice(0, count).map((x, k) => x * Math.sqrt(values[k])));
+    const totalVariance = values.reduce((sum, v) => sum + Math.max(v, 0), 0);
+
+    return { mean, whitening, dewhitening, totalVariance, z: project(whitening, centered) };
+}
+
+// ---- Unmixing ----
+
+// Symmetric (parallel) FastICA with g = tanh (Hyvärinen, 1999)
+function fastica(z, { maxIter, tol, random }) {
+    const n = z.length;
+    const length = z[0].length;
+    let w = symmetricDecorrelation(Array.from({ length: n }, () => Array.from({ length: n }, () => gaussian(random))));
+
+    for (let iteration = 1; iteration <= maxIter; iteration++) {
+        const u = project(w, z);
+        const next = u.map((ui, k) => {
+            const row = new Array(n).fill(0);
+            let derivative = 0;
+            for (let i = 0; i < length; i++) {
+                const g = Math.tanh(ui[i]);
+                derivative += 1 - g * g;
+                for (let j = 0; j < n; j++) row[j] += g * z[j][i];
+            }
+            return row.map((v, j) => (v - derivative * w[k][j]) / length);
+        });
+        const updated = symmetricDecorrelation(next);
+
+        // Converged when every new row points the same way as the old one
+        const change = Math.max(...updated.map((row, k) =>
+            Math.abs(Math.abs(row.reduce((sum, v, j) => sum + v * w[k][j], 0)) - 1)));
+        w = updated;
+        if (change < tol) return { w, iterations: iteration, converged: true };
+    }
+    return { w, iterations: maxIter, converged: false };
+}
+
+// Extended Infomax: natural-gradient updates over shuffled blocks, switching
+// each component between super- and sub-Gaussian by the sign of its kurtosis
+// (Lee, Girolami & Sejnowski, 1999)
+function infomax(z, { maxIter, tol, random }) {
+    const n = z.length;
+    const length = z[0].length;
+    const block = Math.max(2, Math.min(length, Math.floor(Math.sqrt(length / 3))));
+    let rate = 0.01 / Math.log(n * n + 1);
+    let w = identity(n);
+    let previousDelta = null;
+    const order = Uint32Array.from({ length }, (_, i) => i);
+
+    for (let iteration = 1; iteration <= maxIter; iteration++) {
+        const signs = project(w, z).map(u => {
+            let m2 = 0;
+            let m4 = 0;
+            for (let i = 0; i < length; i++) {
+                const s = u[i] * u[i];
+                m2 += s;
+                m4 += s * s;
+            }
+            return m4 * length / (m2 * m2) - 3 >= 0 ? 1 : -1;
+        });
+
+        for (let i = length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        const start = w.map(row => [...row]);
+        for (let offset = 0; offset + block <= length; offset += block) {
+            // gradient = (b I - K tanh(U) Uᵀ - U Uᵀ) W over the b samples of the block
+            const u = w.map(row => {
+                const out = new Float64Array(block);
+                for (let b = 0; b < block; b++) {
+                    const i = order[offset + b];
+                    let sum = 0;
+                    for (let j = 0; j < n; j++) sum += row[j] * z[j][i];
+                    out[b] = sum;
+                }
+                return out;
+            });
+            const m = Array.from({ length: n }, (_, a) => Array.from({ length: n }, (_, c) => {
+                let sum = 0;
+                for (let b = 0; b < block; b++) sum += (signs[a] * Math.tanh(u[a][b]) + u[a][b]) * u[c][b];
+                return (a === c ? block : 0) - sum;
+            }));
+            const step = matMul(m, w);
+            w = w.map((row, a) => row.map((v, c) => v + rate * step[a][c]));
+        }
+
+        if (w.some(row => row.some(v => !Number.isFinite(v) || Math.abs(v) > 1e8))) {
+            throw new Error('Infomax diverged; try FastICA or fewer components');
+        }
+
+        // Anneal the learning rate when successive updates turn by more than 60°
+        const delta = w.flatMap((row, a) => row.map((v, c) => v - start[a][c]));
+        const change = delta.reduce((sum, d) => sum + d * d, 0);
+        if (previousDelta) {
+            const dot = delta.reduce((sum, d, i) => sum + d * previousDelta.d[i], 0);
+            const angle = Math.acos(Math.max(-1, Math.min(1, dot / Math.sqrt(change * previousDelta.change)))) * 180 / Math.PI;
+            if (angle > 60) rate *= 0.9;
+        }
+        previousDelta = { d: delta, change };
+        if (change < tol * tol) return { w, iterations: iteration, converged: true };
+    }
+    return { w, iterations: maxIter, converged: false };
+}
+
+// Decompose `data` (one array of samples per channel). Fitting uses at most
+// `maxSamples` evenly spaced samples; the mixing is instantaneous, so a subset
+// estimates it as well as the whole recording. Returns plain arrays so the
+// decomposition can be stored and exported with the pipeline:
+//   sources = unmixing · (x - mean), x - mean = mixing · sources
+// with components sorted by the share of channel variance they explain.
+function fitIca(data, { method = 'fastica', components = data.length, maxIter = 200, tol = 1e-4, seed = 42, maxSamples = 30000 } = {}) {
+    if (data.length < 2) throw new Error('ICA needs at least two channels');
+    const length = data[0].length;
+    const stride = Math.max(1, Math.ceil(length / maxSamples));
+    const subset = data.map(x => Float64Array.from({ length: Math.ceil(length / stride) }, (_, i) => x[i * stride]));
+    if (subset[0].length < 10 * data.length) throw new Error('Not enough samples for ICA');
+
+    const { mean, whitening, dewhitening, totalVariance, z } = whiten(subset, components);
+    const unmix = method === 'infomax' ? infomax : fastica;
+    const { w, iterations, converged } = unmix(z, { maxIter, tol: method === 'infomax' ? 1e-6 : tol, random: seededRandom(seed) });
+
+    // Unit-variance sources: rescale each row of W by the spread of its source
+    const scales = matMul(w, transpose(w)).map((row, k) => Math.sqrt(row[k]));
+    const wScaled = w.map((row, k) => row.map(v => v / scales[k]));
+    let unmixing = matMul(wScaled, whitening);
+    let mixing = matMul(dewhitening, invert(wScaled));
+
+    // Sort by explained variance and make the largest mixing weight of each component positive
+    const variance = transpose(mixing).map(column => column.reduce((sum, v) => sum + v * v, 0) / totalVariance);
+    const order = variance.map((_, k) => k).sort((a, b) => variance[b] - variance[a]);
+    const signs = order.map(k => {
+        const column = mixing.map(row => row[k]);
+        const largest = column.reduce((best, v) => (Math.abs(v) > Math.abs(best) ? v : best), 0);
+        return largest < 0 ? -1 : 1;
+    });
+    unmixing = order.map((k, i) => unmixing[k].map(v => v * signs[i]));
+    mixing = mixing.map(row => order.map((k, i) => row[k] * signs[i]));
+
+    return {
+        method,
+        mean,
+        unmixing,
+        mixing,
+        variance: order.map(k => variance[k]),
+        iterations,
+        converged
+    };
+}
+
+// Gather the decomposition's channels at the times they share
+function alignedData(ica, signals) {
+    const missing = ica.channels.filter(ch => !signals[ch]);
+    if (missing.length > 0) throw new Error(`ICA channels missing: ${missing.join(', ')}`);
+    const { times, indices } = alignChannels(ica.channels.map(ch => signals[ch]));
+    const data = ica.channels.map((ch, c) => {
+        const values = signals[ch].values;
+        const index = indices[c];
+        return index ? Float64Array.from(index, i => values[i]) : Float64Array.from(values);
+    });
+    return { times, indices, data };
+}
+
+// Fit on channels { name: { times, values } } at the times they share; the
+// decomposition carries the channel names and an empty rejection list
+function fitChannels(signals, options) {
+    const channels = Object.keys(signals);
+    const { data } = alignedData({ channels }, signals);
+    return { ...fitIca(data, options), channels, exclude: [] };
+}
+
+// Component time courses for channels { name: { times, values } }
+function icaSources(ica, signals) {
+    const { times, data } = alignedData(ica, signals);
+    const centered = data.map((x, c) => x.map(v => v - ica.mean[c]));
+    return { times, sources: project(ica.unmixing, centered) };
+}
+
+// Channels with the `exclude`d components subtracted: x - mixing[:, exclude] · sources[exclude].
+// Returns { name: values } for every channel in `signals`; samples outside the
+// shared times, and channels not in the decomposition, are passed through.
+function removeComponents(ica, signals, exclude = ica.exclude || []) {
+    const result = Object.fromEntries(Object.entries(signals).map(([ch, s]) => [ch, s.values]));
+    if (exclude.length === 0) return result;
+
+    const { indices, data } = alignedData(ica, signals);
+    const centered = data.map((x, c) => x.map(v => v - ica.mean[c]));
+    const rejected = project(exclude.map(k => ica.unmixing[k]), centered);
+    const contribution = project(ica.mixing.map(row => exclude.map(k => row[k])), rejected);
+
+    ica.channels.forEach((ch, c) => {
+        const out = Float64Array.from(signals[ch].values);
+        const index = indices[c];
+        contribution[c].forEach((v, i) => { out[index ? index[i] : i] -= v; });
+        result[ch] = out;
+    });
+    return result;
+}
+
+export { ICA_METHODS, fitIca, fitChannels, icaSources, removeComponents };
@@ -0,0 +1,530 @@
+// iir.js - IIR filter design (analog prototype + bilinear transform) and second-order-section filtering
+//
+// Follows scipy.signal: butter/cheby1/cheby2/ellip(..., output='sos') designs are built from the
+// same zeros/poles/gain steps and paired into sections the same way as zpk2sos,
+// so sosfilt here and in scipy give the same output for the same parameters.
+
+// Complex numbers are { re, im } objects
+const complex = (re, im = 0) => ({ re, im });
+const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+const sub = (a, b) => complex(a.re - b.re, a.im - b.im);
+const mul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const scale = (a, s) => complex(a.re * s, a.im * s);
+const conj = (a) => complex(a.re, -a.im);
+const abs = (a) => Math.hypot(a.re, a.im);
+
+function div(a, b) {
+    const d = b.re * b.re + b.im * b.im;
+    return complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+}
+
+function sqrt(a) {
+    const r = abs(a);
+    const re = Math.sqrt((r + a.re) / 2);
+    const im = Math.sqrt((r - a.re) / 2);
+    return complex(re, a.im < 0 ? -im : im);
+}
+
+function prod(values) {
+    return values.reduce((acc, v) => mul(acc, v), complex(1));
+}
+
+// Analog Butterworth lowpass prototype with cutoff 1 rad/s
+function buttap(order) {
+    const poles = [];
+    for (let m = -order + 1; m < order; m += 2) {
+        const theta = Math.PI * m / (2 * order);
+        poles.push(complex(-Math.cos(theta), -Math.sin(theta)));
+    }
+    return { z: [], p: poles, k: 1 };
+}
+
+// Chebyshev type I prototype with `rp` dB of passband ripple
+function cheb1ap(order, rp) {
+    const eps = Math.sqrt(Math.pow(10, 0.1 * rp) - 1);
+    const mu = Math.asinh(1 / eps) / order;
+    const poles = [];
+    for (let m = -order + 1; m < order; m += 2) {
+        const theta = Math.PI * m / (2 * order);
+        // -sinh(mu + j*theta)
+        poles.push(complex(-Math.sinh(mu) * Math.cos(theta), -Math.cosh(mu) * Math.sin(theta)));
+    }
+    let k = prod(poles.map(v => scale(v, -1))).re;
+    if (order % 2 === 0) k /= Math.sqrt(1 + eps * eps);
+    return { z: [], p: poles, k };
+}
+
+// Chebyshev type II prototype with `rs` dB of stopband attenuation (stopband edge at 1 rad/s)
+function cheb2ap(order, rs) {
+    const de = 1 / Math.sqrt(Math.pow(10, 0.1 * rs) - 1);
+    const mu = Math.asinh(1 / de) / order;
+
+    const zeros = [];
+    for (let m = -order + 1; m < order; m += 2) {
+        // The zero at infinity of odd orders is left out
+        if (m === 0) continue;
+        zeros.push(complex(0, 1 / Math.sin(m * Math.PI / (2 * order))));
+    }
+
+    const poles = [];
+    for (let m = -order + 1; m < order; m += 2) {
+        const theta = Math.PI * m / (2 * order);
+        const warped = complex(-Math.sinh(mu) * Math.cos(theta), -Math.cosh(mu) * Math.sin(theta));
+        poles.push(div(complex(1), warped));
+    }
+
+    const k = div(prod(poles.map(v => scale(v, -1))), prod(zeros.map(v => scale(v, -1)))).re;
+    return { z: zeros, p: poles, k };
+}
+
+// Complete elliptic integral of the first kind K(m), via the arithmetic-geometric mean
+function ellipk(m) {
+    let a = 1;
+    let b = Math.sqrt(1 - m);
+    while (Math.abs(a - b) > 1e-15 * a) {
+        [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+    }
+    return Math.PI / (2 * a);
+}
+
+// Carlson's symmetric elliptic integral R_F(x, y, z)
+function carlsonRF(x, y, z) {
+    for (let i = 0; i < 100; i++) {
+        const lambda = Math.sqrt(x * y) + Math.sqrt(y * z) + Math.sqrt(z * x);
+        x = (x + lambda) / 4;
+        y = (y + lambda) / 4;
+        z = (z + lambda) / 4;
+        const mean = (x + y + z) / 3;
+        const dx = 1 - x / mean;
+        const dy = 1 - y / mean;
+        const dz = 1 - z / mean;
+        if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) < 1e-9) {
+            const e2 = dx * dy - dz * dz;
+            const e3 = dx * dy * dz;
+            return (1 - e2 / 10 + e3 / 14 + e2 * e2 / 24 - 3 * e2 * e3 / 44) / Math.sqrt(mean);
+        }
+    }
+    return NaN;
+}
+
+// Jacobi elliptic functions sn, cn, dn by descending Landen transformation (as scipy.special.ellipj)
+function ellipj(u, m) {
+    if (m > 1 - 1e-9) {
+        const sech = 1 / Math.cosh(u);
+        return { sn: Math.tanh(u), cn: sech, dn: sech };
+    }
+    const a = [1];
+    const c = [Math.sqrt(m)];
+    let b = Math.sqrt(1 - m);
+    let n = 0;
+    while (Math.abs(c[n] / a[n]) > Number.EPSILON && n < 16) {
+        const an = a[n];
+        a.push((an + b) / 2);
+        c.push((an - b) / 2);
+        b = Math.sqrt(an * b);
+        n++;
+    }
+    let phi = Math.pow(2, n) * a[n] * u;
+    for (; n > 0; n--) {
+        phi = (Math.asin(c[n] * Math.sin(phi) / a[n]) + phi) / 2;
+    }
+    const sn = Math.sin(phi);
+    return { sn, cn: Math.cos(phi), dn: Math.sqrt(1 - m * sn * sn) };
+}
+
+// Real u with sc(u | 1 - m) = w: u = F(arctan w | 1 - m), using sn(ju | m) = j sc(u | 1 - m)
+function arcJacSc1(w, m) {
+    const phi = Math.atan(w);
+    const s = Math.sin(phi);
+    const c = Math.cos(phi);
+    return s * carlsonRF(c * c, 1 - (1 - m) * s * s, 1);
+}
+
+// Solve the degree equation for the elliptic modulus m from order n and m1 (nome series)
+function ellipdeg(n, m1) {
+    const K1 = ellipk(m1);
+    const K1p = ellipk(1 - m1);
+    const q1 = Math.exp(-Math.PI * K1p / K1);
+    const q = Math.pow(q1, 1 / n);
+    let num = 0;
+    let den = 1;
+    for (let i = 0; i <= 7; i++) num += Math.pow(q, i * (i + 1));
+    for (let i = 1; i <= 8; i++) den += 2 * Math.pow(q, i * i);
+    return 16 * q * Math.pow(num / den, 4);
+}
+
+// Elliptic (Cauer) prototype with `rp` dB passband ripple and `rs` dB stopband attenuation
+function ellipap(order, rp, rs) {
+    if (order === 1) {
+        const pole = -Math.sqrt(1 / (Math.pow(10, 0.1 * rp) - 1));
+        return { z: [], p: [complex(pole)], k: -pole };
+    }
+
+    const epsSq = Math.pow(10, 0.1 * rp) - 1;
+    const eps = Math.sqrt(epsSq);
+    const ck1Sq = epsSq / (Math.pow(10, 0.1 * rs) - 1);
+    if (ck1Sq === 0) throw new Error('Cannot design a filter with these ripple and attenuation values');
+
+    const k1 = ellipk(ck1Sq);
+    const m = ellipdeg(order, ck1Sq);
+    const capk = ellipk(m);
+
+    const zeros = [];
+    const jacobi = [];
+    for (let j = 1 - order % 2; j < order; j += 2) {
+        const values = ellipj(j * capk / order, m);
+        jacobi.push(values);
+        if (Math.abs(values.sn) > 2e-16) {
+            zeros.push(complex(0, 1 / (Math.sqrt(m) * values.sn)));
+        }
+    }
+
+    const r = arcJacSc1(1 / eps, ck1Sq);
+    const v0 = capk * r / (order * k1);
+    const { sn: sv, cn: cv, dn: dv } = ellipj(v0, 1 - m);
+
+    const poles = jacobi.map(({ sn, cn, dn }) => {
+        const denominator = 1 - Math.pow(dn * sv, 2);
+        return complex(-(cn * dn * sv * cv) / denominator, -(sn * dv) / denominator);
+    });
+    const conjugates = poles
+        .filter(v => order % 2 === 0 || Math.abs(v.im) > 2e-16 * abs(v))
+        .map(conj);
+
+    const allZeros = zeros.concat(zeros.map(conj));
+    const allPoles = poles.concat(conjugates);
+    let k = div(prod(allPoles.map(v => scale(v, -1))), prod(allZeros.map(v => scale(v, -1)))).re;
+    if (order % 2 === 0) k /= Math.sqrt(1 + epsSq);
+    return { z: allZeros, p: allPoles, k };
+}
+
+function lp2lp({ z, p, k }, wo) {
+    const degree = p.length - z.length;
+    return {
+        z: z.map(v => scale(v, wo)),
+        p: p.map(v => scale(v, wo)),
+        k: k * Math.pow(wo, degree)
+    };
+}
+
+function lp2hp({ z, p, k }, wo) {
+    const degree = p.length - z.length;
+    const gain = div(prod(z.map(v => scale(v, -1))), prod(p.map(v => scale(v, -1))));
+    return {
+        z: z.map(v => div(complex(wo), v)).concat(Array.from({ length: degree }, () => complex(0))),
+        p: p.map(v => div(complex(wo), v)),
+        k: k * gain.re
+    };
+}
+
+function lp2bp({ z, p, k }, wo, bw) {
+    const degree = p.length - z.length;
+    const transform = (roots) => {
+        const lp = roots.map(v => scale(v, bw / 2));
+        const offset = lp.map(v => sqrt(sub(mul(v, v), complex(wo * wo))));
+        return lp.map((v, i) => add(v, offset[i])).concat(lp.map((v, i) => sub(v, offset[i])));
+    };
+    return {
+        z: transform(z).concat(Array.from({ length: degree }, () => complex(0))),
+        p: transform(p),
+        k: k * Math.pow(bw, degree)
+    };
+}
+
+function lp2bs({ z, p, k }, wo, bw) {
+    const degree = p.length - z.length;
+    const transform = (roots) => {
+        const hp = roots.map(v => div(complex(bw / 2), v));
+        const offset = hp.map(v => sqrt(sub(mul(v, v), complex(wo * wo))));
+        return hp.map((v, i) => add(v, offset[i])).concat(hp.map((v, i) => sub(v, offset[i])));
+    };
+    const gain = div(prod(z.map(v => scale(v, -1))), prod(p.map(v => scale(v, -1))));
+    const notchZeros = [];
+    for (let i = 0; i < degree; i++) notchZeros.push(complex(0, wo));
+    for (let i = 0; i < degree; i++) notchZeros.push(complex(0, -wo));
+    return {
+        z: transform(z).concat(notchZeros),
+        p: transform(p),
+        k: k * gain.re
+    };
+}
+
+function bilinear({ z, p, k }, fs) {
+    const fs2 = complex(2 * fs);
+    const degree = p.length - z.length;
+    const gain = div(prod(z.map(v => sub(fs2, v))), prod(p.map(v => sub(fs2, v))));
+    return {
+        z: z.map(v => div(add(fs2, v), sub(fs2, v))).concat(Array.from({ length: degree }, () => complex(-1))),
+        p: p.map(v => div(add(fs2, v), sub(fs2, v))),
+        k: k * gain.re
+    };
+}
+
+// Map an analog lowpass prototype to a digital filter; cutoffs in Hz
+function digitalFromPrototype(prototype, cutoff, btype, fs) {
+    const edges = [].concat(cutoff);
+    const nyquist = fs / 2;
+    if (edges.some(f => !(f > 0 && f < nyquist))) {
+        throw new Error(`Cutoff frequencies must be between 0 and ${nyquist} Hz`);
+    }
+    const band = btype === 'bandpass' || btype === 'bandstop';
+    if (band && !(edges.length === 2 && edges[0] < edges[1])) {
+        throw new Error('Band filters need a low cutoff below the high cutoff');
+    }
+
+    // Pre-warp the edges for the bilinear transform (done at fs = 2, as scipy does)
+    const warped = edges.map(f => 4 * Math.tan(Math.PI * (f / nyquist) / 2));
+    let analog;
+    switch (btype) {
+        case 'lowpass':
+            analog = lp2lp(prototype, warped[0]);
+            break;
+        case 'highpass':
+            analog = lp2hp(prototype, warped[0]);
+            break;
+        case 'bandpass':
+            analog = lp2bp(prototype, Math.sqrt(warped[0] * warped[1]), warped[1] - warped[0]);
+            break;
+        case 'bandstop':
+            analog = lp2bs(prototype, Math.sqrt(warped[0] * warped[1]), warped[1] - warped[0]);
+            break;
+        default:
+            throw new Error(`Unknown filter type: ${btype}`);
+    }
+    return bilinear(analog, 2);
+}
+
+function checkOrder(order) {
+    const n = Math.round(order);
+    if (!(n >= 1)) throw new Error('Filter order must be at least 1');
+    return n;
+}
+
+function checkDecibels(value, name) {
+    if (!(value > 0)) throw new Error(`${name} must be a positive number of dB`);
+    return value;
+}
+
+// Designs as second-order sections, like scipy.signal.<design>(..., btype, fs=fs, output='sos')
+function butter(order, cutoff, btype, fs) {
+    return zpk2sos(digitalFromPrototype(buttap(checkOrder(order)), cutoff, btype, fs));
+}
+
+function cheby1(order, rp, cutoff, btype, fs) {
+    const prototype = cheb1ap(checkOrder(order), checkDecibels(rp, 'Passband ripple'));
+    return zpk2sos(digitalFromPrototype(prototype, cutoff, btype, fs));
+}
+
+function cheby2(order, rs, cutoff, btype, fs) {
+    const prototype = cheb2ap(checkOrder(order), checkDecibels(rs, 'Stopband attenuation'));
+    return zpk2sos(digitalFromPrototype(prototype, cutoff, btype, fs));
+}
+
+function ellip(order, rp, rs, cutoff, btype, fs) {
+    checkDecibels(rp, 'Passband ripple');
+    checkDecibels(rs, 'Stopband attenuation');
+    if (rs <= rp) throw new Error('Stopband attenuation must exceed the passband ripple');
+    return zpk2sos(digitalFromPrototype(ellipap(checkOrder(order), rp, rs), cutoff, btype, fs));
+}
+
+// Split roots into complex ones (positive imaginary part only) followed by real ones
+function cplxreal(roots) {
+    const sorted = roots.slice().sort((a, b) => a.re - b.re || Math.abs(a.im) - Math.abs(b.im));
+    const real = [];
+    const positive = [];
+    sorted.forEach(v => {
+        const tol = 100 * Number.EPSILON * abs(v);
+        if (Math.abs(v.im) <= tol) {
+            real.push(complex(v.re));
+        } else if (v.im > 0) {
+            positive.push(v);
+        }
+    });
+    return positive.concat(real);
+}
+
+const isReal = (v) => v.im === 0;
+
+function nearestIndex(roots, target, which) {
+    let best = -1;
+    let bestDistance = Infinity;
+    roots.forEach((v, i) => {
+        if (which === 'real' && !isReal(v)) return;
+        if (which === 'complex' && isReal(v)) return;
+        const distance = abs(sub(v, target));
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    });
+    return best;
+}
+
+function takeAt(roots, index) {
+    return roots.splice(index, 1)[0];
+}
+
+// Second-order polynomial coefficients [1, c1, c2] with the given (conjugate or real) roots
+function polyFromRoots(roots) {
+    if (roots.length === 0) return [1];
+    if (roots.length === 1) return [1, -roots[0].re];
+    const [r1, r2] = roots;
+    const sum = add(r1, r2);
+    const product = mul(r1, r2);
+    return [1, -sum.re, product.re];
+}
+
+function section(zeros, poles) {
+    const b = polyFromRoots(zeros);
+    const a = polyFromRoots(poles);
+    const sos = [0, 0, 0, 0, 0, 0];
+    b.forEach((c, i) => { sos[3 - b.length + i] = c; });
+    a.forEach((c, i) => { sos[6 - a.length + i] = c; });
+    return sos;
+}
+
+// Pair poles and zeros into sections ('nearest' pairing, as in scipy.signal.zpk2sos)
+function zpk2sos({ z, p, k }) {
+    if (z.length === 0 && p.length === 0) return [[k, 0, 0, 1, 0, 0]];
+
+    let zeros = z.concat(Array.from({ length: Math.max(p.length - z.length, 0) }, () => complex(0)));
+    let poles = p.concat(Array.from({ length: Math.max(z.length - p.length, 0) }, () => complex(0)));
+    const sectionCount = Math.floor((poles.length + 1) / 2);
+    if (poles.length % 2 === 1) {
+        poles.push(complex(0));
+        zeros.push(complex(0));
+    }
+    zeros = cplxreal(zeros);
+    poles = cplxreal(poles);
+
+    const sections = [];
+    for (let s = 0; s < sectionCount; s++) {
+        // Poles closest to the unit circle are paired first and end up last in the cascade
+        let worst = 0;
+        poles.forEach((v, i) => {
+            if (Math.abs(1 - abs(v)) < Math.abs(1 - abs(poles[worst]))) worst = i;
+        });
+        const p1 = takeAt(poles, worst);
+        const realPolesLeft = poles.filter(isReal).length;
+
+        if (isReal(p1) && realPolesLeft === 0) {
+            // Last remaining real pole
+            const z1 = takeAt(zeros, nearestIndex(zeros, p1, 'real'));
+            sections.push(section([z1, complex(0)], [p1, complex(0)]));
+        } else if (poles.length + 1 === zeros.length && !isReal(p1) &&
+                   realPolesLeft === 1 && zeros.filter(isReal).length === 1) {
+            // One real pole and one real zero left: this complex pole must take a complex zero
+            const z1 = takeAt(zeros, nearestIndex(zeros, p1, 'complex'));
+            sections.push(section([z1, conj(z1)], [p1, conj(p1)]));
+        } else {
+            let p2;
+            if (isReal(p1)) {
+                let nearest = -1;
+                poles.forEach((v, i) => {
+                    if (!isReal(v)) return;
+                    if (nearest < 0 || Math.abs(abs(v) - 1) < Math.abs(abs(poles[nearest]) - 1)) nearest = i;
+                });
+                p2 = takeAt(poles, nearest);
+            } else {
+                p2 = conj(p1);
+            }
+
+            if (zeros.length === 0) {
+                sections.push(section([], [p1, p2]));
+                continue;
+            }
+            const z1 = takeAt(zeros, nearestIndex(zeros, p1, 'any'));
+            if (!isReal(z1)) {
+                sections.push(section([z1, conj(z1)], [p1, p2]));
+            } else if (zeros.length > 0) {
+                const z2 = takeAt(zeros, nearestIndex(zeros, p1, 'real'));
+                sections.push(section([z1, z2], [p1, p2]));
+            } else {
+                sections.push(section([z1], [p1, p2]));
+            }
+        }
+    }
+
+    sections.reverse();
+    for (let i = 0; i < 3; i++) sections[0][i] *= k;
+    return sections;
+}
+
+// Notch (band-reject) biquad as a single section, like scipy.signal.iirnotch(freq, quality, fs=fs)
+function iirnotch(freq, quality, fs) {
+    if (!(freq > 0 && freq < fs / 2)) {
+        throw new Error(`Notch frequency must be between 0 and ${fs / 2} Hz`);
+    }
+    if (!(quality > 0)) throw new Error('Quality factor must be positive');
+    const w0 = 2 * Math.PI * freq / fs;
+    const bandwidth = w0 / quality;
+    // -3 dB bandwidth: with gb = 1/sqrt(2), beta reduces to tan(bw/2)
+    const gain = 1 / (1 + Math.tan(bandwidth / 2));
+    const cos = Math.cos(w0);
+    return [[gain, -2 * gain * cos, gain, 1, -2 * gain * cos, 2 * gain - 1]];
+}
+
+// Cascade of direct form II transposed biquads (scipy.signal.sosfilt).
+// `zi` optionally gives the [z1, z2] state of each section; otherwise the filter starts at rest.
+function sosfilt(sos, signal, zi) {
+    const output = Float64Array.from(signal);
+    sos.forEach(([b0, b1, b2, a0, a1, a2], s) => {
+        const nb0 = b0 / a0, nb1 = b1 / a0, nb2 = b2 / a0;
+        const na1 = a1 / a0, na2 = a2 / a0;
+        let z1 = zi ? zi[s][0] : 0;
+        let z2 = zi ? zi[s][1] : 0;
+        for (let i = 0; i < output.length; i++) {
+            const x = output[i];
+            const y = nb0 * x + z1;
+            z1 = nb1 * x - na1 * y + z2;
+            z2 = nb2 * x - na2 * y;
+            output[i] = y;
+        }
+    });
+    return output;
+}
+
+// Section states for a step response at steady state (scipy.signal.sosfilt_zi)
+function sosfiltZi(sos) {
+    let gain = 1;
+    return sos.map(([b0, b1, b2, a0, a1, a2]) => {
+        const nb0 = b0 / a0, nb1 = b1 / a0, nb2 = b2 / a0;
+        const na1 = a1 / a0, na2 = a2 / a0;
+        // Solve (I - A^T) zi = B for this section's companion matrix A (lfilter_zi)
+        const B0 = nb1 - na1 * nb0;
+        const B1 = nb2 - na2 * nb0;
+        const z1 = (B0 + B1) / (1 + na1 + na2);
+        const z2 = B1 - na2 * z1;
+        const zi = [gain * z1, gain * z2];
+        gain *= (nb0 + nb1 + nb2) / (1 + na1 + na2);
+        return zi;
+    });
+}
+
+// Zero-phase forward-backward filtering with odd extension at both ends (scipy.signal.sosfiltfilt)
+function sosfiltfilt(sos, signal) {
+    const trailingZeros = Math.min(sos.filter(s => s[2] === 0).length, sos.filter(s => s[5] === 0).length);
+    const padlen = 3 * (2 * sos.length + 1 - trailingZeros);
+    const n = signal.length;
+    if (n <= padlen) {
+        throw new Error(`Zero-phase filtering needs more than ${padlen} samples`);
+    }
+
+    const extended = new Float64Array(n + 2 * padlen);
+    for (let i = 0; i < padlen; i++) {
+        extended[i] = 2 * signal[0] - signal[padlen - i];
+        extended[padlen + n + i] = 2 * signal[n - 1] - signal[n - 2 - i];
+    }
+    for (let i = 0; i < n; i++) extended[padlen + i] = signal[i];
+
+    const zi = sosfiltZi(sos);
+    const scaled = (x0) => zi.map(([z1, z2]) => [z1 * x0, z2 * x0]);
+
+    const forward = sosfilt(sos, extended, scaled(extended[0]));
+    forward.reverse();
+    const backward = sosfilt(sos, forward, scaled(forward[0]));
+    backward.reverse();
+    return backward.slice(padlen, padlen + n);
+}
+
+export { butter, cheby1, cheby2, ellip, iirnotch, zpk2sos, sosfilt, sosfiltfilt };
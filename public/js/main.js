@@ -1,16 +1,40 @@
 // main.js - Main application logic for index.html
 
-// Global state
+import { readEDF, readBDF, readBrainVision, brainVisionFileNames, recordingToColumns } from './fileHandler.js';
+import { TIME_UNITS, detectTimeUnit, parseTimestamps, analyzeTiming } from './timing.js';
+import { REPAIR_STRATEGIES, MAX_INSERTED, buildTimeline, summarizeMissing } from './gaps.js';
+import { MONTAGE_TYPES, doubleBananaPairs, parsePairs, formatPairs } from './montage.js';
+import { FUNCTIONS, parseExpression, evaluateExpression, checkDerivedName } from './expressions.js';
+import { createRecording, listRecordings, deleteRecording, loadSession, saveSession, openRecording } from './workspace.js';
+
+// Global state (metadata only; sample data lives in columnData)
 window.appState = {
-    rawData: null,
-    parsedData: null,
     fileName: '',
+    format: 'csv',
     columns: [],
+    annotations: [],
+    units: {},
+    skippedChannels: [],
+    length: 0,
     selectedTimestamp: null,
+    timeUnit: 's',
     selectedChannels: [],
-    samplingRate: 250
+    samplingRate: 250,
+    repairStrategies: {},
+    montage: { type: 'none', reference: [], pairs: [], keepOriginal: false },
+    derivedChannels: []
 };
 
+// Column name -> Float64Array/Float32Array (or string array for text columns)
+let columnData = null;
+// Derived channel name -> Float64Array; kept apart so they are not stored with the recording
+let derivedData = {};
+let parseWorker = null;
+// Selected timestamp column converted to seconds
+let timestampSeconds = null;
+// Workspace id once the loaded file has been stored
+let currentRecordingId = null;
+
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', () => {
     initializeApp();
@@ -32,9 +56,8 @@ function initializeApp() {
 
     // File input change
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFile(file);
+        if (e.target.files.length > 0) {
+            handleFiles(e.target.files);
         }
     });
 
@@ -51,9 +74,8 @@ function initializeApp() {
     dropzone.addEventListener('drop', (e) => {
         e.preventDefault();
         dropzone.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            handleFile(file);
+        if (e.dataTransfer.files.length > 0) {
+            handleFiles(e.dataTransfer.files);
         }
     });
 
@@ -75,47 +97,184 @@ function initializeApp() {
     btnPipeline.addEventListener('click', () => {
         saveConfigAndNavigate('pipeline.html');
     });
+
+    document.getElementById('cancelParse').addEventListener('click', cancelParse);
+
+    // Timing analysis follows the chosen timestamp column and format
+    document.getElementById('timestampCol').addEventListener('change', (e) => {
+        document.getElementById('timeUnit').value = detectTimeUnit(columnData[e.target.value]);
+        renderChannelCheckboxes();
+        updateTimingAnalysis();
+    });
+    document.getElementById('timeUnit').addEventListener('change', updateTimingAnalysis);
+    document.getElementById('samplingRate').addEventListener('change', renderMissingData);
+    document.getElementById('channelCheckboxes').addEventListener('change', renderMissingData);
+    document.getElementById('channelCheckboxes').addEventListener('change', renderMontageOptions);
+    document.getElementById('montageType').addEventListener('change', renderMontageOptions);
+
+    renderRecentRecordings();
+}
+
+function handleFiles(fileList) {
+    const files = Array.from(fileList);
+
+    // A BrainVision set is selected together: header + marker + data
+    const header = files.find(f => f.name.match(/\.vhdr$/i));
+    if (header) {
+        handleBrainVisionFiles(header, files);
+        return;
+    }
+    if (files.some(f => f.name.match(/\.(eeg|vmrk)$/i))) {
+        alert('For BrainVision data, select the .vhdr, .vmrk and .eeg files together');
+        return;
+    }
+
+    handleFile(files[0]);
 }
 
 function handleFile(file) {
-    if (!file.name.match(/\.(csv|txt)$/i)) {
-        alert('Please upload a CSV or TXT file');
+    if (!file.name.match(/\.(csv|txt|edf|bdf)$/i)) {
+        alert('Please upload a CSV, TXT, EDF, BDF or BrainVision file');
         return;
     }
 
-    window.appState.fileName = file.name;
-    
-    // Show file info
-    document.getElementById('fileName').textContent = file.name;
-    document.getElementById('fileSize').textContent = formatBytes(file.size);
-    document.getElementById('fileInfo').style.display = 'block';
+    showFileInfo(file.name, file.size);
 
-    // Parse CSV
-    Papa.parse(file, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-            handleParsedData(results);
-        },
-        error: (error) => {
-            alert('Error parsing file: ' + error.message);
+    if (file.name.match(/\.edf$/i)) {
+        file.arrayBuffer()
+            .then(buffer => handleRecording(readEDF(buffer)))
+            .catch(err => alert('Error reading EDF file: ' + err.message));
+        return;
+    }
+    if (file.name.match(/\.bdf$/i)) {
+        file.arrayBuffer()
+            .then(buffer => handleRecording(readBDF(buffer)))
+            .catch(err => alert('Error reading BDF file: ' + err.message));
+        return;
+    }
+
+    window.appState.format = 'csv';
+    window.appState.annotations = [];
+    window.appState.units = {};
+    window.appState.skippedChannels = [];
+
+    parseCSV(file);
+}
+
+// CSV files are parsed in chunks by a worker so large recordings don't block the page
+function parseCSV(file) {
+    cancelParse();
+    showProgress(0);
+
+    parseWorker = new Worker(new URL('./csvWorker.js', import.meta.url));
+    parseWorker.onmessage = (e) => {
+        const msg = e.data;
+        switch (msg.type) {
+            case 'progress':
+                showProgress(msg.loaded / msg.total);
+                break;
+            case 'complete':
+                finishParse();
+                handleColumnarData(msg.columns, msg.data, msg.length);
+                break;
+            case 'error':
+                finishParse();
+                alert('Error parsing file: ' + msg.message);
+                break;
         }
-    });
+    };
+    parseWorker.onerror = (e) => {
+        finishParse();
+        alert('Error parsing file: ' + e.message);
+    };
+    parseWorker.postMessage({ file });
 }
 
-function handleParsedData(results) {
-    const data = results.data;
-    
-    if (data.length === 0) {
+function cancelParse() {
+    if (parseWorker) {
+        parseWorker.terminate();
+    }
+    finishParse();
+}
+
+function finishParse() {
+    parseWorker = null;
+    document.getElementById('parseProgress').style.display = 'none';
+}
+
+function showProgress(fraction) {
+    const percent = Math.round(Math.min(1, fraction) * 100);
+    document.getElementById('parseProgress').style.display = 'block';
+    document.getElementById('parseProgressBar').style.width = percent + '%';
+    document.getElementById('parseProgressText').textContent = `Parsing… ${percent}%`;
+}
+
+async function handleBrainVisionFiles(headerFile, files) {
+    const findFile = (name, extension) => {
+        const base = headerFile.name.replace(/\.vhdr$/i, '');
+        return files.find(f => name && f.name.toLowerCase() === name.toLowerCase()) ||
+            files.find(f => f.name.toLowerCase() === (base + extension).toLowerCase());
+    };
+
+    try {
+        const headerText = await headerFile.text();
+        const names = brainVisionFileNames(headerText);
+        const dataFile = findFile(names.dataFile, '.eeg');
+        const markerFile = findFile(names.markerFile, '.vmrk');
+
+        if (!dataFile) {
+            alert(`Data file "${names.dataFile || 'unknown'}" was not selected. Select the .vhdr, .vmrk and .eeg files together.`);
+            return;
+        }
+
+        showFileInfo(headerFile.name, headerFile.size + dataFile.size + (markerFile ? markerFile.size : 0));
+
+        const [dataBuffer, markerText] = await Promise.all([
+            dataFile.arrayBuffer(),
+            markerFile ? markerFile.text() : Promise.resolve(null)
+        ]);
+        handleRecording(readBrainVision(headerText, dataBuffer, markerText));
+    } catch (err) {
+        alert('Error reading BrainVision files: ' + err.message);
+    }
+}
+
+function showFileInfo(name, size) {
+    window.appState.fileName = name;
+
+    document.getElementById('fileName').textContent = name;
+    document.getElementById('fileSize').textContent = formatBytes(size);
+    document.getElementById('fileInfo').style.display = 'block';
+}
+
+function handleRecording(recording) {
+    const { columns, data, length, samplingRate, units, skipped } = recordingToColumns(recording);
+
+    window.appState.format = recording.format;
+    window.appState.annotations = recording.annotations;
+    window.appState.units = units;
+    window.appState.skippedChannels = skipped;
+    window.appState.samplingRate = samplingRate;
+
+    handleColumnarData(columns, data, length);
+}
+
+function handleColumnarData(columns, data, length) {
+    if (length === 0) {
         alert('No data found in file');
         return;
     }
 
-    window.appState.parsedData = data;
-    window.appState.columns = Object.keys(data[0]);
+    columnData = data;
+    currentRecordingId = null;
+    window.appState.columns = columns;
+    window.appState.repairStrategies = {};
+    window.appState.montage = { type: 'none', reference: [], pairs: [], keepOriginal: false };
+    window.appState.derivedChannels = [];
+    derivedData = {};
+    window.appState.length = length;
     
-    document.getElementById('fileRows').textContent = data.length.toLocaleString();
+    document.getElementById('fileRows').textContent = length.toLocaleString();
 
     // Show preview modal
     showPreviewModal();
@@ -124,7 +283,7 @@ function handleParsedData(results) {
 function showPreviewModal() {
     const modal = document.getElementById('previewModal');
     const timestampCol = document.getElementById('timestampCol');
-    const channelCheckboxes = document.getElementById('channelCheckboxes');
+    const timeUnit = document.getElementById('timeUnit');
     const previewTable = document.getElementById('previewTable');
     const samplingRateInput = document.getElementById('samplingRate');
 
@@ -141,34 +300,358 @@ function showPreviewModal() {
         timestampCol.value = timeCol;
     }
 
+    timeUnit.innerHTML = Object.entries(TIME_UNITS).map(([value, label]) =>
+        `<option value="${value}">${label}</option>`
+    ).join('');
+    timeUnit.value = detectTimeUnit(columnData[timestampCol.value]);
+
+    document.getElementById('channelCheckboxes').innerHTML = '';
+    renderChannelCheckboxes();
+    renderDerivedChannels();
+
+    // Binary formats declare their sampling rate; CSV rates come from the timing analysis
+    if (window.appState.format !== 'csv') {
+        samplingRateInput.value = window.appState.samplingRate;
+    }
+    updateTimingAnalysis();
+
+    document.getElementById('montageType').innerHTML = Object.entries(MONTAGE_TYPES).map(([value, label]) =>
+        `<option value="${value}">${label}</option>`
+    ).join('');
+    document.getElementById('montageType').value = window.appState.montage.type;
+    document.getElementById('montageOptions').innerHTML = '';
+    renderMontageOptions();
+
+    renderRecordingInfo();
+
+    // Render preview table
+    renderPreviewTable(previewTable);
+
+    modal.style.display = 'flex';
+}
+
+function renderChannelCheckboxes() {
+    const timestampCol = document.getElementById('timestampCol').value;
+    const channelCheckboxes = document.getElementById('channelCheckboxes');
+    const checked = new Set(Array.from(channelCheckboxes.querySelectorAll('input:checked'), cb => cb.value));
+
     // Populate channel checkboxes
     channelCheckboxes.innerHTML = window.appState.columns
-        .filter(col => col !== timestampCol.value)
+        .filter(col => col !== timestampCol && !Array.isArray(columnData[col]))
+        .concat(Object.keys(derivedData))
         .map(col => `
             <label class="checkbox-label">
-                <input type="checkbox" value="${col}" ${col.toLowerCase().includes('ch') ? 'checked' : ''}>
+                <input type="checkbox" value="${col}" ${checked.has(col) || isDefaultChannel(col) ? 'checked' : ''}>
                 <span>${col}</span>
             </label>
         `).join('');
+}
 
-    // Auto-detect sampling rate
-    if (window.appState.parsedData.length > 1) {
-        const firstCol = window.appState.columns[0];
-        const dt = window.appState.parsedData[1][firstCol] - window.appState.parsedData[0][firstCol];
-        if (dt > 0 && dt < 1) {
-            const estimatedSR = Math.round(1 / dt);
-            samplingRateInput.value = estimatedSR;
-        }
+function updateTimingAnalysis() {
+    const timestampCol = document.getElementById('timestampCol').value;
+    const unit = document.getElementById('timeUnit').value;
+    timestampSeconds = parseTimestamps(columnData[timestampCol], unit);
+    const timing = analyzeTiming(timestampSeconds);
+
+    if (window.appState.format === 'csv' && isFinite(timing.samplingRate)) {
+        document.getElementById('samplingRate').value = Math.round(timing.samplingRate * 1000) / 1000;
     }
 
-    // Render preview table
-    renderPreviewTable(previewTable);
+    renderTimingSummary(timing);
+    renderMissingData();
+}
 
-    modal.style.display = 'flex';
+function renderTimingSummary(timing) {
+    const container = document.getElementById('timingSummary');
+
+    if (!isFinite(timing.medianInterval)) {
+        container.innerHTML = '<p class="timing-warning">Could not read timestamps in this column with the selected format.</p>';
+        return;
+    }
+
+    const rows = [
+        ['Samples', timing.samples.toLocaleString()],
+        ['Duration', formatSeconds(timing.duration)],
+        ['Median interval', formatSeconds(timing.medianInterval)],
+        ['Mean interval', formatSeconds(timing.meanInterval)],
+        ['Estimated rate', `${timing.samplingRate.toFixed(3)} Hz`],
+        ['Jitter (std / max)', `${formatSeconds(timing.jitterStd)} / ${formatSeconds(timing.jitterMax)}`]
+    ];
+
+    const warnings = [];
+    if (timing.gaps.length > 0) {
+        const largest = timing.gaps.reduce((a, b) => (b.duration > a.duration ? b : a));
+        warnings.push(`${timing.gaps.length} gap${timing.gaps.length === 1 ? '' : 's'} ` +
+            `(~${timing.missingSamples.toLocaleString()} missing samples, largest ${formatSeconds(largest.duration)} ` +
+            `at ${formatSeconds(largest.time - timing.start)})`);
+    }
+    if (timing.duplicates > 0) {
+        warnings.push(`${timing.duplicates.toLocaleString()} duplicate timestamp${timing.duplicates === 1 ? '' : 's'}`);
+    }
+    if (timing.outOfOrder > 0) {
+        warnings.push(`${timing.outOfOrder.toLocaleString()} out-of-order sample${timing.outOfOrder === 1 ? '' : 's'}`);
+    }
+    if (timing.invalid > 0) {
+        warnings.push(`${timing.invalid.toLocaleString()} unreadable timestamp${timing.invalid === 1 ? '' : 's'}`);
+    }
+
+    container.innerHTML = `
+        <table>${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}</table>
+        ${warnings.length > 0
+            ? warnings.map(w => `<p class="timing-warning">⚠ ${w}</p>`).join('')
+            : '<p class="timing-ok">✓ Regular sampling: no gaps, duplicates or out-of-order samples</p>'}
+    `;
+}
+
+// Missing samples per selected channel (NaN values plus timestamp gaps) and how to repair them
+function renderMissingData() {
+    const container = document.getElementById('missingData');
+    const samplingRate = parseFloat(document.getElementById('samplingRate').value);
+    const channels = Array.from(document.querySelectorAll('#channelCheckboxes input:checked'), cb => cb.value);
+
+    // Keep choices made before the table is redrawn
+    container.querySelectorAll('select[data-channel]').forEach(select => {
+        window.appState.repairStrategies[select.dataset.channel] = select.value;
+    });
+
+    if (!(samplingRate > 0) || channels.length === 0) {
+        container.innerHTML = '<p>Select channels and a sampling rate to check for missing data.</p>';
+        return;
+    }
+
+    const timeline = buildTimeline(timestampSeconds, samplingRate);
+    const options = Object.entries(REPAIR_STRATEGIES);
+    let rows = '';
+    let affected = 0;
+
+    channels.forEach(channel => {
+        const { missing, runs, longestRun } = summarizeMissing(timeline, derivedData[channel] || columnData[channel]);
+        if (missing === 0) return;
+        affected++;
+        const strategy = window.appState.repairStrategies[channel] || 'drop';
+        rows += `
+            <tr>
+                <td>${channel}</td>
+                <td>${missing.toLocaleString()} in ${runs.toLocaleString()} run${runs === 1 ? '' : 's'} (longest ${longestRun.toLocaleString()})</td>
+                <td>
+                    <select class="input-field" data-channel="${channel}">
+                        ${options.map(([value, label]) =>
+                            `<option value="${value}" ${value === strategy ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                </td>
+            </tr>`;
+    });
+
+    let html = '';
+    if (timeline.inserted > 0) {
+        html += `<p class="timing-warning">⚠ ${timeline.gaps.toLocaleString()} timestamp gap${timeline.gaps === 1 ? '' : 's'} ` +
+            `leave ${timeline.inserted.toLocaleString()} samples missing in every channel</p>`;
+    }
+    if (timeline.unfilled > 0) {
+        html += `<p class="timing-warning">⚠ ${timeline.unfilled.toLocaleString()} more gap${timeline.unfilled === 1 ? '' : 's'} ` +
+            `would need over ${MAX_INSERTED.toLocaleString()} missing samples in total and will not be filled; ` +
+            'check the sampling rate and timestamp column</p>';
+    }
+    if (timeline.dropped > 0) {
+        html += `<p class="timing-warning">⚠ ${timeline.dropped.toLocaleString()} rows with unreadable, duplicate ` +
+            'or out-of-order timestamps will be left out</p>';
+    }
+    html += affected > 0
+        ? `<table>${rows}</table>`
+        : '<p class="timing-ok">✓ No missing samples in the selected channels</p>';
+
+    container.innerHTML = html;
+}
+
+// Keep what was entered before the options are redrawn
+function readMontageOptions() {
+    const montage = window.appState.montage;
+    const container = document.getElementById('montageOptions');
+    const refs = container.querySelectorAll('input[data-reference]');
+    if (refs.length > 0) montage.reference = Array.from(refs).filter(cb => cb.checked).map(cb => cb.value);
+    const pairs = document.getElementById('montagePairs');
+    if (pairs) montage.pairsText = pairs.value;
+    const keep = document.getElementById('montageKeepOriginal');
+    if (keep) montage.keepOriginal = keep.checked;
+    return montage;
+}
+
+function renderMontageOptions() {
+    const montage = readMontageOptions();
+    const container = document.getElementById('montageOptions');
+    const channels = Array.from(document.querySelectorAll('#channelCheckboxes input:checked'), cb => cb.value);
+    montage.type = document.getElementById('montageType').value;
+
+    let html = '';
+    if (montage.type === 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    if (montage.type === 'average') {
+        html += `<p>Each channel minus the mean of all ${channels.length} selected channels.</p>`;
+    } else if (montage.type === 'reference') {
+        html += '<p>Subtract one channel, or the average of several (e.g. both mastoids):</p><div class="checkbox-group">';
+        html += channels.map(ch => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-reference value="${ch}" ${montage.reference.includes(ch) ? 'checked' : ''}>
+                <span>${ch}</span>
+            </label>
+        `).join('');
+        html += '</div>';
+    } else if (montage.type === 'bipolar') {
+        const text = montage.pairsText !== undefined ? montage.pairsText : formatPairs(montage.pairs);
+        html += `
+            <p>One pair per line, e.g. <code>Fp1-F7</code> (first minus second):</p>
+            <textarea id="montagePairs" class="input-field">${text}</textarea>
+            <button type="button" class="btn btn-secondary" id="doubleBanana">Double banana</button>
+            <p id="montagePairsStatus"></p>
+        `;
+    }
+    html += `
+        <label class="checkbox-label">
+            <input type="checkbox" id="montageKeepOriginal" ${montage.keepOriginal ? 'checked' : ''}>
+            <span>Keep the original channels too</span>
+        </label>
+    `;
+    container.innerHTML = html;
+    container.style.display = '';
+
+    const pairsInput = document.getElementById('montagePairs');
+    if (pairsInput) {
+        const showStatus = () => {
+            const { pairs, unknown } = parsePairs(pairsInput.value, channels);
+            document.getElementById('montagePairsStatus').innerHTML = unknown.length > 0
+                ? `<span class="timing-warning">⚠ Not among the selected channels: ${unknown.join(', ')}</span>`
+                : `<span class="timing-ok">✓ ${pairs.length} derived channel${pairs.length === 1 ? '' : 's'}</span>`;
+        };
+        pairsInput.addEventListener('input', showStatus);
+        document.getElementById('doubleBanana').addEventListener('click', () => {
+            pairsInput.value = formatPairs(doubleBananaPairs(channels));
+            showStatus();
+        });
+        showStatus();
+    }
+}
+
+// Channels computed from an expression over the recorded (and earlier derived) ones
+function renderDerivedChannels() {
+    const container = document.getElementById('derivedChannels');
+    const items = window.appState.derivedChannels.map(({ name, expression }) => `
+        <div class="derived-item">
+            <span><strong>${name}</strong> = <code>${expression}</code></span>
+            <button type="button" class="recent-delete" data-name="${name}" title="Remove">×</button>
+        </div>
+    `).join('');
+    container.innerHTML = `
+        ${items}
+        <div class="derived-form">
+            <input type="text" id="derivedName" class="input-field" placeholder="Name, e.g. magnitude">
+            <input type="text" id="derivedExpression" class="input-field" placeholder="e.g. sqrt(ax^2 + ay^2 + az^2)">
+            <button type="button" class="btn btn-secondary" id="addDerived">Add</button>
+        </div>
+        <p id="derivedStatus" class="derived-help">Channel names (in quotes if they contain spaces or dashes), numbers,
+            <code>+ - * / % ^</code> and ${Object.keys(FUNCTIONS).join(', ')}.</p>
+    `;
+
+    document.getElementById('addDerived').addEventListener('click', addDerivedChannel);
+    container.querySelectorAll('button[data-name]').forEach(btn => {
+        btn.addEventListener('click', () => removeDerivedChannel(btn.dataset.name));
+    });
+}
+
+function showDerivedError(message) {
+    document.getElementById('derivedStatus').innerHTML = `<span class="timing-warning">⚠ ${message}</span>`;
+}
+
+function addDerivedChannel() {
+    const name = document.getElementById('derivedName').value.trim();
+    const expression = document.getElementById('derivedExpression').value.trim();
+    const problem = checkDerivedName(name, [...window.appState.columns, ...Object.keys(derivedData)]);
+    if (problem) {
+        showDerivedError(problem);
+        return;
+    }
+    try {
+        derivedData[name] = evaluateExpression(expression, { ...columnData, ...derivedData });
+    } catch (e) {
+        showDerivedError(e.message);
+        return;
+    }
+    window.appState.derivedChannels.push({ name, expression });
+
+    // A new channel starts selected
+    renderChannelCheckboxes();
+    const checkbox = Array.from(document.querySelectorAll('#channelCheckboxes input'))
+        .find(cb => cb.value === name);
+    checkbox.checked = true;
+    renderDerivedChannels();
+    renderMissingData();
+    renderMontageOptions();
+}
+
+function removeDerivedChannel(name) {
+    const names = [...window.appState.columns, ...Object.keys(derivedData)];
+    const user = window.appState.derivedChannels.find(d =>
+        d.name !== name && parseExpression(d.expression, names).channels.includes(name));
+    if (user) {
+        showDerivedError(`${name} is used by ${user.name}; remove that first`);
+        return;
+    }
+    window.appState.derivedChannels = window.appState.derivedChannels.filter(d => d.name !== name);
+    delete derivedData[name];
+    renderChannelCheckboxes();
+    renderDerivedChannels();
+    renderMissingData();
+    renderMontageOptions();
+}
+
+function formatSeconds(seconds) {
+    if (!isFinite(seconds)) return '—';
+    const abs = Math.abs(seconds);
+    if (abs >= 3600) return (seconds / 3600).toFixed(2) + ' h';
+    if (abs >= 60) return (seconds / 60).toFixed(2) + ' min';
+    if (abs >= 1) return seconds.toFixed(3) + ' s';
+    if (abs >= 1e-3 || abs === 0) return (seconds * 1e3).toFixed(3) + ' ms';
+    return (seconds * 1e6).toFixed(3) + ' µs';
+}
+
+function isDefaultChannel(col) {
+    // Binary recordings only contain signals, so select them all
+    if (window.appState.format !== 'csv') return true;
+    return col.toLowerCase().includes('ch');
+}
+
+function renderRecordingInfo() {
+    const section = document.getElementById('recordingInfo');
+    const { annotations, skippedChannels } = window.appState;
+
+    if (annotations.length === 0 && skippedChannels.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    let html = '';
+    if (skippedChannels.length > 0) {
+        html += `<p>Skipped (different sampling rate): ${skippedChannels.join(', ')}</p>`;
+    }
+    if (annotations.length > 0) {
+        html += `<p>${annotations.length} event${annotations.length === 1 ? '' : 's'}:</p><ul>`;
+        annotations.slice(0, 10).forEach(a => {
+            html += `<li>${a.onset.toFixed(3)} s — ${a.text}</li>`;
+        });
+        if (annotations.length > 10) {
+            html += `<li>… ${annotations.length - 10} more</li>`;
+        }
+        html += '</ul>';
+    }
+
+    section.querySelector('.recording-info-content').innerHTML = html;
+    section.style.display = 'block';
 }
 
 function renderPreviewTable(container) {
-    const data = window.appState.parsedData.slice(0, 10);
+    const rowCount = Math.min(10, window.appState.length);
     const columns = window.appState.columns;
 
     let html = '<table><thead><tr>';
@@ -177,50 +660,158 @@ function renderPreviewTable(container) {
     });
     html += '</tr></thead><tbody>';
 
-    data.forEach(row => {
+    for (let i = 0; i < rowCount; i++) {
         html += '<tr>';
         columns.forEach(col => {
-            const value = row[col];
+            const value = columnData[col][i];
             html += `<td>${typeof value === 'number' ? value.toFixed(3) : value}</td>`;
         });
         html += '</tr>';
-    });
+    }
 
     html += '</tbody></table>';
     container.innerHTML = html;
 }
 
-function saveConfigAndNavigate(page) {
+async function saveConfigAndNavigate(page) {
     // Get selected configuration
     const timestampCol = document.getElementById('timestampCol').value;
+    const timeUnit = document.getElementById('timeUnit').value;
     const channelCheckboxes = document.querySelectorAll('#channelCheckboxes input[type="checkbox"]:checked');
     const selectedChannels = Array.from(channelCheckboxes).map(cb => cb.value);
-    const samplingRate = parseInt(document.getElementById('samplingRate').value);
+    const samplingRate = parseFloat(document.getElementById('samplingRate').value);
 
     if (selectedChannels.length === 0) {
         alert('Please select at least one signal channel');
         return;
     }
+    if (!(samplingRate > 0)) {
+        alert('Please enter a valid sampling rate');
+        return;
+    }
 
     // Update app state
     window.appState.selectedTimestamp = timestampCol;
+    window.appState.timeUnit = timeUnit;
     window.appState.selectedChannels = selectedChannels;
     window.appState.samplingRate = samplingRate;
 
-    // Save to sessionStorage for access in other pages
-    sessionStorage.setItem('appState', JSON.stringify(window.appState));
+    document.querySelectorAll('#missingData select[data-channel]').forEach(select => {
+        window.appState.repairStrategies[select.dataset.channel] = select.value;
+    });
+    const repairStrategies = Object.fromEntries(
+        selectedChannels.map(ch => [ch, window.appState.repairStrategies[ch] || 'drop'])
+    );
+
+    const { type, reference, pairs, pairsText, keepOriginal } = readMontageOptions();
+    const montage = { type, reference: reference.filter(ch => selectedChannels.includes(ch)), pairs: [], keepOriginal };
+    if (type === 'reference' && montage.reference.length === 0) {
+        alert('Please choose at least one reference channel');
+        return;
+    }
+    if (type === 'bipolar') {
+        montage.pairs = parsePairs(pairsText !== undefined ? pairsText : formatPairs(pairs), selectedChannels).pairs;
+        if (montage.pairs.length === 0) {
+            alert('Please enter at least one bipolar pair of selected channels');
+            return;
+        }
+    }
+
+    // Store the recording (typed arrays, no JSON) and its session in the workspace
+    try {
+        if (!currentRecordingId) {
+            const { fileName, format, columns, length, units, annotations, skippedChannels } = window.appState;
+            currentRecordingId = await createRecording({
+                fileName, format, columns, length, units, annotations, skippedChannels,
+                data: columnData
+            });
+        }
+        await saveSession(currentRecordingId, {
+            selectedTimestamp: timestampCol, timeUnit, selectedChannels, samplingRate, repairStrategies, montage,
+            derivedChannels: window.appState.derivedChannels
+        });
+        await openRecording(currentRecordingId);
+    } catch (err) {
+        alert('Could not store the recording: ' + err.message);
+        return;
+    }
 
     // Navigate
     window.location.href = page;
 }
 
+async function renderRecentRecordings() {
+    const section = document.getElementById('recentRecordings');
+    const list = document.getElementById('recentList');
+
+    let recordings;
+    let sessions;
+    try {
+        recordings = await listRecordings();
+        sessions = await Promise.all(recordings.map(r => loadSession(r.id)));
+    } catch (err) {
+        console.error('Could not read workspace:', err);
+        return;
+    }
+
+    if (recordings.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    list.innerHTML = recordings.map((r, i) => {
+        const session = sessions[i] || {};
+        const channels = (session.selectedChannels || []).length;
+        const steps = (session.pipeline || []).length;
+        return `
+            <div class="recent-item" data-id="${r.id}">
+                <div class="recent-header">
+                    <span class="recent-name" title="${r.fileName}">${r.fileName}</span>
+                    <button class="recent-delete" data-action="delete" title="Remove from workspace">×</button>
+                </div>
+                <div class="recent-details">
+                    ${new Date(r.openedAt).toLocaleString()} · ${channels} channel${channels === 1 ? '' : 's'} · ${steps} step${steps === 1 ? '' : 's'}
+                </div>
+                <div class="recent-actions">
+                    <button class="btn btn-secondary" data-action="visualization.html">Visualize</button>
+                    <button class="btn btn-secondary" data-action="pipeline.html">Pipeline</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('button[data-action]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const id = btn.closest('.recent-item').dataset.id;
+            const action = btn.dataset.action;
+            try {
+                if (action === 'delete') {
+                    await deleteRecording(id);
+                    renderRecentRecordings();
+                } else {
+                    await openRecording(id);
+                    window.location.href = action;
+                }
+            } catch (err) {
+                alert('Workspace error: ' + err.message);
+            }
+        });
+    });
+
+    section.style.display = 'block';
+}
+
 function loadDemoData() {
     // Generate synthetic EEG data
     const samplingRate = 250;
     const duration = 10; // seconds
     const numSamples = samplingRate * duration;
     
-    const data = [];
+    const data = {
+        timestamp: new Float64Array(numSamples),
+        ch1: new Float32Array(numSamples),
+        ch2: new Float32Array(numSamples)
+    };
     for (let i = 0; i < numSamples; i++) {
         const t = i / samplingRate;
         // Simulate EEG with multiple frequency components
@@ -234,27 +825,16 @@ function loadDemoData() {
             6 * Math.sin(2 * Math.PI * 15 * t) +
             3 * (Math.random() - 0.5);
         
-        data.push({
-            timestamp: t.toFixed(4),
-            ch1: ch1.toFixed(3),
-            ch2: ch2.toFixed(3)
-        });
+        data.timestamp[i] = t;
+        data.ch1[i] = ch1;
+        data.ch2[i] = ch2;
     }
 
-    // Create results object compatible with Papa.parse
-    const results = {
-        data: data,
-        errors: [],
-        meta: {
-            delimiter: ',',
-            linebreak: '\n',
-            aborted: false,
-            truncated: false,
-            cursor: numSamples
-        }
-    };
-
     window.appState.fileName = 'demo_eeg.csv';
+    window.appState.format = 'csv';
+    window.appState.annotations = [];
+    window.appState.units = {};
+    window.appState.skippedChannels = [];
     
     // Show file info
     document.getElementById('fileName').textContent = 'Demo EEG Data';
@@ -262,7 +842,7 @@ function loadDemoData() {
     document.getElementById('fileInfo').style.display = 'block';
     document.getElementById('fileRows').textContent = numSamples.toLocaleString();
 
-    handleParsedData(results);
+    handleColumnarData(['timestamp', 'ch1', 'ch2'], data, numSamples);
 }
 
 function formatBytes(bytes) {
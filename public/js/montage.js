@@ -0,0 +1,113 @@
+// montage.js - Re-referencing and bipolar montages that derive channels from the selected ones
+
+import { alignChannels } from './gaps.js';
+
+const MONTAGE_TYPES = {
+    none: 'None (as recorded)',
+    average: 'Common average reference',
+    reference: 'Reference channel(s)',
+    bipolar: 'Bipolar pairs'
+};
+
+// Longitudinal bipolar ("double banana"), 10-20 names
+const DOUBLE_BANANA = [
+    ['Fp1', 'F7'], ['F7', 'T3'], ['T3', 'T5'], ['T5', 'O1'],
+    ['Fp2', 'F8'], ['F8', 'T4'], ['T4', 'T6'], ['T6', 'O2'],
+    ['Fp1', 'F3'], ['F3', 'C3'], ['C3', 'P3'], ['P3', 'O1'],
+    ['Fp2', 'F4'], ['F4', 'C4'], ['C4', 'P4'], ['P4', 'O2'],
+    ['Fz', 'Cz'], ['Cz', 'Pz']
+];
+
+// Old and new names for the same temporal electrodes
+const ALIASES = { t3: 't7', t4: 't8', t5: 'p7', t6: 'p8' };
+
+// Compare labels like "EEG Fp1-REF" and "FP1" as the same electrode
+function electrodeKey(label) {
+    const key = label.toLowerCase().replace(/^eeg\s*/, '').replace(/[-_\s]*(ref|le|avg|ar)$/, '').trim();
+    return ALIASES[key] || key;
+}
+
+function findChannel(name, channels) {
+    const key = electrodeKey(name);
+    return channels.find(ch => ch === name) || channels.find(ch => electrodeKey(ch) === key);
+}
+
+// Double-banana pairs whose electrodes are both among `channels`, as channel names
+function doubleBananaPairs(channels) {
+    return DOUBLE_BANANA
+        .map(([a, b]) => [findChannel(a, channels), findChannel(b, channels)])
+        .filter(([a, b]) => a && b);
+}
+
+// One "A-B" pair per line (or comma-separated). Channel names may themselves
+// contain '-', so each line is split where both sides name a channel.
+function parsePairs(text, channels) {
+    const pairs = [];
+    const unknown = [];
+    text.split(/[\n,]/).map(line => line.trim()).filter(Boolean).forEach(line => {
+        let pair = null;
+        for (let i = line.indexOf('-'); i !== -1 && !pair; i = line.indexOf('-', i + 1)) {
+            const a = findChannel(line.slice(0, i).trim(), channels);
+            const b = findChannel(line.slice(i + 1).trim(), channels);
+            if (a && b) pair = [a, b];
+        }
+        if (pair) pairs.push(pair);
+        else unknown.push(line);
+    });
+    return { pairs, unknown };
+}
+
+function formatPairs(pairs) {
+    return pairs.map(([a, b]) => `${a}-${b}`).join('\n');
+}
+
+// sum(weights[k] * inputs[k]) at the common times; a sample counts as repaired
+// when any input was
+function combine(inputs, weights) {
+    const { times, indices } = alignChannels(inputs);
+    const n = times.length;
+    const values = new Float64Array(n);
+    const repaired = new Uint8Array(n);
+    inputs.forEach((input, k) => {
+        const index = indices[k];
+        for (let i = 0; i < n; i++) {
+            const j = index ? index[i] : i;
+            values[i] += weights[k] * input.values[j];
+            if (input.repaired && input.repaired[j]) repaired[i] = 1;
+        }
+    });
+    return { times, values, repaired };
+}
+
+// Derived channels for a montage { type, reference: [names], pairs: [[a, b]], keepOriginal }.
+// `signals` maps channel name to { times, values, repaired }; the result has the same shape.
+function applyMontage(montage, signals) {
+    if (!montage || montage.type === 'none') return signals;
+
+    const channels = Object.keys(signals);
+    const derived = montage.keepOriginal ? { ...signals } : {};
+
+    if (montage.type === 'average') {
+        const mean = combine(channels.map(ch => signals[ch]), channels.map(() => 1 / channels.length));
+        channels.forEach(ch => {
+            derived[`${ch}-avg`] = combine([signals[ch], mean], [1, -1]);
+        });
+    } else if (montage.type === 'reference') {
+        const refs = (montage.reference || []).filter(ch => signals[ch]);
+        if (refs.length === 0) throw new Error('Choose at least one reference channel');
+        const label = refs.join('+');
+        const reference = combine(refs.map(ref => signals[ref]), refs.map(() => 1 / refs.length));
+        channels.filter(ch => !refs.includes(ch)).forEach(ch => {
+            derived[`${ch}-${label}`] = combine([signals[ch], reference], [1, -1]);
+        });
+    } else if (montage.type === 'bipolar') {
+        (montage.pairs || []).filter(([a, b]) => signals[a] && signals[b]).forEach(([a, b]) => {
+            derived[`${a}-${b}`] = combine([signals[a], signals[b]], [1, -1]);
+        });
+    }
+
+    if (Object.keys(derived).length === 0) throw new Error('The montage produces no channels');
+    return derived;
+}
+
+export { MONTAGE_TYPES, DOUBLE_BANANA, doubleBananaPairs, parsePairs, formatPairs, applyMontage };
@@ -1,97 +1,153 @@
 // pipeline-interactive.js - Interactive pipeline builder with data loading
 
-import { downloadFile } from './utils.js';
+import { downloadFile, minMax, csvRow } from './utils.js';
+import { loadCurrentWorkspace, saveSession } from './workspace.js';
+import { parseTimestamps } from './timing.js';
+import { buildTimeline, repairChannel, alignChannels } from './gaps.js';
+import { applyMontage } from './montage.js';
+import { waveletDenoise } from './wavelets.js';
+import { drawHeatmap } from './heatmap.js';
+import { welch } from './spectral.js';
+import { icaSources } from './ica.js';
+import { CUSTOM_LANGUAGES, parseParamSpecs } from './sandbox.js';
+import { resampleFactors } from './resample.js';
+import { filterConfigs, filterModules, loadFilterModules } from './filters.js';
+import { loadChannels, runSteps, fitAfterSteps } from './engine.js';
+import { frequencyGrid, cascadeResponse, polesZeros, unstablePoles } from './response.js';
 
 let appState = null;
+let recordingData = null;
 let eegData = [];
 let timestamps = [];
+let channelData = {};
+let previewChannel = null;
+// 1 where a sample was filled in by gap repair (null for demo data)
+let repaired = null;
+// The same flags for the processed preview, which resampling can shorten or lengthen
+let filteredRepaired = null;
 let samplingRate = 250;
 let filters = [];
 let rawChart, filteredChart;
 let zoomState = { raw: { start: 0, end: 1 }, filtered: { start: 0, end: 1 } };
+let visibleStart = { raw: 0, filtered: 0 };
 let draggedIndex = null;
+let selectedStep = null;
+// Latest error of each step, shown on the step (and in the editor for custom steps)
+const stepErrors = new WeakMap();
+// Pipeline runs are async (custom steps run in a worker); only the latest one updates the plots
+let plotRequest = 0;
 let scaleState = { 
     raw: { yMin: -1000, yMax: 1000, xMin: 0, xMax: 100, autoY: true }, 
     filtered: { yMin: -1000, yMax: 1000, xMin: 0, xMax: 100, autoY: true } 
 };
 let convertTimestamps = false;
 
-const filterConfigs = {
-    butterworth_lowpass: { params: ['cutoff', 'order'], defaults: { cutoff: 50, order: 4 } },
-    butterworth_highpass: { params: ['cutoff', 'order'], defaults: { cutoff: 1, order: 4 } },
-    butterworth_bandpass: { params: ['low', 'high', 'order'], defaults: { low: 1, high: 50, order: 4 } },
-    butterworth_bandstop: { params: ['low', 'high', 'order'], defaults: { low: 45, high: 55, order: 4 } },
-    savgol: { params: ['window', 'polyorder'], defaults: { window: 11, polyorder: 3 } },
-    median: { params: ['kernel'], defaults: { kernel: 5 } },
-    notch: { params: ['frequency', 'quality'], defaults: { frequency: 50, quality: 30 } },
-};
+// Slider parameters of a step; custom steps declare their own
+function stepParams(filterObj) {
+    const config = filterConfigs[filterObj.type];
+    return config.custom ? filterObj.paramSpecs.map(spec => spec.name) : config.sliders;
+}
+
+function paramRange(filterObj, param) {
+    const spec = filterObj.paramSpecs && filterObj.paramSpecs.find(s => s.name === param);
+    return spec || filterConfigs[filterObj.type].params[param];
+}
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    loadAppState();
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadAppState();
+    await loadSavedModules();
+    renderFilterMenu();
     loadPersistedState();
     if (appState) {
         initWithLoadedData();
     } else {
         initDemoData();
     }
+    renderFilters();
 });
 
-function loadAppState() {
-    const savedState = sessionStorage.getItem('appState');
-    if (savedState) {
-        appState = JSON.parse(savedState);
-        return true;
+async function loadAppState() {
+    const workspace = await loadCurrentWorkspace().catch(err => {
+        console.error('Could not load workspace:', err);
+        return null;
+    });
+    if (!workspace || !workspace.appState.selectedChannels) return false;
+
+    appState = workspace.appState;
+    recordingData = workspace.data;
+    return true;
+}
+
+// Filter modules loaded for this recording, before its pipeline is restored
+async function loadSavedModules() {
+    if (!appState || !appState.filterModules) return;
+    try {
+        await loadFilterModules(appState.filterModules);
+    } catch (err) {
+        console.error('Could not load filter modules:', err);
     }
-    return false;
 }
 
 function loadPersistedState() {
-    // Load persisted filters and settings
-    const persistedFilters = sessionStorage.getItem('pipelineFilters');
-    if (persistedFilters) {
-        filters = JSON.parse(persistedFilters);
+    // Pipeline and view settings are stored with the recording's workspace session
+    if (!appState) return;
+
+    if (appState.pipeline) {
+        // Steps saved before a filter gained parameters pick up the defaults
+        filters = appState.pipeline
+            .filter(f => filterConfigs[f.type])
+            .map(f => ({ ...f, params: { ...filterConfigs[f.type].defaults, ...f.params } }));
     }
-    
-    const persistedScale = sessionStorage.getItem('pipelineScale');
-    if (persistedScale) {
-        scaleState = JSON.parse(persistedScale);
+    if (appState.pipelineScale) {
+        scaleState = appState.pipelineScale;
     }
-    
-    const persistedConvert = sessionStorage.getItem('convertTimestamps');
-    if (persistedConvert) {
-        convertTimestamps = JSON.parse(persistedConvert);
+    if (appState.previewChannel) {
+        previewChannel = appState.previewChannel;
+    }
+    if (appState.convertTimestamps !== undefined) {
+        convertTimestamps = appState.convertTimestamps;
+        document.getElementById('convertTimestamps').checked = convertTimestamps;
     }
 }
 
 function savePersistedState() {
-    // Save current state for persistence across tabs
-    sessionStorage.setItem('pipelineFilters', JSON.stringify(filters));
-    sessionStorage.setItem('pipelineScale', JSON.stringify(scaleState));
-    sessionStorage.setItem('convertTimestamps', JSON.stringify(convertTimestamps));
+    if (!appState) return;
+    saveSession(appState.recordingId, {
+        pipeline: filters,
+        pipelineScale: scaleState,
+        previewChannel: previewChannel,
+        convertTimestamps: convertTimestamps,
+        filterModules: [...filterModules]
+    }).catch(err => console.error('Could not save pipeline:', err));
 }
 
 function initWithLoadedData() {
-    // Extract signal data from loaded file
-    const timestampCol = appState.selectedTimestamp;
-    const firstChannel = appState.selectedChannels[0];
-    
-    eegData = [];
-    timestamps = [];
-    appState.parsedData.forEach(row => {
-        const t = parseFloat(row[timestampCol]);
-        const v = parseFloat(row[firstChannel]);
-        if (!isNaN(t) && !isNaN(v)) {
-            timestamps.push(t);
-            eegData.push(v);
-        }
+    // Repair every selected channel on the shared timeline and apply the montage; one is previewed at a time
+    const times = parseTimestamps(recordingData[appState.selectedTimestamp], appState.timeUnit || 's');
+    const timeline = buildTimeline(times, appState.samplingRate);
+    const strategies = appState.repairStrategies || {};
+    const repairedChannels = {};
+    appState.selectedChannels.forEach(ch => {
+        repairedChannels[ch] = repairChannel(timeline, recordingData[ch], strategies[ch] || 'drop');
     });
+    try {
+        channelData = applyMontage(appState.montage, repairedChannels);
+    } catch (e) {
+        console.error('Montage error:', e);
+        channelData = repairedChannels;
+    }
+    if (!channelData[previewChannel]) previewChannel = Object.keys(channelData)[0];
+    timestamps = channelData[previewChannel].times;
+    eegData = channelData[previewChannel].values;
+    repaired = channelData[previewChannel].repaired;
+    renderChannelPicker();
     
     samplingRate = appState.samplingRate;
+    loadChannels(channelData, samplingRate);
     
     // Initialize scale state based on actual data
-    const dataMin = Math.min(...eegData);
-    const dataMax = Math.max(...eegData);
+    const { min: dataMin, max: dataMax } = minMax(eegData);
     const dataRange = dataMax - dataMin;
     const padding = dataRange * 0.1;
     
@@ -135,10 +191,14 @@ function initDemoData() {
                       (Math.random() - 0.5) * 0.5;
         eegData.push(signal);
     }
+    timestamps = Array.from(eegData, (_, i) => i / samplingRate);
+    previewChannel = 'demo';
+    channelData = { demo: { times: timestamps, values: eegData, repaired: null } };
+    loadChannels(channelData, samplingRate);
+    renderChannelPicker();
     
     // Initialize scale state based on actual data
-    const dataMin = Math.min(...eegData);
-    const dataMax = Math.max(...eegData);
+    const { min: dataMin, max: dataMax } = minMax(eegData);
     const dataRange = dataMax - dataMin;
     const padding = dataRange * 0.1;
     
@@ -167,6 +227,45 @@ function initDemoData() {
     updatePlots();
 }
 
+function renderChannelPicker() {
+    document.getElementById('previewChannel').innerHTML = Object.keys(channelData).map(ch =>
+        `<option value="${ch}" ${ch === previewChannel ? 'selected' : ''}>${ch}</option>`
+    ).join('');
+}
+
+// The pipeline applies to every channel; only the previewed one is plotted
+function selectPreviewChannel(channel) {
+    previewChannel = channel;
+    timestamps = channelData[channel].times;
+    eegData = channelData[channel].values;
+    repaired = channelData[channel].repaired;
+    updatePlots();
+    savePersistedState();
+}
+
+// Timestamp column plus every channel run through the pipeline, at the times all channels share
+async function exportProcessed() {
+    const names = Object.keys(channelData);
+    let outputs;
+    try {
+        outputs = await runPipeline();
+    } catch (e) {
+        alert('Export failed: ' + e.message);
+        return;
+    }
+    // Cancelled by a reload of the channels
+    if (!outputs) return;
+    const processed = names.map(ch => outputs[ch].values);
+    const { times, indices } = alignChannels(names.map(ch => outputs[ch]));
+    // Times are written in seconds whatever the unit of the timestamp column
+    const header = csvRow(['time_s', ...names]);
+    const rows = Array.from(times, (t, i) =>
+        [t.toFixed(6), ...processed.map((values, c) => values[indices[c] ? indices[c][i] : i].toFixed(6))].join(','));
+
+    const baseName = appState ? appState.fileName.replace(/\.[^.]+$/, '') : 'demo';
+    downloadFile([header, ...rows].join('\n') + '\n', `${baseName}_processed.csv`, 'text/csv');
+}
+
 function initCharts() {
     const ctx1 = document.getElementById('rawChart').getContext('2d');
     const ctx2 = document.getElementById('filteredChart').getContext('2d');
@@ -196,6 +295,7 @@ function initCharts() {
                 label: 'Raw',  
                 data: [],
                 borderColor: '#14786e', 
+                segment: repairedSegment('raw'),
                 tension: 0, 
                 borderWidth: 1, 
                 pointRadius: 0,
@@ -214,6 +314,7 @@ function initCharts() {
                 label: 'Filtered', 
                 data: [],
                 borderColor: '#00ff00', 
+                segment: repairedSegment('filtered'),
                 tension: 0, 
                 borderWidth: 1, 
                 pointRadius: 0,
@@ -225,27 +326,95 @@ function initCharts() {
     });
 }
 
-function getVisibleRange(type) {
+// Line segments touching repaired samples are drawn as a dashed red line
+function repairedSegment(type) {
+    const isRepaired = (ctx) => {
+        const flags = type === 'filtered' ? filteredRepaired : repaired;
+        if (!flags) return false;
+        const offset = visibleStart[type];
+        return flags[offset + ctx.p0DataIndex] || flags[offset + ctx.p1DataIndex];
+    };
+    return {
+        borderColor: ctx => (isRepaired(ctx) ? '#ff4757' : undefined),
+        borderDash: ctx => (isRepaired(ctx) ? [4, 3] : undefined)
+    };
+}
+
+function getVisibleRange(type, total = eegData.length) {
     const zoom = zoomState[type];
-    const total = eegData.length;
     return [Math.floor(zoom.start * total), Math.floor(zoom.end * total)];
 }
 
-function updatePlots() {
+// Zoomed in, the visible input is processed first, with this much input on each side for filters to settle
+const PREVIEW_MARGIN_S = 10;
+
+async function updatePlots() {
+    const request = ++plotRequest;
+    const total = eegData.length;
+    const [start, end] = getVisibleRange('filtered', total);
+    try {
+        if ((end - start) * 2 < total) {
+            const margin = Math.max(end - start, Math.round(PREVIEW_MARGIN_S * samplingRate));
+            const range = [Math.max(0, start - margin), Math.min(total, end + margin)];
+            const preview = await processPreview(filters, { range, group: 'plots' });
+            if (request !== plotRequest || !preview) return;
+            showPlots(preview, timeRange(preview.times, timestamps[start], timestamps[Math.max(start, end - 1)]));
+        }
+
+        const processed = await processPreview(filters, { group: 'plots' });
+        if (request !== plotRequest || !processed) return;
+        showPlots(processed, getVisibleRange('filtered', processed.values.length));
+    } catch (e) {
+        console.error('Pipeline error:', e);
+        return;
+    }
+
+    renderCoefficients();
+    renderComponents();
+    renderResponse();
+}
+
+// Slider drags fire an input per pixel; the pipeline reruns once they pause for this long
+const PLOT_DELAY_MS = 50;
+let plotTimer = null;
+
+function schedulePlots() {
+    clearTimeout(plotTimer);
+    plotTimer = setTimeout(updatePlots, PLOT_DELAY_MS);
+}
+
+// Indices [start, end) of the (ascending) `times` from t0 to t1
+function timeRange(times, t0, t1) {
+    let start = 0;
+    while (start < times.length && times[start] < t0) start++;
+    let end = start;
+    while (end < times.length && times[end] <= t1) end++;
+    return [start, end];
+}
+
+// The X limits pick samples; the axis spans their times, which may be absolute (epoch or clock seconds)
+function axisBounds(times) {
+    if (convertTimestamps || times.length === 0) return { min: undefined, max: undefined };
+    return { min: times[0], max: times[times.length - 1] };
+}
+
+// Draw the visible raw input and samples [filtStart, filtEnd) of the processed preview channel
+function showPlots(processed, [filtStart, filtEnd]) {
     const [rawStart, rawEnd] = getVisibleRange('raw');
-    const [filtStart, filtEnd] = getVisibleRange('filtered');
+    visibleStart = { raw: rawStart, filtered: filtStart };
+    filteredRepaired = processed.repaired;
 
     const rawSlice = eegData.slice(rawStart, rawEnd);
-    const filteredSlice = applyFilters(eegData).slice(filtStart, filtEnd);
+    const filteredSlice = processed.values.slice(filtStart, filtEnd);
     const rawTimeSlice = timestamps.slice(rawStart, rawEnd);
-    const filtTimeSlice = timestamps.slice(filtStart, filtEnd);
+    const filtTimeSlice = processed.times.slice(filtStart, filtEnd);
 
     // Convert timestamps if requested
     let rawXData = rawTimeSlice;
     let filtXData = filtTimeSlice;
     if (convertTimestamps) {
-        rawXData = rawTimeSlice.map(t => new Date(t * 1000).toLocaleString());
-        filtXData = filtTimeSlice.map(t => new Date(t * 1000).toLocaleString());
+        rawXData = Array.from(rawTimeSlice, t => new Date(t * 1000).toLocaleString());
+        filtXData = Array.from(filtTimeSlice, t => new Date(t * 1000).toLocaleString());
     }
 
     const rawPoints = Array.from({ length: rawSlice.length }, (_, i) => ({ x: rawXData[i], y: rawSlice[i] }));
@@ -253,8 +422,7 @@ function updatePlots() {
 
     // Auto Y for raw
     if (scaleState.raw.autoY && rawSlice.length > 0) {
-        const minY = Math.min(...rawSlice);
-        const maxY = Math.max(...rawSlice);
+        const { min: minY, max: maxY } = minMax(rawSlice);
         const pad = (maxY - minY || 1) * 0.1;
         scaleState.raw.yMin = minY - pad;
         scaleState.raw.yMax = maxY + pad;
@@ -267,14 +435,12 @@ function updatePlots() {
     rawChart.data.datasets[0].data = rawPoints;
     rawChart.options.scales.y.min = scaleState.raw.yMin;
     rawChart.options.scales.y.max = scaleState.raw.yMax;
-    rawChart.options.scales.x.min = scaleState.raw.xMin;
-    rawChart.options.scales.x.max = scaleState.raw.xMax;
+    Object.assign(rawChart.options.scales.x, axisBounds(rawTimeSlice));
     rawChart.update('none');
 
     // Auto Y for filtered
     if (scaleState.filtered.autoY && filteredSlice.length > 0) {
-        const minY = Math.min(...filteredSlice);
-        const maxY = Math.max(...filteredSlice);
+        const { min: minY, max: maxY } = minMax(filteredSlice);
         const pad = (maxY - minY || 1) * 0.1;
         scaleState.filtered.yMin = minY - pad;
         scaleState.filtered.yMax = maxY + pad;
@@ -287,117 +453,503 @@ function updatePlots() {
     filteredChart.data.datasets[0].data = filtPoints;
     filteredChart.options.scales.y.min = scaleState.filtered.yMin;
     filteredChart.options.scales.y.max = scaleState.filtered.yMax;
-    filteredChart.options.scales.x.min = scaleState.filtered.xMin;
-    filteredChart.options.scales.x.max = scaleState.filtered.xMax;
+    Object.assign(filteredChart.options.scales.x, axisBounds(filtTimeSlice));
     filteredChart.update('none');
 }
 
-function applyFilters(signal) {
-    let result = signal.slice();
-    for (const filter of filters) {
-        result = applyFilter(result, filter);
+// Per-level DWT coefficient magnitudes of the selected wavelet step's input,
+// finest details at the top, with the threshold applied at each level
+async function renderCoefficients() {
+    const panel = document.getElementById('waveletPanel');
+    const step = filters[selectedStep];
+    if (!step || step.type !== 'wavelet_denoise') {
+        panel.style.display = 'none';
+        return;
     }
-    return result;
+    panel.style.display = '';
+
+    const canvas = document.getElementById('waveletCanvas');
+    const info = document.getElementById('waveletInfo');
+    canvas.width = canvas.clientWidth;
+
+    let input;
+    let result;
+    try {
+        input = await processPreview(filters.slice(0, selectedStep), { group: 'wavelet' });
+        if (!input) return;
+        result = waveletDenoise(input.values, step.params);
+    } catch (e) {
+        info.textContent = e.message;
+        drawHeatmap(canvas, { xs: [], ys: [], columns: [] });
+        return;
+    }
+
+    // Rows bottom-up: approximation, then details from coarsest to finest
+    const { coeffs, thresholds, levels } = result;
+    const labels = coeffs.map((_, i) => (i === 0 ? `cA${levels}` : `cD${levels - i + 1}`));
+    const length = input.values.length;
+    const columnCount = Math.min(canvas.width, length);
+    const columns = Array.from({ length: columnCount }, (_, c) => coeffs.map(level => {
+        const value = level[Math.floor(c * level.length / columnCount)];
+        return 20 * Math.log10(Math.abs(value) + 1e-12);
+    }));
+
+    drawHeatmap(canvas, {
+        xs: Array.from({ length: columnCount }, (_, c) => input.times[Math.floor(c * length / columnCount)]),
+        ys: labels,
+        columns,
+        xLabel: 'Time (s)',
+        yLabel: 'Level',
+        unit: 'dB'
+    });
+
+    info.innerHTML = thresholds.map((t, i) => {
+        const level = levels - i;
+        const detail = coeffs[i + 1];
+        const zeroed = detail.filter(v => Math.abs(v) <= t).length;
+        const band = `${(input.rate / 2 ** (level + 1)).toFixed(1)}–${(input.rate / 2 ** level).toFixed(1)} Hz`;
+        return `cD${level} (${band}): threshold ${t.toPrecision(3)}, ${zeroed} of ${detail.length} zeroed`;
+    }).join('<br>');
 }
 
-function applyFilter(signal, filterObj) {
+// Time courses (visible range) and spectra of the selected ICA step's
+// components, fitted on the output of the steps before it; ticked ones are removed
+async function renderComponents() {
+    const panel = document.getElementById('icaPanel');
+    const step = filters[selectedStep];
+    if (!step || step.type !== 'ica') {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+
+    const list = document.getElementById('icaComponents');
+    if (!step.ica) {
+        list.innerHTML = '<p class="filter-info">Click "Fit ICA" on the step to decompose the channels.</p>';
+        return;
+    }
+
+    let result;
+    let rate;
     try {
-        const params = filterObj.params;
-
-        switch (filterObj.type) {
-            case 'butterworth_lowpass':
-                return applySimpleFilter(signal, params.cutoff / (samplingRate / 2), params.order, 'low');
-            case 'butterworth_highpass':
-                return applySimpleFilter(signal, params.cutoff / (samplingRate / 2), params.order, 'high');
-            case 'butterworth_bandpass':
-                return applyBandpass(signal, params.low / (samplingRate / 2), params.high / (samplingRate / 2));
-            case 'butterworth_bandstop':
-                return applyBandstop(signal, params.low / (samplingRate / 2), params.high / (samplingRate / 2));
-            case 'savgol':
-                return applySavgol(signal, params.window, params.polyorder);
-            case 'median':
-                return applyMedian(signal, params.kernel);
-            case 'notch':
-                return applyNotch(signal, params.frequency, params.quality);
-            default:
-                return signal;
-        }
+        const input = await channelsBefore(selectedStep, 'ica');
+        if (!input) return;
+        result = icaSources(step.ica, input);
+        rate = Object.values(input)[0].rate;
     } catch (e) {
-        console.error('Filter error:', e);
-        return signal;
+        list.innerHTML = `<p class="filter-info">${e.message}</p>`;
+        return;
+    }
+
+    const { sources } = result;
+    const total = sources[0].length;
+    const start = Math.floor(zoomState.raw.start * total);
+    const end = Math.max(start + 2, Math.floor(zoomState.raw.end * total));
+    list.innerHTML = sources.map((_, k) => `
+        <div class="ica-component ${step.ica.exclude.includes(k) ? 'rejected' : ''}">
+            <label class="checkbox-label">
+                <input type="checkbox" ${step.ica.exclude.includes(k) ? 'checked' : ''} onchange="toggleComponent(${k}, this.checked)">
+                <span>IC${k} · ${(step.ica.variance[k] * 100).toFixed(1)}%</span>
+            </label>
+            <canvas class="ica-trace" id="icaTrace-${k}" height="60"></canvas>
+            <canvas class="ica-spectrum" id="icaSpectrum-${k}" height="60"></canvas>
+        </div>
+    `).join('');
+
+    sources.forEach((source, k) => {
+        const { psd } = welch(source, rate, { nperseg: Math.round(2 * rate) });
+        drawTrace(document.getElementById(`icaTrace-${k}`), source.subarray(start, end), '#00d4ff');
+        drawTrace(document.getElementById(`icaSpectrum-${k}`), psd.map(v => 10 * Math.log10(v + 1e-20)),
+            '#ffa502', `0–${(rate / 2).toFixed(0)} Hz, dB`);
+    });
+}
+
+// Min/max envelope of `values`, one column per pixel, scaled to the canvas height
+function drawTrace(canvas, values, color, caption = '') {
+    canvas.width = canvas.clientWidth;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const span = max - min || 1;
+    const y = v => height - 2 - (v - min) / span * (height - 4);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    const columns = Math.min(width, values.length);
+    for (let c = 0; c < columns; c++) {
+        const from = Math.floor(c * values.length / columns);
+        const to = Math.max(from + 1, Math.floor((c + 1) * values.length / columns));
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let i = from; i < to; i++) {
+            if (values[i] < lo) lo = values[i];
+            if (values[i] > hi) hi = values[i];
+        }
+        const x = c * width / columns;
+        if (c === 0) ctx.moveTo(x, y(lo));
+        else ctx.lineTo(x, y(lo));
+        ctx.lineTo(x, y(hi));
+    }
+    ctx.stroke();
+
+    if (caption) {
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(caption, width - 4, 11);
+    }
+}
+
+// Magnitude, phase, group delay and pole-zero map of the selected step, or of
+// every linear step in the pipeline, at the rate each step runs at
+function renderResponse() {
+    const panel = document.getElementById('responsePanel');
+    const linear = filters.flatMap((f, i) => (isLinearStep(f) ? [i] : []));
+    if (linear.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+
+    const cascade = document.getElementById('responseScope').value === 'cascade';
+    const info = document.getElementById('responseInfo');
+    const canvases = ['responseMagnitude', 'responsePhase', 'responseDelay', 'responsePoleZero'].map(id => document.getElementById(id));
+    info.classList.remove('timing-warning');
+    const clear = (message) => {
+        canvases.forEach(canvas => {
+            canvas.width = canvas.clientWidth;
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        });
+        info.textContent = message;
+    };
+    if (!cascade && !linear.includes(selectedStep)) {
+        clear('Select a filter, Savitzky-Golay or resample step to see its response.');
+        return;
+    }
+
+    const stages = [];
+    for (const i of cascade ? linear : [selectedStep]) {
+        try {
+            const stage = filterConfigs[filters[i].type].response(filters[i], rateBefore(i));
+            if (stage) stages.push({ step: filters[i], stage });
+        } catch (e) {
+            clear(`${filters[i].name}: ${e.message}`);
+            return;
+        }
+    }
+    if (stages.length === 0) {
+        clear('The sampling rate is unchanged, so this step does nothing.');
+        return;
+    }
+
+    // The cascade is shown up to the lowest Nyquist rate any step (or the output) sees
+    const rate = cascade
+        ? Math.min(rateBefore(filters.length), ...stages.map(({ stage }) => stage.rate))
+        : stages[0].stage.rate;
+    const { frequencies, magnitude, phase, groupDelay } = cascadeResponse(stages.map(({ stage }) => stage), frequencyGrid(rate / 2));
+    let peak = -Infinity;
+    magnitude.forEach(v => { if (v > peak) peak = v; });
+    drawLinePlot(canvases[0], frequencies, magnitude, '#00d4ff', 'Magnitude (dB)', { min: peak - 100, max: peak + 5 });
+    drawLinePlot(canvases[1], frequencies, phase, '#ffa502', 'Phase (rad)');
+    drawLinePlot(canvases[2], frequencies, groupDelay.map(v => v * 1000), '#2ed573', 'Group delay (ms)');
+
+    const unstable = stages.flatMap(({ step, stage }) => (unstablePoles(stage.filter).length > 0 ? [step.name] : []));
+    const notes = [cascade ? `${stages.length} step${stages.length === 1 ? '' : 's'} up to ${+(rate / 2).toFixed(3)} Hz`
+        : `At ${+rate.toFixed(3)} Hz`];
+    if (!cascade && stages[0].step.zeroPhase) {
+        notes.push('run forward-backward, so the magnitude is squared and the phase is zero');
+    }
+    const skipped = filters.filter(f => !isLinearStep(f)).map(f => f.name);
+    if (cascade && skipped.length > 0) notes.push(`not included (not linear): ${skipped.join(', ')}`);
+
+    // Poles and zeros only share a z-plane when the steps run at the same rate
+    if (stages.every(({ stage }) => stage.rate === stages[0].stage.rate)) {
+        const maps = stages.map(({ stage }) => polesZeros(stage.filter));
+        const pz = {
+            zeros: maps.every(m => m.zeros) ? maps.flatMap(m => m.zeros) : null,
+            poles: maps.flatMap(m => m.poles)
+        };
+        drawPoleZero(canvases[3], pz);
+        if (!pz.zeros) notes.push('zeros not computed for this many taps');
+    } else {
+        drawPoleZero(canvases[3], null);
+    }
+    info.textContent = notes.join('; ') + '.';
+    if (unstable.length > 0) {
+        info.textContent += ` Unstable (poles on or outside the unit circle): ${unstable.join(', ')}.`;
+    }
+    info.classList.toggle('timing-warning', unstable.length > 0);
+}
+
+// Line plot with frequency (Hz) along x; NaN values break the line
+function drawLinePlot(canvas, xs, ys, color, yLabel, range = null) {
+    canvas.width = canvas.clientWidth;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const margin = { left: 45, right: 8, top: 16, bottom: 20 };
+    ctx.clearRect(0, 0, width, height);
+
+    let min = Infinity;
+    let max = -Infinity;
+    ys.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    if (range) {
+        min = Math.max(min, range.min);
+        max = Math.min(max, range.max);
+    }
+    if (!(max > min)) {
+        min -= 1;
+        max += 1;
     }
+    const xMax = xs[xs.length - 1] || 1;
+    const x = v => margin.left + v / xMax * (width - margin.left - margin.right);
+    const y = v => margin.top + (max - Math.min(max, Math.max(min, v))) / (max - min) * (height - margin.top - margin.bottom);
+
+    ctx.strokeStyle = '#666';
+    ctx.strokeRect(margin.left, margin.top, width - margin.left - margin.right, height - margin.top - margin.bottom);
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(max.toPrecision(3), margin.left - 3, margin.top + 8);
+    ctx.fillText(min.toPrecision(3), margin.left - 3, height - margin.bottom);
+    ctx.fillText(`${+xMax.toFixed(2)} Hz`, width - margin.right, height - 6);
+    ctx.textAlign = 'left';
+    ctx.fillText('0', margin.left, height - 6);
+    ctx.fillText(yLabel, margin.left, 11);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    ys.forEach((v, i) => {
+        if (!Number.isFinite(v)) {
+            drawing = false;
+            return;
+        }
+        if (drawing) ctx.lineTo(x(xs[i]), y(v));
+        else ctx.moveTo(x(xs[i]), y(v));
+        drawing = true;
+    });
+    ctx.stroke();
 }
 
-function applySimpleFilter(signal, normalized_freq, order, type) {
-    const result = signal.slice();
-    const alpha = Math.min(0.9, normalized_freq);
-    for (let i = 1; i < result.length; i++) {
-        result[i] = alpha * result[i] + (1 - alpha) * result[i - 1];
+// Zeros (o) and poles (x) against the unit circle; poles on or outside it are red
+function drawPoleZero(canvas, pz) {
+    canvas.width = canvas.clientWidth;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.fillText('Poles (x) and zeros (o)', 4, 11);
+    if (!pz) {
+        ctx.fillText('Not shown: the steps run at different rates', 4, 25);
+        return;
     }
-    return result;
+
+    // Fit the unit circle and every finite root
+    const points = [...(pz.zeros || []), ...pz.poles].filter(p => Number.isFinite(p.re) && Number.isFinite(p.im));
+    const extent = Math.max(1.2, ...points.map(p => 1.1 * Math.hypot(p.re, p.im)));
+    const scale = (Math.min(width, height) - 24) / (2 * extent);
+    const cx = width / 2;
+    const cy = height / 2 + 6;
+    const px = p => cx + p.re * scale;
+    const py = p => cy - p.im * scale;
+
+    ctx.strokeStyle = '#666';
+    ctx.beginPath();
+    ctx.moveTo(cx - extent * scale, cy);
+    ctx.lineTo(cx + extent * scale, cy);
+    ctx.moveTo(cx, cy - extent * scale);
+    ctx.lineTo(cx, cy + extent * scale);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, scale, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#00d4ff';
+    (pz.zeros || []).forEach(p => {
+        ctx.beginPath();
+        ctx.arc(px(p), py(p), 4, 0, 2 * Math.PI);
+        ctx.stroke();
+    });
+    pz.poles.forEach(p => {
+        ctx.strokeStyle = Math.hypot(p.re, p.im) >= 1 ? '#ff4757' : '#ffa502';
+        ctx.beginPath();
+        ctx.moveTo(px(p) - 4, py(p) - 4);
+        ctx.lineTo(px(p) + 4, py(p) + 4);
+        ctx.moveTo(px(p) + 4, py(p) - 4);
+        ctx.lineTo(px(p) - 4, py(p) + 4);
+        ctx.stroke();
+    });
+}
+
+// Every channel through `steps`, in the pipeline worker; null when a newer run of `group` replaced it
+async function runPipeline(steps = filters, group = null) {
+    const result = await runSteps(steps, { group });
+    if (!result) return null;
+    showStepErrors(steps, result.stepErrors);
+    return result.outputs;
+}
+
+// The preview channel through `steps`, or only its input samples [start, end) when `range` is given
+async function processPreview(steps = filters, { range = null, group = null } = {}) {
+    const result = await runSteps(steps, { names: [previewChannel], range, group });
+    if (!result) return null;
+    showStepErrors(steps, result.stepErrors);
+    return result.outputs[previewChannel];
 }
 
-function medianOf(arr) {
-    const a = arr.slice().sort((x, y) => x - y);
-    const mid = Math.floor(a.length / 2);
-    return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+// Every channel after the steps before `idx`
+function channelsBefore(idx, group = null) {
+    return runPipeline(filters.slice(0, idx), group);
 }
 
-function applyBandpass(signal, low, high) {
-    let result = signal.slice();
-    const alphaLP = Math.min(0.99, high);
-    const alphaHP = Math.min(0.99, low);
+// Sampling rate at the input of step `idx`
+function rateBefore(idx) {
+    return filters.slice(0, idx).reduce((rate, f) => (filterConfigs[f.type].resample ? resampledRate(f, rate) : rate), samplingRate);
+}
+
+function resampledRate(filterObj, rate) {
+    try {
+        const [up, down] = resampleFactors(filterObj.params, rate);
+        return rate * up / down;
+    } catch (e) {
+        return rate;
+    }
+}
 
-    for (let i = 1; i < result.length; i++) {
-        result[i] = alphaLP * result[i] + (1 - alphaLP) * result[i - 1];
+function resampleInfo(filterObj, rate) {
+    try {
+        const [up, down] = resampleFactors(filterObj.params, rate);
+        return `${+rate.toFixed(3)} Hz → ${+(rate * up / down).toFixed(3)} Hz (up ${up}, down ${down})`;
+    } catch (e) {
+        return e.message;
     }
-    let hp = new Array(result.length).fill(0);
-    hp[0] = 0;
-    for (let i = 1; i < result.length; i++) {
-        const sm = alphaHP * result[i] + (1 - alphaHP) * result[i - 1];
-        hp[i] = result[i] - sm;
+}
+
+// Step errors reported by a run, by step index (null when the step ran cleanly);
+// a failing step passes its input through
+function showStepErrors(steps, errors) {
+    Object.entries(errors).forEach(([i, error]) => {
+        if (error) stepErrors.set(steps[i], error);
+        else stepErrors.delete(steps[i]);
+        if (filterConfigs[steps[i].type].custom) showCustomStatus(steps[i]);
+        else showStepError(steps[i]);
+    });
+}
+
+function showStepError(filterObj) {
+    const line = document.getElementById(`error-${filters.indexOf(filterObj)}`);
+    if (!line) return;
+    const error = stepErrors.get(filterObj);
+    line.textContent = error ? `Error: ${error}` : '';
+    line.style.display = error ? '' : 'none';
+}
+
+function customInfo(filterObj) {
+    const error = stepErrors.get(filterObj);
+    if (error) return `Error: ${error}`;
+    const runtime = filterConfigs[filterObj.type].language === 'python' ? 'Runs on Pyodide' : 'Runs';
+    return `${runtime} in a separate worker; only run code you trust. Click the name to edit the code.`;
+}
+
+function showCustomStatus(filterObj) {
+    const idx = filters.indexOf(filterObj);
+    const info = document.getElementById(`info-${idx}`);
+    if (info) info.textContent = customInfo(filterObj);
+    if (idx === selectedStep) {
+        const error = stepErrors.get(filterObj);
+        const status = document.getElementById('customStatus');
+        status.textContent = error ? `Error: ${error}` : 'OK';
+        status.className = error ? 'filter-info timing-warning' : 'filter-info timing-ok';
     }
-    const med = medianOf(hp);
-    for (let i = 0; i < hp.length; i++) hp[i] -= med;
-    return hp;
 }
 
-function applyBandstop(signal, low, high) {
-    return signal.slice();
+// Code and parameter declarations of the selected custom step
+function renderCustomEditor() {
+    const panel = document.getElementById('customPanel');
+    const step = filters[selectedStep];
+    if (!step || !filterConfigs[step.type].custom) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+    document.getElementById('customSignature').textContent = CUSTOM_LANGUAGES[filterConfigs[step.type].language].signature;
+    document.getElementById('customSource').value = step.source;
+    document.getElementById('customParams').value = step.paramText;
+    document.getElementById('customStatus').textContent = '';
 }
 
-function applySavgol(signal, window, polyorder) {
-    const result = signal.slice();
-    const half = Math.floor(window / 2);
-    for (let i = half; i < result.length - half; i++) {
-        let sum = 0;
-        for (let j = i - half; j <= i + half; j++) sum += result[j];
-        result[i] = sum / window;
+// Sliders keep their values when a parameter survives the edit and its range allows it
+function applyCustomCode() {
+    const step = filters[selectedStep];
+    const paramText = document.getElementById('customParams').value;
+    const { specs, errors } = parseParamSpecs(paramText);
+    const status = document.getElementById('customStatus');
+    if (errors.length > 0) {
+        status.innerHTML = errors.join('<br>');
+        status.className = 'filter-info timing-warning';
+        return;
     }
-    return result;
+
+    step.source = document.getElementById('customSource').value;
+    step.paramText = paramText;
+    step.paramSpecs = specs;
+    step.params = Object.fromEntries(specs.map(spec => {
+        const old = step.params[spec.name];
+        return [spec.name, old >= spec.min && old <= spec.max ? old : spec.value];
+    }));
+    renderFilters();
+    updatePlots();
+    savePersistedState();
 }
 
-function applyMedian(signal, kernel) {
-    const result = signal.slice();
-    const half = Math.floor(kernel / 2);
-    for (let i = half; i < result.length - half; i++) {
-        const window = result.slice(i - half, i + half + 1).sort((a, b) => a - b);
-        result[i] = window[Math.floor(window.length / 2)];
+function firInfo(filterObj, fs) {
+    try {
+        const { numtaps, delay } = filterConfigs[filterObj.type].design(filterObj.params, fs);
+        return `${numtaps} taps, group delay ${delay} samples (${(delay / fs * 1000).toFixed(1)} ms), compensated`;
+    } catch (e) {
+        return e.message;
     }
-    return result;
 }
 
-function applyNotch(signal, freq, quality) {
-    const result = signal.slice();
-    const w0 = 2 * Math.PI * freq / samplingRate;
-    const alpha = Math.sin(w0) / (2 * quality);
-    const b0 = 1, b1 = -2 * Math.cos(w0), b2 = 1;
-    const a0 = 1 + alpha, a1 = -2 * Math.cos(w0), a2 = 1 - alpha;
+// Linear time-invariant steps have a frequency response (see filters.js)
+function isLinearStep(filterObj) {
+    return Boolean(filterConfigs[filterObj.type].response);
+}
+
+function renderFilterMenu() {
+    document.getElementById('filterSelect').innerHTML = '<option value="">-- Select Filter --</option>' +
+        Object.values(filterConfigs).map(config => `<option value="${config.id}">${config.label}</option>`).join('');
+}
 
-    for (let i = 2; i < result.length; i++) {
-        result[i] = (b0 * signal[i] + b1 * signal[i-1] + b2 * signal[i-2] - a1 * result[i-1] - a2 * result[i-2]) / a0;
+// Import a filter module (an ES module calling registerFilter from filters.js) and offer its filters
+async function loadFilterModule() {
+    const input = document.getElementById('filterModuleUrl');
+    if (!input.value.trim()) return;
+    try {
+        await loadFilterModules([new URL(input.value.trim(), document.baseURI).href]);
+    } catch (e) {
+        alert('Could not load filter module: ' + e.message);
+        return;
     }
-    return result;
+    input.value = '';
+    renderFilterMenu();
+    // The worker imports the module with the channels
+    loadChannels(channelData, samplingRate);
+    savePersistedState();
 }
 
 function addFilter() {
@@ -407,20 +959,38 @@ function addFilter() {
     const config = filterConfigs[select.value];
     const filter = {
         type: select.value,
-        name: select.options[select.selectedIndex].text,
+        name: config.label,
         params: { ...config.defaults }
     };
+    if (config.iir) filter.zeroPhase = false;
+    if (config.multichannel) {
+        filter.params.components = Math.min(config.params.components.max, Object.keys(channelData).length);
+        filter.ica = null;
+    }
+    if (config.custom) {
+        const language = CUSTOM_LANGUAGES[config.language];
+        filter.source = language.source;
+        filter.paramText = language.params;
+        filter.paramSpecs = parseParamSpecs(language.params).specs;
+        filter.params = Object.fromEntries(filter.paramSpecs.map(spec => [spec.name, spec.value]));
+    }
 
     filters.push(filter);
     select.value = '';
+    // Open the editor for a new custom step
+    if (config.custom) selectedStep = filters.length - 1;
     renderFilters();
+    renderCustomEditor();
     updatePlots();
     savePersistedState();
 }
 
 function removeFilter(idx) {
     filters.splice(idx, 1);
+    if (selectedStep === idx) selectedStep = null;
+    else if (selectedStep > idx) selectedStep--;
     renderFilters();
+    renderCustomEditor();
     updatePlots();
     savePersistedState();
 }
@@ -437,11 +1007,11 @@ function renderFilters() {
 
     filters.forEach((f, idx) => {
         const div = document.createElement('div');
-        div.className = 'filter-item';
+        div.className = idx === selectedStep ? 'filter-item selected' : 'filter-item';
         div.draggable = true;
         div.innerHTML = `
             <div class="filter-item-header">
-                <span>${f.name}</span>
+                <span onclick="selectStep(${idx})">${f.name}</span>
                 <button class="filter-remove" onclick="removeFilter(${idx})">Remove</button>
             </div>
             <div class="filter-params" id="params-${idx}"></div>
@@ -450,17 +1020,74 @@ function renderFilters() {
 
         const paramsDiv = document.getElementById(`params-${idx}`);
         const config = filterConfigs[f.type];
-        config.params.forEach(p => {
+        const inactive = config.inactiveParams ? config.inactiveParams(f.params) : [];
+        Object.entries(config.choices || {}).forEach(([p, options]) => {
+            const control = document.createElement('div');
+            control.className = 'param-control';
+            control.innerHTML = `
+                <label>${p}:</label>
+                <select onchange="updateChoice(${idx}, '${p}', this.value)">
+                    ${Object.entries(options).map(([value, label]) =>
+                        `<option value="${value}" ${f.params[p] === value ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+            `;
+            paramsDiv.appendChild(control);
+        });
+        stepParams(f).filter(p => !inactive.includes(p)).forEach(p => {
             const val = f.params[p];
+            const range = paramRange(f, p);
             const control = document.createElement('div');
             control.className = 'param-control';
             control.innerHTML = `
                 <label>${p}: <span id="val-${idx}-${p}">${val.toFixed(2)}</span></label>
-                <input type="range" min="0.1" max="200" step="0.1" value="${val}" 
+                <input type="range" min="${range.min}" max="${range.max}" step="${range.step}" value="${val}" 
                     oninput="updateParam(${idx}, '${p}', this.value)">
             `;
             paramsDiv.appendChild(control);
         });
+        if (config.fir || config.resample) {
+            const info = document.createElement('div');
+            info.className = 'param-control filter-info';
+            info.id = `info-${idx}`;
+            info.textContent = config.fir ? firInfo(f, rateBefore(idx)) : resampleInfo(f, rateBefore(idx));
+            paramsDiv.appendChild(info);
+        }
+        if (config.custom) {
+            const info = document.createElement('div');
+            info.className = 'param-control filter-info';
+            info.id = `info-${idx}`;
+            info.textContent = customInfo(f);
+            paramsDiv.appendChild(info);
+        }
+        if (config.multichannel) {
+            const info = document.createElement('div');
+            info.className = 'param-control filter-info';
+            info.id = `info-${idx}`;
+            info.textContent = icaInfo(f);
+            paramsDiv.appendChild(info);
+            const fit = document.createElement('button');
+            fit.className = 'param-control';
+            fit.textContent = f.ica ? 'Refit ICA' : 'Fit ICA';
+            fit.onclick = () => fitComponents(idx);
+            paramsDiv.appendChild(fit);
+        }
+        if (!config.custom && !config.multichannel) {
+            const error = document.createElement('div');
+            error.className = 'param-control filter-info timing-warning';
+            error.id = `error-${idx}`;
+            paramsDiv.appendChild(error);
+            showStepError(f);
+        }
+        if (config.iir) {
+            const phase = document.createElement('label');
+            phase.className = 'param-control param-toggle';
+            phase.innerHTML = `
+                <input type="checkbox" ${f.zeroPhase ? 'checked' : ''} onchange="toggleZeroPhase(${idx}, this.checked)">
+                Zero-phase (forward-backward)
+            `;
+            paramsDiv.appendChild(phase);
+        }
 
         div.addEventListener('dragstart', (e) => {
             draggedIndex = idx;
@@ -474,8 +1101,11 @@ function renderFilters() {
             e.preventDefault();
             if (draggedIndex !== null && draggedIndex !== idx) {
                 [filters[draggedIndex], filters[idx]] = [filters[idx], filters[draggedIndex]];
+                if (selectedStep === draggedIndex) selectedStep = idx;
+                else if (selectedStep === idx) selectedStep = draggedIndex;
                 renderFilters();
                 updatePlots();
+                savePersistedState();
             }
             draggedIndex = null;
         });
@@ -485,9 +1115,86 @@ function renderFilters() {
     });
 }
 
+function icaInfo(filterObj) {
+    const ica = filterObj.ica;
+    if (!ica) return 'Not fitted yet; channels pass through unchanged';
+    const fit = ica.converged ? `${ica.iterations} iterations` : `did not converge in ${ica.iterations} iterations`;
+    const removed = ica.exclude.length > 0 ? ica.exclude.map(k => `IC${k}`).join(', ') : 'none';
+    const stale = JSON.stringify(ica.settings) !== JSON.stringify(filterObj.params) ? ' Settings changed: refit to apply them.' : '';
+    return `${ica.unmixing.length} components over ${ica.channels.length} channels (${fit}); removing ${removed}.${stale}`;
+}
+
+// Decompose the output of the steps before the ICA step (in the pipeline
+// worker, so the page stays responsive); rejections start empty
+async function fitComponents(idx) {
+    const step = filters[idx];
+    const steps = filters.slice(0, idx);
+    document.getElementById(`info-${idx}`).textContent = 'Fitting…';
+    try {
+        const result = await fitAfterSteps(steps, step.params);
+        if (result) {
+            showStepErrors(steps, result.stepErrors);
+            step.ica = { ...result.ica, settings: { ...step.params } };
+        }
+    } catch (e) {
+        alert('ICA failed: ' + e.message);
+    }
+    // The step may have been moved or removed while it was fitting
+    if (!filters.includes(step)) return;
+    selectedStep = filters.indexOf(step);
+    renderFilters();
+    updatePlots();
+    savePersistedState();
+}
+
+function toggleComponent(component, rejected) {
+    const ica = filters[selectedStep].ica;
+    ica.exclude = ica.exclude.filter(k => k !== component);
+    if (rejected) ica.exclude = [...ica.exclude, component].sort((a, b) => a - b);
+    document.getElementById(`info-${selectedStep}`).textContent = icaInfo(filters[selectedStep]);
+    updatePlots();
+    savePersistedState();
+}
+
+function selectStep(idx) {
+    selectedStep = selectedStep === idx ? null : idx;
+    renderFilters();
+    renderCoefficients();
+    renderComponents();
+    renderCustomEditor();
+    renderResponse();
+}
+
 function updateParam(idx, param, value) {
     filters[idx].params[param] = parseFloat(value);
     document.getElementById(`val-${idx}-${param}`).textContent = parseFloat(value).toFixed(2);
+    refreshRateInfo();
+    if (filterConfigs[filters[idx].type].multichannel) {
+        document.getElementById(`info-${idx}`).textContent = icaInfo(filters[idx]);
+    }
+    renderResponse();
+    schedulePlots();
+    savePersistedState();
+}
+
+// FIR and resample descriptions depend on the rate set by resample steps before them
+function refreshRateInfo() {
+    filters.forEach((f, i) => {
+        const config = filterConfigs[f.type];
+        if (config.fir) document.getElementById(`info-${i}`).textContent = firInfo(f, rateBefore(i));
+        if (config.resample) document.getElementById(`info-${i}`).textContent = resampleInfo(f, rateBefore(i));
+    });
+}
+
+function updateChoice(idx, param, value) {
+    filters[idx].params[param] = value;
+    renderFilters();
+    updatePlots();
+    savePersistedState();
+}
+
+function toggleZeroPhase(idx, enabled) {
+    filters[idx].zeroPhase = enabled;
     updatePlots();
     savePersistedState();
 }
@@ -607,10 +1314,19 @@ function applyLimits(type) {
 
 // Make functions globally available for onclick handlers
 window.addFilter = addFilter;
+window.loadFilterModule = loadFilterModule;
 window.removeFilter = removeFilter;
+window.selectStep = selectStep;
 window.updateParam = updateParam;
+window.updateChoice = updateChoice;
+window.toggleZeroPhase = toggleZeroPhase;
 window.zoomChart = zoomChart;
 window.updateScale = updateScale;
 window.toggleAutoY = toggleAutoY;
 window.applyLimits = applyLimits;
 window.toggleTimestampConversion = toggleTimestampConversion;
+window.selectPreviewChannel = selectPreviewChannel;
+window.exportProcessed = exportProcessed;
+window.toggleComponent = toggleComponent;
+window.applyCustomCode = applyCustomCode;
+window.renderResponse = renderResponse;
@@ -0,0 +1,144 @@
+// pipeline-worker.js - Runs the interactive pipeline off the main thread (a module worker started by engine.js)
+//
+// Each step's output is cached per channel under a key built from every step up
+// to it, so editing step 5 reuses the cached output of steps 1-4.
+
+import { filterConfigs, loadFilterModules, applyStep } from './filters.js';
+import { fitChannels } from './ica.js';
+
+// Cached outputs are dropped, least recently used first, past this many samples in total
+const CACHE_SAMPLES = 20000000;
+
+let channels = {};
+let samplingRate = 1;
+// Bumped by every load; a run started before the latest load is cancelled
+let generation = 0;
+// Runs wait for the filter modules sent with the channels
+let modulesLoaded = Promise.resolve();
+const cache = new Map();
+let cachedSamples = 0;
+// Latest run of each group; an older run of the group stops before its next step
+const latestRuns = {};
+
+// 53-bit string hash (cyrb53)
+function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 2654435761);
+        h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function cacheGet(key) {
+    const entry = cache.get(key);
+    if (entry) {
+        cache.delete(key);
+        cache.set(key, entry);
+    }
+    return entry;
+}
+
+function cachePut(key, entry) {
+    cache.set(key, entry);
+    cachedSamples += entry.channel.values.length;
+    while (cachedSamples > CACHE_SAMPLES && cache.size > 1) {
+        const [oldest, dropped] = cache.entries().next().value;
+        cache.delete(oldest);
+        cachedSamples -= dropped.channel.values.length;
+    }
+}
+
+// A loaded channel, or input samples [start, end) of it
+function input(name, range) {
+    const { times, values, repaired } = channels[name];
+    if (!range) return { times, values, repaired, rate: samplingRate };
+    const [start, end] = range;
+    return {
+        times: times.slice(start, end),
+        values: values.slice(start, end),
+        repaired: repaired ? repaired.slice(start, end) : null,
+        rate: samplingRate
+    };
+}
+
+// Let newer messages in before the next step
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// `steps` on the channels in `names` (all when null). An ICA step needs every
+// channel, so they all go through when there is one. Returns null when a newer
+// run of the same group arrived first, or new channels were loaded meanwhile
+// (its outputs must not reach the cache the new channels use).
+async function run({ id, steps, names, range, group }) {
+    if (group) latestRuns[group] = id;
+    const loaded = generation;
+    const stale = () => generation !== loaded || (group && latestRuns[group] !== id);
+    await modulesLoaded;
+    if (stale()) return null;
+    const multichannel = steps.some(step => filterConfigs[step.type].multichannel);
+    const needed = multichannel || !names ? Object.keys(channels) : names;
+    const current = Object.fromEntries(needed.map(name => [name, input(name, range)]));
+    const stepErrors = {};
+    let key = range ? range.join('-') : 'all';
+
+    for (const [i, step] of steps.entries()) {
+        await nextTask();
+        if (stale()) return null;
+        key += '/' + hashString(JSON.stringify(step));
+
+        if (filterConfigs[step.type].multichannel) {
+            const hits = needed.map(name => cacheGet(`${name}:${key}`));
+            if (hits.every(Boolean)) {
+                needed.forEach((name, c) => { current[name] = hits[c].channel; });
+            } else {
+                const output = filterConfigs[step.type].applyChannels(current, step);
+                needed.forEach(name => {
+                    current[name] = output[name];
+                    cachePut(`${name}:${key}`, { channel: output[name] });
+                });
+            }
+            continue;
+        }
+
+        for (const name of needed) {
+            let entry = cacheGet(`${name}:${key}`);
+            if (!entry) {
+                entry = await applyStep(current[name], step);
+                if (stale()) return null;
+                cachePut(`${name}:${key}`, entry);
+            }
+            current[name] = entry.channel;
+            if (!stepErrors[i]) stepErrors[i] = entry.error;
+        }
+    }
+    return { outputs: Object.fromEntries((names || needed).map(name => [name, current[name]])), stepErrors };
+}
+
+// ICA fitted on every channel after `steps`, or null when new channels were loaded meanwhile
+async function fit({ id, steps, options }) {
+    const result = await run({ id, steps, names: null, range: null, group: null });
+    if (!result) return null;
+    return { ica: fitChannels(result.outputs, options), stepErrors: result.stepErrors };
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'load') {
+        ({ channels, samplingRate } = message);
+        generation++;
+        modulesLoaded = loadFilterModules(message.modules).catch(e => console.error('Could not load filter modules:', e));
+        cache.clear();
+        cachedSamples = 0;
+        return;
+    }
+    try {
+        const result = message.type === 'fit' ? await fit(message) : await run(message);
+        self.postMessage(result ? { id: message.id, ...result } : { id: message.id, cancelled: true });
+    } catch (e) {
+        self.postMessage({ id: message.id, error: e.message });
+    }
+};
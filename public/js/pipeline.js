@@ -1,109 +1,96 @@
 // pipeline.js - Pipeline builder logic
 
-import { downloadFile } from './utils.js';
+import { downloadFile, csvRow } from './utils.js';
+import { loadCurrentWorkspace, saveSession } from './workspace.js';
+import { parseTimestamps } from './timing.js';
+import { buildTimeline, repairChannel, alignChannels } from './gaps.js';
+import { applyMontage } from './montage.js';
+import { waveletDenoise } from './wavelets.js';
+import { welch } from './spectral.js';
+import { fitChannels, icaSources } from './ica.js';
+import { CUSTOM_LANGUAGES, parseParamSpecs } from './sandbox.js';
+import { expressionToPython } from './expressions.js';
+import { resampleFactors } from './resample.js';
+import { filterConfigs, filterModules, loadFilterModules, applyStep, pythonStepName } from './filters.js';
+import { frequencyGrid, cascadeResponse, polesZeros, unstablePoles } from './response.js';
 
 let appState = null;
+let recordingData = null;
 let pipeline = [];
 let selectedStepId = null;
 let currentChannel = null;
 let signalData = {};
 let sortable = null;
+// Latest error of each step, shown on the step (and in the parameter panel for custom steps)
+const stepErrors = new WeakMap();
+// Pipeline runs are async (custom steps run in a worker); only the latest one updates the plots
+let plotRequest = 0;
+// The response inspector shows the selected 'step' or the whole enabled 'cascade'
+let responseScope = 'step';
 
-// Filter configurations
-const filterConfigs = {
-    detrend: { 
-        name: 'Detrend',
-        params: {},
-        defaults: {}
-    },
-    normalize: { 
-        name: 'Normalize (0-1)',
-        params: {},
-        defaults: {}
-    },
-    standardize: { 
-        name: 'Standardize (Z-score)',
-        params: {},
-        defaults: {}
-    },
-    butterworth_lowpass: { 
-        name: 'Butterworth Lowpass',
-        params: ['cutoff', 'order'],
-        defaults: { cutoff: 50, order: 4 }
-    },
-    butterworth_highpass: { 
-        name: 'Butterworth Highpass',
-        params: ['cutoff', 'order'],
-        defaults: { cutoff: 1, order: 4 }
-    },
-    butterworth_bandpass: { 
-        name: 'Butterworth Bandpass',
-        params: ['low', 'high', 'order'],
-        defaults: { low: 1, high: 50, order: 4 }
-    },
-    butterworth_bandstop: { 
-        name: 'Butterworth Bandstop',
-        params: ['low', 'high', 'order'],
-        defaults: { low: 48, high: 52, order: 4 }
-    },
-    savgol: { 
-        name: 'Savitzky-Golay',
-        params: ['window', 'polyorder'],
-        defaults: { window: 11, polyorder: 3 }
-    },
-    median: { 
-        name: 'Median Filter',
-        params: ['kernel'],
-        defaults: { kernel: 5 }
-    },
-    notch: { 
-        name: 'Notch Filter',
-        params: ['frequency', 'quality'],
-        defaults: { frequency: 50, quality: 30 }
-    },
-    moving_average: { 
-        name: 'Moving Average',
-        params: ['window'],
-        defaults: { window: 5 }
-    }
-};
+// Slider parameters of a step; custom steps declare their own
+function stepParams(step) {
+    const config = filterConfigs[step.type];
+    return config.custom ? step.paramSpecs.map(spec => spec.name) : config.sliders;
+}
+
+function paramRange(step, param) {
+    const spec = step.paramSpecs && step.paramSpecs.find(s => s.name === param);
+    return spec || filterConfigs[step.type].params[param];
+}
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    loadAppState();
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!await loadAppState()) return;
     initializeControls();
     prepareSignalData();
+    renderPipeline();
     updatePlots();
 });
 
-function loadAppState() {
-    const savedState = sessionStorage.getItem('appState');
-    if (!savedState) {
+async function loadAppState() {
+    const workspace = await loadCurrentWorkspace().catch(() => null);
+    if (!workspace || !workspace.appState.selectedChannels) {
         alert('No data loaded. Redirecting to home...');
         window.location.href = 'index.html';
-        return;
+        return false;
     }
-    appState = JSON.parse(savedState);
-    currentChannel = appState.selectedChannels[0];
+    appState = workspace.appState;
+    recordingData = workspace.data;
 
-    // Populate channel selector
-    const channelSelect = document.getElementById('processingChannel');
-    channelSelect.innerHTML = appState.selectedChannels.map(ch => 
-        `<option value="${ch}">${ch}</option>`
-    ).join('');
-    channelSelect.value = currentChannel;
+    // Restore the pipeline saved with this recording, after the filter modules it may use
+    try {
+        await loadFilterModules(appState.filterModules || []);
+    } catch (err) {
+        console.error('Could not load filter modules:', err);
+    }
+    pipeline = restoreSteps(appState.pipeline || []);
 
     // Update info display
     document.getElementById('fileNameDisplay').textContent = appState.fileName;
     document.getElementById('samplingRateDisplay').textContent = appState.samplingRate;
     
-    const duration = (appState.parsedData.length / appState.samplingRate).toFixed(2);
+    const duration = (appState.length / appState.samplingRate).toFixed(2);
     document.getElementById('durationDisplay').textContent = duration;
+    return true;
+}
+
+// Steps saved before a filter gained parameters pick up the defaults
+function restoreSteps(steps) {
+    return steps.filter(step => filterConfigs[step.type]).map((step, i) => ({
+        id: `${Date.now()}-${i}`,
+        name: filterConfigs[step.type].label,
+        enabled: true,
+        ...step,
+        params: { ...filterConfigs[step.type].defaults, ...step.params }
+    }));
 }
 
 function initializeControls() {
     // Add filter button
+    renderFilterMenu();
     document.getElementById('addFilterBtn').addEventListener('click', addFilter);
+    document.getElementById('loadFilterModule').addEventListener('click', loadFilterModule);
 
     // Channel change
     document.getElementById('processingChannel').addEventListener('change', (e) => {
@@ -132,23 +119,49 @@ function initializeControls() {
 }
 
 function prepareSignalData() {
-    const timestampCol = appState.selectedTimestamp;
-    
+    const times = parseTimestamps(recordingData[appState.selectedTimestamp], appState.timeUnit || 's');
+    const timeline = buildTimeline(times, appState.samplingRate);
+    const strategies = appState.repairStrategies || {};
+    const repaired = {};
     appState.selectedChannels.forEach(channel => {
-        const times = [];
-        const values = [];
-        
-        appState.parsedData.forEach(row => {
-            const t = parseFloat(row[timestampCol]);
-            const v = parseFloat(row[channel]);
-            if (!isNaN(t) && !isNaN(v)) {
-                times.push(t);
-                values.push(v);
-            }
-        });
-        
-        signalData[channel] = { times, values };
+        repaired[channel] = repairChannel(timeline, recordingData[channel], strategies[channel] || 'drop');
     });
+
+    // Re-referenced or bipolar channels replace (or join) the recorded ones
+    try {
+        signalData = applyMontage(appState.montage, repaired);
+    } catch (e) {
+        console.error('Montage error:', e);
+        signalData = repaired;
+    }
+
+    const channels = Object.keys(signalData);
+    currentChannel = channels[0];
+    const channelSelect = document.getElementById('processingChannel');
+    channelSelect.innerHTML = channels.map(ch => 
+        `<option value="${ch}">${ch}</option>`
+    ).join('');
+    channelSelect.value = currentChannel;
+}
+
+function renderFilterMenu() {
+    document.getElementById('filterTypeSelect').innerHTML = '<option value="">-- Select Filter --</option>' +
+        Object.values(filterConfigs).map(config => `<option value="${config.id}">${config.label}</option>`).join('');
+}
+
+// Import a filter module (an ES module calling registerFilter from filters.js) and offer its filters
+async function loadFilterModule() {
+    const input = document.getElementById('filterModuleUrl');
+    if (!input.value.trim()) return;
+    try {
+        await loadFilterModules([new URL(input.value.trim(), document.baseURI).href]);
+    } catch (e) {
+        alert('Could not load filter module: ' + e.message);
+        return;
+    }
+    input.value = '';
+    renderFilterMenu();
+    persistPipeline();
 }
 
 function addFilter() {
@@ -164,10 +177,22 @@ function addFilter() {
     const step = {
         id: Date.now().toString(),
         type: type,
-        name: config.name,
+        name: config.label,
         enabled: true,
         params: { ...config.defaults }
     };
+    if (config.iir) step.zeroPhase = false;
+    if (config.multichannel) {
+        step.params.components = Math.min(config.params.components.max, Object.keys(signalData).length);
+        step.ica = null;
+    }
+    if (config.custom) {
+        const language = CUSTOM_LANGUAGES[config.language];
+        step.source = language.source;
+        step.paramText = language.params;
+        step.paramSpecs = parseParamSpecs(language.params).specs;
+        step.params = Object.fromEntries(step.paramSpecs.map(spec => [spec.name, spec.value]));
+    }
 
     pipeline.push(step);
     select.value = '';
@@ -177,6 +202,7 @@ function addFilter() {
 
 function renderPipeline() {
     const list = document.getElementById('pipelineList');
+    persistPipeline();
     
     if (pipeline.length === 0) {
         list.innerHTML = '<p class="param-placeholder">No steps added yet</p>';
@@ -185,9 +211,20 @@ function renderPipeline() {
 
     list.innerHTML = pipeline.map(step => {
         const config = filterConfigs[step.type];
-        const paramStr = Object.entries(step.params)
+        const inactive = config && config.inactiveParams ? config.inactiveParams(step.params) : [];
+        let paramStr = Object.entries(step.params)
+            .filter(([k]) => !inactive.includes(k))
             .map(([k, v]) => `${k}: ${typeof v === 'number' ? v.toFixed(2) : v}`)
             .join(', ');
+        if (config && config.iir) {
+            paramStr += step.zeroPhase ? ', zero-phase' : ', causal';
+        }
+        if (config && config.multichannel) {
+            paramStr += step.ica ? `, removing ${step.ica.exclude.map(k => `IC${k}`).join(' ') || 'none'}` : ', not fitted';
+        }
+        if (config && config.resample) {
+            paramStr += `, ${resampleInfo(step, rateBefore(step))}`;
+        }
 
         return `
             <div class="pipeline-step ${step.enabled ? '' : 'disabled'} ${selectedStepId === step.id ? 'selected' : ''}" 
@@ -201,6 +238,7 @@ function renderPipeline() {
                     </div>
                 </div>
                 ${paramStr ? `<div class="step-params">${paramStr}</div>` : ''}
+                ${stepErrors.has(step) ? `<div class="step-params timing-warning">Error: ${stepErrors.get(step)}</div>` : ''}
             </div>
         `;
     }).join('');
@@ -254,7 +292,7 @@ function renderParamPanel() {
 
     const config = filterConfigs[step.type];
     
-    if (!config.params || config.params.length === 0) {
+    if (!config.custom && Object.keys(config.params).length === 0) {
         panel.innerHTML = `
             <h3>${step.name}</h3>
             <p class="param-placeholder">This filter has no configurable parameters</p>
@@ -263,10 +301,26 @@ function renderParamPanel() {
     }
 
     let html = `<h3>${step.name}</h3>`;
-    
-    config.params.forEach(param => {
+
+    Object.entries(config.choices || {}).forEach(([param, options]) => {
+        const paramLabel = param.charAt(0).toUpperCase() + param.slice(1);
+        html += `
+            <div class="param-group">
+                <label>${paramLabel}</label>
+                <select class="input-field" onchange="updateChoice('${selectedStepId}', '${param}', this.value)">
+                    ${Object.entries(options).map(([value, label]) =>
+                        `<option value="${value}" ${step.params[param] === value ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        `;
+    });
+
+    const inactive = config.inactiveParams ? config.inactiveParams(step.params) : [];
+    stepParams(step).filter(param => !inactive.includes(param)).forEach(param => {
         const value = step.params[param];
         const paramLabel = param.charAt(0).toUpperCase() + param.slice(1);
+        const range = paramRange(step, param);
         
         html += `
             <div class="param-group">
@@ -276,23 +330,407 @@ function renderParamPanel() {
                 </label>
                 <input type="range" 
                        class="input-field" 
-                       min="0.1" 
-                       max="${param === 'order' ? 10 : (param === 'quality' ? 50 : 200)}" 
-                       step="0.1" 
+                       min="${range.min}" 
+                       max="${range.max}" 
+                       step="${range.step}" 
                        value="${value}"
                        oninput="updateParam('${selectedStepId}', '${param}', this.value)">
             </div>
         `;
     });
 
+    if (config.fir) {
+        html += `<p class="param-placeholder" id="firInfo">${firInfo(step, rateBefore(step))}</p>`;
+    }
+
+    if (config.iir) {
+        html += `
+            <div class="param-group">
+                <label>
+                    <input type="checkbox" ${step.zeroPhase ? 'checked' : ''}
+                           onchange="setZeroPhase('${selectedStepId}', this.checked)">
+                    Zero-phase (forward-backward)
+                </label>
+            </div>
+        `;
+    }
+
+    if (pipeline.some(s => s.enabled && isLinearStep(s))) {
+        html += `
+            <div class="param-group">
+                <label>Frequency response</label>
+                <select class="input-field" onchange="setResponseScope(this.value)">
+                    <option value="step" ${responseScope === 'step' ? 'selected' : ''}>This step</option>
+                    <option value="cascade" ${responseScope === 'cascade' ? 'selected' : ''}>Whole pipeline (enabled steps)</option>
+                </select>
+            </div>
+            <div id="responsePlots"></div>
+            <p class="param-placeholder" id="responseInfo"></p>
+        `;
+    }
+
+    if (step.type === 'wavelet_denoise') {
+        html += `
+            <div id="waveletCoefficients"></div>
+            <p class="param-placeholder" id="waveletInfo"></p>
+        `;
+    }
+
+    if (config.multichannel) {
+        html += `
+            <p class="param-placeholder" id="icaInfo">${icaInfo(step)}</p>
+            <button class="btn btn-secondary" onclick="fitComponents('${selectedStepId}')">${step.ica ? 'Refit' : 'Fit'} ICA</button>
+            <div id="icaComponents"></div>
+            <div id="icaSources"></div>
+            <div id="icaSpectra"></div>
+        `;
+    }
+
+    if (config.custom) {
+        const error = stepErrors.get(step);
+        html += `
+            <div class="param-group">
+                <label for="customSource">${CUSTOM_LANGUAGES[config.language].signature.replace('=>', '=&gt;')}</label>
+                <textarea id="customSource" class="input-field code-editor" rows="10" spellcheck="false"></textarea>
+            </div>
+            <div class="param-group">
+                <label for="customParams">Parameters, one per line: name min max [step] [default]</label>
+                <textarea id="customParams" class="input-field code-editor" rows="3" spellcheck="false"></textarea>
+            </div>
+            <button class="btn btn-secondary" onclick="applyCustomCode('${selectedStepId}')">Apply</button>
+            <p class="param-placeholder ${error ? 'timing-warning' : ''}" id="customStatus">${customStatus(step)}</p>
+        `;
+    }
+
     panel.innerHTML = html;
+    if (config.custom) {
+        // Set as values so the code is not parsed as HTML
+        document.getElementById('customSource').value = step.source;
+        document.getElementById('customParams').value = step.paramText;
+    }
+    if (step.type === 'wavelet_denoise') renderCoefficients(step);
+    if (config.multichannel) renderComponents(step);
+    renderResponse(step);
+}
+
+function icaInfo(step) {
+    const ica = step.ica;
+    if (!ica) return 'Not fitted yet; channels pass through unchanged. Fitting uses the output of the steps before this one.';
+    const fit = ica.converged ? `${ica.iterations} iterations` : `did not converge in ${ica.iterations} iterations`;
+    const stale = JSON.stringify(ica.settings) !== JSON.stringify(step.params) ? ' Settings changed: refit to apply them.' : '';
+    return `${ica.unmixing.length} components over ${ica.channels.length} channels (${fit}).${stale}`;
+}
+
+// Sliders keep their values when a parameter survives the edit and its range allows it
+window.applyCustomCode = function(stepId) {
+    const step = pipeline.find(s => s.id === stepId);
+    if (!step) return;
+    const paramText = document.getElementById('customParams').value;
+    const { specs, errors } = parseParamSpecs(paramText);
+    if (errors.length > 0) {
+        const status = document.getElementById('customStatus');
+        status.innerHTML = errors.join('<br>');
+        status.classList.add('timing-warning');
+        return;
+    }
+
+    step.source = document.getElementById('customSource').value;
+    step.paramText = paramText;
+    step.paramSpecs = specs;
+    step.params = Object.fromEntries(specs.map(spec => {
+        const old = step.params[spec.name];
+        return [spec.name, old >= spec.min && old <= spec.max ? old : spec.value];
+    }));
+    renderPipeline();
+    renderParamPanel();
+    updatePlots();
+};
+
+// Component time courses (stacked) and Welch spectra; ticked components are removed
+async function renderComponents(step) {
+    const list = document.getElementById('icaComponents');
+    if (!list || !step.ica) return;
+
+    let result;
+    try {
+        result = icaSources(step.ica, await channelsBefore(pipeline.indexOf(step)));
+    } catch (e) {
+        list.innerHTML = `<p class="param-placeholder">${e.message}</p>`;
+        return;
+    }
+
+    const { times, sources } = result;
+    const sr = rateBefore(step);
+    list.innerHTML = sources.map((_, k) => `
+        <label class="checkbox-label">
+            <input type="checkbox" ${step.ica.exclude.includes(k) ? 'checked' : ''}
+                   onchange="toggleComponent('${step.id}', ${k}, this.checked)">
+            <span>IC${k} · ${(step.ica.variance[k] * 100).toFixed(1)}% of variance</span>
+        </label>
+    `).join('');
+
+    // Each source has unit variance; stack them 6 apart, IC0 at the top
+    const sourceTraces = sources.map((source, k) => ({
+        x: times,
+        y: Array.from(source, v => v - 6 * k),
+        type: 'scattergl',
+        mode: 'lines',
+        name: `IC${k}`,
+        line: { width: 1, color: step.ica.exclude.includes(k) ? '#ff4757' : '#00d4ff' }
+    }));
+    const spectrumTraces = sources.map((source, k) => {
+        const { frequencies, psd } = welch(source, sr, { nperseg: Math.round(2 * sr) });
+        return {
+            x: frequencies,
+            y: Array.from(psd, v => 10 * Math.log10(v + 1e-20)),
+            type: 'scatter',
+            mode: 'lines',
+            name: `IC${k}`,
+            line: { width: 1 }
+        };
+    });
+    const layout = {
+        paper_bgcolor: '#0f3460',
+        plot_bgcolor: '#0a2540',
+        font: { color: '#eee' },
+        margin: { l: 50, r: 10, t: 10, b: 40 }
+    };
+    Plotly.newPlot('icaSources', sourceTraces, {
+        ...layout,
+        height: 60 + 40 * sources.length,
+        showlegend: false,
+        xaxis: { title: 'Time (s)', color: '#aaa' },
+        yaxis: {
+            color: '#aaa',
+            tickvals: sources.map((_, k) => -6 * k),
+            ticktext: sources.map((_, k) => `IC${k}`)
+        }
+    }, { responsive: true, displaylogo: false });
+    Plotly.newPlot('icaSpectra', spectrumTraces, {
+        ...layout,
+        height: 260,
+        xaxis: { title: 'Frequency (Hz)', color: '#aaa' },
+        yaxis: { title: 'PSD (dB)', color: '#aaa' }
+    }, { responsive: true, displaylogo: false });
 }
 
+// Decompose the output of the enabled steps before the ICA step; rejections start empty
+window.fitComponents = function(stepId) {
+    const step = pipeline.find(s => s.id === stepId);
+    if (!step) return;
+    document.getElementById('icaInfo').textContent = 'Fitting…';
+    // Let the status paint before the fit blocks the page
+    setTimeout(async () => {
+        try {
+            step.ica = { ...fitChannels(await channelsBefore(pipeline.indexOf(step)), step.params), settings: { ...step.params } };
+        } catch (e) {
+            alert('ICA failed: ' + e.message);
+        }
+        renderPipeline();
+        renderParamPanel();
+        updatePlots();
+    }, 0);
+};
+
+window.toggleComponent = function(stepId, component, rejected) {
+    const step = pipeline.find(s => s.id === stepId);
+    if (!step || !step.ica) return;
+    step.ica.exclude = step.ica.exclude.filter(k => k !== component);
+    if (rejected) step.ica.exclude = [...step.ica.exclude, component].sort((a, b) => a - b);
+    renderPipeline();
+    updatePlots();
+};
+
+// Per-level DWT coefficient magnitudes of the step's input (the output of the
+// enabled steps before it), with the threshold applied at each level
+async function renderCoefficients(step) {
+    const info = document.getElementById('waveletInfo');
+    if (!info || !currentChannel || !signalData[currentChannel]) return;
+
+    const index = pipeline.indexOf(step);
+    let input;
+    let result;
+    try {
+        input = await processChannel(currentChannel, index);
+        result = waveletDenoise(input.values, step.params);
+    } catch (e) {
+        info.textContent = e.message;
+        return;
+    }
+
+    const { coeffs, thresholds, levels } = result;
+    const sr = input.rate;
+    const times = input.times;
+    const columnCount = Math.min(400, times.length);
+    const trace = {
+        x: Array.from({ length: columnCount }, (_, c) => times[Math.floor(c * times.length / columnCount)]),
+        y: coeffs.map((_, i) => (i === 0 ? `cA${levels}` : `cD${levels - i + 1}`)),
+        z: coeffs.map(level => Array.from({ length: columnCount }, (_, c) =>
+            20 * Math.log10(Math.abs(level[Math.floor(c * level.length / columnCount)]) + 1e-12))),
+        type: 'heatmap',
+        colorscale: 'Viridis',
+        colorbar: { title: 'dB' }
+    };
+    const layout = {
+        height: 220,
+        paper_bgcolor: '#0f3460',
+        plot_bgcolor: '#0a2540',
+        font: { color: '#eee' },
+        margin: { l: 50, r: 10, t: 10, b: 40 },
+        xaxis: { title: 'Time (s)', color: '#aaa' },
+        yaxis: { type: 'category', color: '#aaa' }
+    };
+    Plotly.newPlot('waveletCoefficients', [trace], layout, { responsive: true, displaylogo: false });
+
+    info.innerHTML = thresholds.map((t, i) => {
+        const level = levels - i;
+        const detail = coeffs[i + 1];
+        const zeroed = detail.filter(v => Math.abs(v) <= t).length;
+        const band = `${(sr / 2 ** (level + 1)).toFixed(1)}–${(sr / 2 ** level).toFixed(1)} Hz`;
+        return `cD${level} (${band}): threshold ${t.toPrecision(3)}, ${zeroed} of ${detail.length} zeroed`;
+    }).join('<br>');
+}
+
+// Magnitude, phase, group delay and pole-zero map of `step`, or of every enabled
+// linear step, at the rate each step runs at
+function renderResponse(step) {
+    const info = document.getElementById('responseInfo');
+    if (!info) return;
+    const cascade = responseScope === 'cascade';
+    const steps = cascade ? pipeline.filter(s => s.enabled && isLinearStep(s)) : [step];
+    if (!cascade && !isLinearStep(step)) {
+        Plotly.purge('responsePlots');
+        info.textContent = 'This step is not a linear filter, so it has no frequency response.';
+        info.classList.remove('timing-warning');
+        return;
+    }
+
+    const stages = [];
+    for (const s of steps) {
+        try {
+            const stage = filterConfigs[s.type].response(s, rateBefore(s));
+            if (stage) stages.push({ step: s, stage });
+        } catch (e) {
+            Plotly.purge('responsePlots');
+            info.textContent = `${s.name}: ${e.message}`;
+            info.classList.remove('timing-warning');
+            return;
+        }
+    }
+    if (stages.length === 0) {
+        Plotly.purge('responsePlots');
+        info.textContent = 'The sampling rate is unchanged, so this step does nothing.';
+        info.classList.remove('timing-warning');
+        return;
+    }
+
+    // The cascade is shown up to the lowest Nyquist rate any step (or the output) sees
+    const rate = cascade
+        ? Math.min(rateBefore(null), ...stages.map(({ stage }) => stage.rate))
+        : stages[0].stage.rate;
+    const { frequencies, magnitude, phase, groupDelay } = cascadeResponse(stages.map(({ stage }) => stage), frequencyGrid(rate / 2));
+    const x = Array.from(frequencies);
+    let peak = -Infinity;
+    magnitude.forEach(v => { if (v > peak) peak = v; });
+
+    const notes = [cascade ? `${stages.length} step${stages.length === 1 ? '' : 's'} up to ${+(rate / 2).toFixed(3)} Hz`
+        : `At ${+rate.toFixed(3)} Hz`];
+    if (!cascade && step.zeroPhase) notes.push('run forward-backward, so the magnitude is squared and the phase is zero');
+    const skipped = pipeline.filter(s => s.enabled && !isLinearStep(s)).map(s => s.name);
+    if (cascade && skipped.length > 0) notes.push(`not included (not linear): ${skipped.join(', ')}`);
+
+    const traces = [
+        { x, y: Array.from(magnitude), name: 'Magnitude', line: { color: '#00d4ff' } },
+        { x, y: Array.from(phase), name: 'Phase', xaxis: 'x2', yaxis: 'y2', line: { color: '#ffa502' } },
+        { x, y: Array.from(groupDelay, v => v * 1000), name: 'Group delay', xaxis: 'x3', yaxis: 'y3', line: { color: '#2ed573' } }
+    ].map(trace => ({ ...trace, type: 'scatter', mode: 'lines', connectgaps: false }));
+
+    // Poles and zeros only share a z-plane when the steps run at the same rate
+    let extent = 1.2;
+    if (stages.every(({ stage }) => stage.rate === stages[0].stage.rate)) {
+        const maps = stages.map(({ stage }) => polesZeros(stage.filter));
+        const zeros = maps.every(m => m.zeros) ? maps.flatMap(m => m.zeros) : [];
+        const poles = maps.flatMap(m => m.poles);
+        if (!maps.every(m => m.zeros)) notes.push('zeros not computed for this many taps');
+        [...zeros, ...poles].forEach(p => { extent = Math.max(extent, 1.1 * Math.hypot(p.re, p.im)); });
+        const marker = (points, symbol, color) => ({
+            x: points.map(p => p.re),
+            y: points.map(p => p.im),
+            xaxis: 'x4',
+            yaxis: 'y4',
+            type: 'scatter',
+            mode: 'markers',
+            marker: { symbol, size: 8, color, line: { width: 1.5, color } }
+        });
+        traces.push({ ...marker(zeros, 'circle-open', '#00d4ff'), name: 'Zeros' });
+        traces.push({ ...marker(poles, 'x-thin-open', poles.map(p => (Math.hypot(p.re, p.im) >= 1 ? '#ff4757' : '#ffa502'))), name: 'Poles' });
+    } else {
+        notes.push('no pole-zero map: the steps run at different rates');
+    }
+
+    const axis = { color: '#aaa', gridcolor: '#1a3a52' };
+    const layout = {
+        height: 420,
+        paper_bgcolor: '#0f3460',
+        plot_bgcolor: '#0a2540',
+        font: { color: '#eee', size: 10 },
+        showlegend: false,
+        margin: { l: 50, r: 10, t: 20, b: 35 },
+        grid: { rows: 2, columns: 2, pattern: 'independent' },
+        xaxis: { ...axis, title: 'Hz' },
+        yaxis: { ...axis, title: 'Magnitude (dB)', range: [peak - 100, peak + 5] },
+        xaxis2: { ...axis, title: 'Hz' },
+        yaxis2: { ...axis, title: 'Phase (rad)' },
+        xaxis3: { ...axis, title: 'Hz' },
+        yaxis3: { ...axis, title: 'Group delay (ms)' },
+        xaxis4: { ...axis, title: 'Real', range: [-extent, extent], zeroline: true },
+        yaxis4: { ...axis, title: 'Imaginary', range: [-extent, extent], scaleanchor: 'x4', zeroline: true },
+        shapes: [{ type: 'circle', xref: 'x4', yref: 'y4', x0: -1, y0: -1, x1: 1, y1: 1, line: { color: '#666', width: 1 } }]
+    };
+    Plotly.react('responsePlots', traces, layout, { responsive: true, displaylogo: false });
+
+    const unstable = stages.flatMap(({ step: s, stage }) => (unstablePoles(stage.filter).length > 0 ? [s.name] : []));
+    info.textContent = notes.join('; ') + '.';
+    if (unstable.length > 0) info.textContent += ` Unstable (poles on or outside the unit circle): ${unstable.join(', ')}.`;
+    info.classList.toggle('timing-warning', unstable.length > 0);
+}
+
+window.setResponseScope = function(scope) {
+    responseScope = scope;
+    const step = pipeline.find(s => s.id === selectedStepId);
+    if (step) renderResponse(step);
+};
+
+window.updateChoice = function(stepId, param, value) {
+    const step = pipeline.find(s => s.id === stepId);
+    if (step) {
+        step.params[param] = value;
+        renderPipeline();
+        renderParamPanel();
+        updatePlots();
+    }
+};
+
+window.setZeroPhase = function(stepId, enabled) {
+    const step = pipeline.find(s => s.id === stepId);
+    if (step) {
+        step.zeroPhase = enabled;
+        renderPipeline();
+        updatePlots();
+    }
+};
+
 window.updateParam = function(stepId, param, value) {
     const step = pipeline.find(s => s.id === stepId);
     if (step) {
         step.params[param] = parseFloat(value);
         document.getElementById(`val-${param}`).textContent = parseFloat(value).toFixed(2);
+        if (filterConfigs[step.type].fir) {
+            document.getElementById('firInfo').textContent = firInfo(step, rateBefore(step));
+        }
+        if (filterConfigs[step.type].multichannel) {
+            document.getElementById('icaInfo').textContent = icaInfo(step);
+        }
         renderPipeline();
         updatePlots();
     }
@@ -310,20 +748,33 @@ function updatePipelineOrder() {
     });
     
     pipeline = newPipeline;
+    persistPipeline();
+}
+
+function persistPipeline() {
+    saveSession(appState.recordingId, { pipeline, filterModules: [...filterModules] })
+        .catch(err => console.error('Could not save pipeline:', err));
 }
 
-function updatePlots() {
+async function updatePlots() {
     if (!currentChannel || !signalData[currentChannel]) return;
 
-    const original = signalData[currentChannel].values;
-    const processed = applyPipelineToSignal(original);
-    const times = signalData[currentChannel].times;
+    const request = ++plotRequest;
+    const processed = await processChannel(currentChannel);
+    if (request !== plotRequest) return;
+
+    const { times, values, repaired } = signalData[currentChannel];
 
-    plotSignal('originalPlot', times, original, 'Original');
-    plotSignal('processedPlot', times, processed, 'Processed');
+    plotSignal('originalPlot', times, values, repaired);
+    plotSignal('processedPlot', processed.times, processed.values, processed.repaired);
+
+    const selected = pipeline.find(s => s.id === selectedStepId);
+    if (selected && selected.type === 'wavelet_denoise') renderCoefficients(selected);
+    if (selected && selected.type === 'ica') renderComponents(selected);
+    if (selected) renderResponse(selected);
 }
 
-function plotSignal(plotId, times, values, title) {
+function plotSignal(plotId, times, values, repaired) {
     const trace = {
         x: times,
         y: values,
@@ -355,169 +806,137 @@ function plotSignal(plotId, times, values, title) {
         displayModeBar: false
     };
 
-    Plotly.newPlot(plotId, [trace], layout, config);
+    Plotly.newPlot(plotId, [trace, repairedTrace(times, values, repaired)], layout, config);
 }
 
-function applyPipelineToSignal(signal) {
-    let result = [...signal];
-    
-    for (const step of pipeline) {
-        if (!step.enabled) continue;
-        result = applyFilter(result, step);
-    }
-    
-    return result;
+// Overlay trace that only shows the repaired stretches of a signal (NaN elsewhere breaks the line)
+function repairedTrace(times, values, repaired) {
+    const y = Array.from(values, (v, i) =>
+        (repaired[i] || repaired[i - 1] || repaired[i + 1] ? v : NaN));
+    return {
+        x: times,
+        y: y,
+        type: 'scatter',
+        mode: 'lines',
+        line: { width: 1.5, color: '#ff4757', dash: 'dot' },
+        hoverinfo: 'skip',
+        showlegend: false
+    };
 }
 
-function applyFilter(signal, step) {
-    const params = step.params;
-    const sr = appState.samplingRate;
-    const nyquist = sr / 2;
-
-    switch (step.type) {
-        case 'detrend':
-            return detrend(signal);
-        case 'normalize':
-            return normalize(signal);
-        case 'standardize':
-            return standardize(signal);
-        case 'butterworth_lowpass':
-            return butterworthFilter(signal, params.cutoff / nyquist, params.order, 'low');
-        case 'butterworth_highpass':
-            return butterworthFilter(signal, params.cutoff / nyquist, params.order, 'high');
-        case 'butterworth_bandpass':
-            return bandpassFilter(signal, params.low / nyquist, params.high / nyquist, params.order);
-        case 'butterworth_bandstop':
-            return bandstopFilter(signal, params.low / nyquist, params.high / nyquist, params.order);
-        case 'savgol':
-            return savgolFilter(signal, Math.floor(params.window), Math.floor(params.polyorder));
-        case 'median':
-            return medianFilter(signal, Math.floor(params.kernel));
-        case 'notch':
-            return notchFilter(signal, params.frequency, params.quality, sr);
-        case 'moving_average':
-            return movingAverage(signal, Math.floor(params.window));
-        default:
-            return signal;
-    }
-}
-
-// Filter implementations
-function detrend(signal) {
-    const n = signal.length;
-    const x = Array.from({ length: n }, (_, i) => i);
-    
-    // Linear regression
-    const xMean = x.reduce((a, b) => a + b) / n;
-    const yMean = signal.reduce((a, b) => a + b) / n;
-    
-    let num = 0, den = 0;
-    for (let i = 0; i < n; i++) {
-        num += (x[i] - xMean) * (signal[i] - yMean);
-        den += (x[i] - xMean) ** 2;
+// A channel as the pipeline carries it: { times, values, repaired, rate }
+function pipelineInput(channel) {
+    const { times, values, repaired } = signalData[channel];
+    return { times, values, repaired, rate: appState.samplingRate };
+}
+
+// Runs the enabled per-channel steps from index `start` up to `end` on a channel.
+// Resample steps change its length, times and rate; the rest filter its values at its current rate.
+async function applyPipelineToSignal(channel, end = pipeline.length, start = 0) {
+    let result = channel;
+
+    for (const step of pipeline.slice(start, end)) {
+        if (!step.enabled || filterConfigs[step.type].multichannel) continue;
+        const output = await applyStep(result, step);
+        showStepError(step, output.error);
+        result = output.channel;
     }
-    
-    const slope = num / den;
-    const intercept = yMean - slope * xMean;
-    
-    return signal.map((y, i) => y - (slope * x[i] + intercept));
+
+    return result;
 }
 
-function normalize(signal) {
-    const min = Math.min(...signal);
-    const max = Math.max(...signal);
-    const range = max - min;
-    if (range === 0) return signal;
-    return signal.map(v => (v - min) / range);
+// Sampling rate at the input of `step`, after the enabled resample steps before it
+function rateBefore(step) {
+    const end = pipeline.indexOf(step);
+    return pipeline.slice(0, end === -1 ? pipeline.length : end)
+        .filter(s => s.enabled && filterConfigs[s.type].resample)
+        .reduce((rate, s) => resampledRate(s, rate), appState.samplingRate);
 }
 
-function standardize(signal) {
-    const mean = signal.reduce((a, b) => a + b) / signal.length;
-    const std = Math.sqrt(signal.reduce((a, b) => a + (b - mean) ** 2, 0) / signal.length);
-    if (std === 0) return signal;
-    return signal.map(v => (v - mean) / std);
+function resampledRate(step, rate) {
+    try {
+        const [up, down] = resampleFactors(step.params, rate);
+        return rate * up / down;
+    } catch (e) {
+        return rate;
+    }
 }
 
-function butterworthFilter(signal, normalizedFreq, order, type) {
-    const result = [...signal];
-    const alpha = Math.min(0.95, normalizedFreq);
-    
-    if (type === 'low') {
-        for (let i = 1; i < result.length; i++) {
-            result[i] = alpha * result[i] + (1 - alpha) * result[i - 1];
-        }
-    } else if (type === 'high') {
-        for (let i = 1; i < result.length; i++) {
-            result[i] = result[i] - (alpha * result[i - 1] + (1 - alpha) * result[i]);
-        }
+function resampleInfo(step, rate) {
+    try {
+        const [up, down] = resampleFactors(step.params, rate);
+        return `${+rate.toFixed(3)} → ${+(rate * up / down).toFixed(3)} Hz`;
+    } catch (e) {
+        return e.message;
     }
-    
-    return result;
 }
 
-function bandpassFilter(signal, lowFreq, highFreq, order) {
-    let result = butterworthFilter(signal, highFreq, order, 'low');
-    result = butterworthFilter(result, lowFreq, order, 'high');
-    return result;
+function customStatus(step) {
+    const error = stepErrors.get(step);
+    if (error) return `Error: ${error}`;
+    return filterConfigs[step.type].language === 'python' ? 'Runs on Pyodide in a separate worker; only run code you trust' : 'Runs in a separate worker; only run code you trust';
 }
 
-function bandstopFilter(signal, lowFreq, highFreq, order) {
-    const low = butterworthFilter(signal, lowFreq, order, 'low');
-    const high = butterworthFilter(signal, highFreq, order, 'high');
-    return signal.map((v, i) => low[i] + high[i] - v);
+// A failing step leaves the signal unchanged; the error (null once it runs cleanly)
+// is shown on the step and, for custom steps, in its panel
+function showStepError(step, error) {
+    const changed = (stepErrors.get(step) || null) !== error;
+    if (error) stepErrors.set(step, error);
+    else stepErrors.delete(step);
+    if (changed) renderPipeline();
+    const status = step.id === selectedStepId && document.getElementById('customStatus');
+    if (status) {
+        status.textContent = customStatus(step);
+        status.classList.toggle('timing-warning', stepErrors.has(step));
+    }
 }
 
-function savgolFilter(signal, window, polyorder) {
-    const result = [...signal];
-    const half = Math.floor(window / 2);
-    
-    for (let i = half; i < result.length - half; i++) {
-        let sum = 0;
-        for (let j = i - half; j <= i + half; j++) {
-            sum += result[j];
+// Every channel through the enabled steps before `end`: filters run channel by
+// channel, an ICA step across all of them
+async function applyPipelineToChannels(end = pipeline.length) {
+    let channels = Object.fromEntries(Object.keys(signalData).map(ch => [ch, pipelineInput(ch)]));
+    let start = 0;
+    for (const [i, step] of pipeline.slice(0, end).entries()) {
+        if (!step.enabled || !filterConfigs[step.type].multichannel) continue;
+        const input = {};
+        for (const [ch, channel] of Object.entries(channels)) {
+            input[ch] = await applyPipelineToSignal(channel, i, start);
         }
-        result[i] = sum / window;
+        channels = filterConfigs[step.type].applyChannels(input, step);
+        start = i + 1;
     }
-    
-    return result;
+    const output = {};
+    for (const [ch, channel] of Object.entries(channels)) {
+        output[ch] = await applyPipelineToSignal(channel, end, start);
+    }
+    return output;
 }
 
-function medianFilter(signal, kernel) {
-    const result = [...signal];
-    const half = Math.floor(kernel / 2);
-    
-    for (let i = half; i < result.length - half; i++) {
-        const window = signal.slice(i - half, i + half + 1).sort((a, b) => a - b);
-        result[i] = window[Math.floor(window.length / 2)];
-    }
-    
-    return result;
+// One channel through the steps before `end`; only an ICA step needs the other channels
+async function processChannel(channel, end = pipeline.length) {
+    const multichannel = pipeline.slice(0, end).some(step => step.enabled && filterConfigs[step.type].multichannel);
+    if (!multichannel) return applyPipelineToSignal(pipelineInput(channel), end);
+    return (await applyPipelineToChannels(end))[channel];
 }
 
-function notchFilter(signal, freq, quality, sr) {
-    const result = [...signal];
-    const w0 = 2 * Math.PI * freq / sr;
-    const alpha = Math.sin(w0) / (2 * quality);
-    const b0 = 1, b1 = -2 * Math.cos(w0), b2 = 1;
-    const a0 = 1 + alpha, a1 = -2 * Math.cos(w0), a2 = 1 - alpha;
+// Every channel after the steps before `end`
+function channelsBefore(end) {
+    return applyPipelineToChannels(end);
+}
 
-    for (let i = 2; i < result.length; i++) {
-        result[i] = (b0 * signal[i] + b1 * signal[i-1] + b2 * signal[i-2] - 
-                     a1 * result[i-1] - a2 * result[i-2]) / a0;
+function firInfo(step, sr) {
+    try {
+        const { numtaps, delay } = filterConfigs[step.type].design(step.params, sr);
+        const delayMs = delay / sr * 1000;
+        return `${numtaps} taps, group delay ${delay} samples (${delayMs.toFixed(1)} ms), compensated`;
+    } catch (e) {
+        return e.message;
     }
-    
-    return result;
 }
 
-function movingAverage(signal, window) {
-    const result = [];
-    for (let i = 0; i < signal.length; i++) {
-        const start = Math.max(0, i - Math.floor(window / 2));
-        const end = Math.min(signal.length, i + Math.ceil(window / 2));
-        const sum = signal.slice(start, end).reduce((a, b) => a + b, 0);
-        result.push(sum / (end - start));
-    }
-    return result;
+// Linear time-invariant steps have a frequency response (see filters.js)
+function isLinearStep(step) {
+    return Boolean(filterConfigs[step.type].response);
 }
 
 // Pipeline management
@@ -542,7 +961,7 @@ function loadPipeline() {
         reader.onload = (event) => {
             try {
                 const data = JSON.parse(event.target.result);
-                pipeline = data.pipeline || [];
+                pipeline = restoreSteps(data.pipeline || []);
                 renderPipeline();
                 updatePlots();
             } catch (err) {
@@ -568,23 +987,91 @@ function applyPipeline() {
     alert('Pipeline applied! Use "Export Processed CSV" to download the result.');
 }
 
-function exportProcessed() {
-    let csv = appState.selectedTimestamp + ',' + currentChannel + '\n';
+// Timestamp column plus every channel run through the pipeline, at the times all channels share
+async function exportProcessed() {
+    const channels = Object.keys(signalData);
+    let outputs;
+    try {
+        outputs = await applyPipelineToChannels();
+    } catch (e) {
+        alert('Export failed: ' + e.message);
+        return;
+    }
+    const processed = channels.map(ch => outputs[ch].values);
+    const { times, indices } = alignChannels(channels.map(ch => outputs[ch]));
     
-    const times = signalData[currentChannel].times;
-    const processed = applyPipelineToSignal(signalData[currentChannel].values);
+    // Times are written in seconds whatever the unit of the timestamp column
+    const header = csvRow(['time_s', ...channels]);
+    const rows = Array.from(times, (t, i) =>
+        [t.toFixed(6), ...processed.map((values, c) => values[indices[c] ? indices[c][i] : i].toFixed(6))].join(','));
     
-    for (let i = 0; i < times.length; i++) {
-        csv += times[i].toFixed(6) + ',' + processed[i].toFixed(6) + '\n';
+    const baseName = appState.fileName.replace(/\.[^.]+$/, '');
+    downloadFile([header, ...rows].join('\n') + '\n', `${baseName}_processed.csv`, 'text/csv');
+}
+
+// Derived channels as new DataFrame columns, in the order they were defined
+function derivedCode() {
+    const derived = appState.derivedChannels || [];
+    if (derived.length === 0) return '';
+    const columns = Object.keys(recordingData).filter(name => !Array.isArray(recordingData[name]));
+    let code = `# Derived channels\n`;
+    derived.forEach(({ name, expression }) => {
+        try {
+            code += `df[${JSON.stringify(name)}] = ${expressionToPython(expression, columns)}\n`;
+        } catch (e) {
+            code += `# ${name} = ${expression}: ${e.message}\n`;
+        }
+    });
+    return code + '\n';
+}
+
+// Derived montage channels as new DataFrame columns; `channels` becomes the derived names
+function montageCode() {
+    const montage = appState.montage;
+    const names = Object.keys(signalData);
+    if (!montage || montage.type === 'none' || names.every(ch => appState.selectedChannels.includes(ch))) return '';
+
+    let code = `# Montage: ${montage.type}\n`;
+    if (montage.type === 'average') {
+        code += `mean = df[channels].mean(axis=1)\n`;
+        code += `for channel in channels:\n`;
+        code += `    df[f'{channel}-avg'] = df[channel] - mean\n`;
+    } else if (montage.type === 'reference') {
+        const refs = (montage.reference || []).filter(ch => appState.selectedChannels.includes(ch));
+        code += `references = ${JSON.stringify(refs)}\n`;
+        code += `reference = df[references].mean(axis=1)\n`;
+        code += `for channel in channels:\n`;
+        code += `    if channel not in references:\n`;
+        code += `        df[f'{channel}-${refs.join('+')}'] = df[channel] - reference\n`;
+    } else if (montage.type === 'bipolar') {
+        code += `pairs = ${JSON.stringify((montage.pairs || []).filter(([a, b]) => signalData[`${a}-${b}`]))}\n`;
+        code += `for a, b in pairs:\n`;
+        code += `    df[f'{a}-{b}'] = df[a] - df[b]\n`;
     }
-    
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `processed_${currentChannel}.csv`;
-    link.click();
-    URL.revokeObjectURL(url);
+    code += `channels = ${JSON.stringify(names)}\n\n`;
+    return code;
+}
+
+// Python steps' code as written, each in its own scope so their imports and
+// process() definitions don't collide
+function pythonStepsCode() {
+    let code = '';
+    pipeline.filter(s => s.enabled).forEach((step, idx) => {
+        if (step.type !== 'python') return;
+        code += `# Step ${idx + 1}: ${step.name}\n`;
+        code += `def ${pythonStepName(idx)}():\n`;
+        code += step.source.split('\n').map(line => (line.trim() ? `    ${line}` : '')).join('\n').replace(/\s+$/, '') + '\n';
+        code += `    return process\n`;
+        code += `${pythonStepName(idx)} = ${pythonStepName(idx)}()\n\n`;
+    });
+    return code;
+}
+
+// Python for one pipeline step, transforming `data` sampled at `rate`
+function stepCode(step, idx, rate) {
+    const config = filterConfigs[step.type];
+    if (!config.python) return `# ${config.label} has no Python export; port it by hand. Parameters: ${JSON.stringify(step.params)}\n`;
+    return config.python(step, { rate, index: idx });
 }
 
 function exportCode() {
@@ -594,52 +1081,64 @@ function exportCode() {
     code += `import pandas as pd\n\n`;
     code += `# Load data\n`;
     code += `df = pd.read_csv('your_data.csv')\n`;
-    code += `data = df['${currentChannel}'].values\n`;
+    code += `channels = ${JSON.stringify(appState.selectedChannels)}\n`;
     code += `sampling_rate = ${appState.samplingRate}\n\n`;
-    code += `# Apply preprocessing steps\n`;
-    
+    code += derivedCode();
+    code += montageCode();
+    code += pythonStepsCode();
+
+    // Per-channel steps run in preprocess functions; an ICA step between them works on all channels at once
+    const stages = [[]];
+    const icaSteps = [];
+    let rate = appState.samplingRate;
     pipeline.filter(s => s.enabled).forEach((step, idx) => {
-        code += `\n# Step ${idx + 1}: ${step.name}\n`;
-        const params = step.params;
-        
-        switch (step.type) {
-            case 'detrend':
-                code += `data = signal.detrend(data)\n`;
-                break;
-            case 'normalize':
-                code += `data = (data - data.min()) / (data.max() - data.min())\n`;
-                break;
-            case 'standardize':
-                code += `data = (data - data.mean()) / data.std()\n`;
-                break;
-            case 'butterworth_lowpass':
-                code += `b, a = signal.butter(${params.order}, ${params.cutoff}, 'low', fs=sampling_rate)\n`;
-                code += `data = signal.filtfilt(b, a, data)\n`;
-                break;
-            case 'butterworth_highpass':
-                code += `b, a = signal.butter(${params.order}, ${params.cutoff}, 'high', fs=sampling_rate)\n`;
-                code += `data = signal.filtfilt(b, a, data)\n`;
-                break;
-            case 'butterworth_bandpass':
-                code += `b, a = signal.butter(${params.order}, [${params.low}, ${params.high}], 'bandpass', fs=sampling_rate)\n`;
-                code += `data = signal.filtfilt(b, a, data)\n`;
-                break;
-            case 'savgol':
-                code += `data = signal.savgol_filter(data, ${params.window}, ${params.polyorder})\n`;
-                break;
-            case 'median':
-                code += `data = signal.medfilt(data, kernel_size=${params.kernel})\n`;
-                break;
-            case 'notch':
-                code += `b, a = signal.iirnotch(${params.frequency}, ${params.quality}, sampling_rate)\n`;
-                code += `data = signal.filtfilt(b, a, data)\n`;
-                break;
+        if (filterConfigs[step.type].multichannel) {
+            icaSteps.push({ step, idx });
+            stages.push([]);
+        } else {
+            stages[stages.length - 1].push({ step, idx, rate });
+            if (filterConfigs[step.type].resample) rate = resampledRate(step, rate);
         }
     });
-    
-    code += `\n# Save processed data\n`;
-    code += `df['${currentChannel}_processed'] = data\n`;
-    code += `df.to_csv('processed_data.csv', index=False)\n`;
+
+    stages.forEach((stage, i) => {
+        const last = i === stages.length - 1;
+        if (stage.length > 0 || stages.length === 1) {
+            const fn = stages.length === 1 ? 'preprocess' : `preprocess_${i + 1}`;
+            // A resample step sets a local sampling_rate for the steps after it
+            const resampled = stage.filter(({ step }) => filterConfigs[step.type].resample);
+            code += `# Preprocessing steps, applied to every channel\n`;
+            code += `def ${fn}(data${resampled.length > 0 ? ', sampling_rate=sampling_rate' : ''}):\n`;
+
+            // Step code is written at top level, then indented into the function body
+            const steps = stage.map(({ step, idx, rate }) =>
+                `\n# Step ${idx + 1}: ${step.name}${step.zeroPhase ? ' (zero-phase)' : ''}\n` + stepCode(step, idx, rate)).join('');
+            code += steps.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+            code += `    return data\n`;
+            code += last ? `\n# Save processed data\n` : '\n';
+            if (resampled.length > 0) {
+                // The channels no longer fit the table: rebuild it on the new time grid
+                const rateIn = stage[0].rate;
+                const rateOut = resampled.reduce((r, { step }) => resampledRate(step, r), resampled[0].rate);
+                const timeColumn = JSON.stringify(appState.selectedTimestamp);
+                code += `time = df[${timeColumn}].values\n`;
+                code += `processed = {channel: ${fn}(df[channel].values) for channel in channels}\n`;
+                code += `positions = np.arange(len(processed[channels[0]])) * ${rateIn / rateOut}\n`;
+                code += `df = pd.DataFrame({${timeColumn}: np.interp(positions, np.arange(len(time)), time), **processed})\n`;
+                code += `sampling_rate = ${rateOut}\n`;
+            } else {
+                code += `for channel in channels:\n`;
+                code += `    df[channel] = ${fn}(df[channel].values)\n`;
+            }
+        } else if (last) {
+            code += `\n# Save processed data\n`;
+        }
+        if (icaSteps[i]) {
+            const { step, idx } = icaSteps[i];
+            code += `\n# Step ${idx + 1}: ${step.name}\n` + stepCode(step, idx) + '\n';
+        }
+    });
+    code += `df[[${JSON.stringify(appState.selectedTimestamp)}, *channels]].to_csv('processed_data.csv', index=False)\n`;
     
     const blob = new Blob([code], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
@@ -0,0 +1,136 @@
+// resample.js - Sample-rate conversion: polyphase resampling (scipy.signal.resample_poly),
+// FIR decimation (scipy.signal.decimate with ftype='fir') and integer upsampling
+
+import { firwin } from './fir.js';
+
+const RESAMPLE_MODES = {
+    decimate: 'Decimate by an integer factor',
+    upsample: 'Upsample by an integer factor',
+    resample: 'Resample to a target rate'
+};
+
+// Largest denominator tried when turning a rate ratio into up/down factors
+const MAX_DENOMINATOR = 1000;
+
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+// up/down closest to `ratio` with down <= maxDenominator (continued fractions)
+function rationalApproximation(ratio, maxDenominator = MAX_DENOMINATOR) {
+    let [p0, q0, p1, q1] = [0, 1, 1, 0];
+    let x = ratio;
+    for (;;) {
+        const a = Math.floor(x);
+        const q2 = q0 + a * q1;
+        if (q2 > maxDenominator) break;
+        [p0, q0, p1, q1] = [p1, q1, p0 + a * p1, q2];
+        if (Math.abs(x - a) < 1e-12 || Math.abs(p1 / q1 - ratio) < 1e-12) break;
+        x = 1 / (x - a);
+    }
+    return [p1, q1];
+}
+
+// Output length of upfirdn for a filter of `taps` taps
+function upfirdnLength(taps, inputLength, up, down) {
+    return Math.floor(((inputLength - 1) * up + taps - 1) / down) + 1;
+}
+
+// Kaiser (beta 5) lowpass at the lower Nyquist rate, run at `up` times the input rate
+function antialiasTaps(up, down) {
+    const maxRate = Math.max(up, down);
+    return firwin(20 * maxRate + 1, 1 / maxRate, 'lowpass', 2, 'kaiser', 5);
+}
+
+// Hamming lowpass of 20 * q + 1 taps at the new Nyquist rate
+function decimateTaps(q) {
+    return firwin(20 * q + 1, 1 / q, 'lowpass', 2, 'hamming');
+}
+
+// Upsample by `up`, filter with `window` (or antialiasTaps), downsample by `down`. The output is ceil(n * up / down)
+// samples aligned with the input, with zeros assumed outside it.
+function resamplePoly(x, up, down, window = null) {
+    const g = gcd(up, down);
+    up /= g;
+    down /= g;
+    const n = x.length;
+    if (up === 1 && down === 1) return Float64Array.from(x);
+
+    const outputLength = Math.ceil(n * up / down);
+    const h = Float64Array.from(window || antialiasTaps(up, down), v => v * up);
+    const halfLength = (h.length - 1) >> 1;
+
+    // Pad the filter so output samples fall on the filter centre
+    const prePad = down - halfLength % down;
+    const preRemove = Math.floor((halfLength + prePad) / down);
+    let postPad = 0;
+    while (upfirdnLength(h.length + prePad + postPad, n, up, down) < outputLength + preRemove) postPad++;
+    const taps = new Float64Array(prePad + h.length + postPad);
+    taps.set(h, prePad);
+
+    // y[m] = sum_k taps[k] * upsampled[m * down - k], visiting only the taps that meet input samples
+    const y = new Float64Array(outputLength);
+    for (let m = 0; m < outputLength; m++) {
+        const j = (m + preRemove) * down;
+        let sum = 0;
+        for (let k = j % up; k < taps.length && k <= j; k += up) {
+            const i = (j - k) / up;
+            if (i < n) sum += taps[k] * x[i];
+        }
+        y[m] = sum;
+    }
+    return y;
+}
+
+// Zero-phase FIR decimation
+function decimate(x, q) {
+    return resamplePoly(x, 1, q, decimateTaps(q));
+}
+
+// Up/down factors for a resample step at input rate `fs`
+function resampleFactors({ mode, factor, rate }, fs) {
+    const q = Math.max(1, Math.round(factor));
+    if (mode === 'decimate') return [1, q];
+    if (mode === 'upsample') return [q, 1];
+    if (!(rate > 0)) throw new Error('Enter a target sampling rate');
+    return rationalApproximation(rate / fs);
+}
+
+// The lowpass a resample step applies, as a zero-phase FIR stage { filter, rate }
+// at the upsampled rate (see response.js), or null when the rate is unchanged
+function resampleFilter(params, fs) {
+    let [up, down] = resampleFactors(params, fs);
+    const g = gcd(up, down);
+    up /= g;
+    down /= g;
+    if (up === 1 && down === 1) return null;
+    const taps = params.mode === 'decimate' ? decimateTaps(down) : antialiasTaps(up, down);
+    return { filter: { taps, delay: (taps.length - 1) / 2 }, rate: fs * up };
+}
+
+// A { times, values, repaired } channel at rate `fs` converted by up/down.
+// Output times are interpolated from the input's, so gaps left by dropped
+// samples stay where they were; each output sample is flagged repaired when
+// its nearest input sample was.
+function resampleChannel(channel, { mode, factor, rate }, fs) {
+    const [up, down] = resampleFactors({ mode, factor, rate }, fs);
+    const { times, values, repaired } = channel;
+    const output = mode === 'decimate' ? decimate(values, down) : resamplePoly(values, up, down);
+    const n = times.length;
+    const outTimes = new Float64Array(output.length);
+    const outRepaired = repaired ? new Uint8Array(output.length) : null;
+    const interval = 1 / fs;
+    for (let k = 0; k < output.length; k++) {
+        const position = k * down / up;
+        const i = Math.min(n - 1, Math.floor(position));
+        const fraction = position - i;
+        outTimes[k] = i + 1 < n
+            ? times[i] + fraction * (times[i + 1] - times[i])
+            : times[n - 1] + fraction * interval;
+        if (outRepaired) outRepaired[k] = repaired[Math.min(n - 1, Math.round(position))];
+    }
+    return { times: outTimes, values: output, repaired: outRepaired, rate: fs * up / down };
+}
+
+export { RESAMPLE_MODES, rationalApproximation, resamplePoly, decimate, resampleFactors, resampleFilter, resampleChannel };
@@ -0,0 +1,199 @@
+// response.js - Frequency response (magnitude, phase, group delay), pole-zero maps and
+// stability of the pipeline's linear filters, like scipy.signal's sosfreqz, group_delay and sos2zpk
+//
+// A filter is either { sos, zeroPhase } (second-order sections, optionally run
+// forward-backward) or { taps, delay } (an FIR whose output is shifted back by
+// `delay` samples). A stage is { filter, rate }; a cascade is a list of stages.
+
+const RESPONSE_POINTS = 512;
+
+// Polynomials with more coefficients than this are not factored (FIR zeros)
+const MAX_ROOT_DEGREE = 200;
+
+// Value of c[0] + c[1] z^-1 + ... at z = e^{jw}, and its group delay in samples,
+// Re(sum(k c[k] z^-k) / sum(c[k] z^-k))
+function evaluate(c, w) {
+    let re = 0, im = 0, dre = 0, dim = 0;
+    for (let k = 0; k < c.length; k++) {
+        if (c[k] === 0) continue;
+        const cos = Math.cos(w * k);
+        const sin = Math.sin(w * k);
+        re += c[k] * cos;
+        im -= c[k] * sin;
+        dre += k * c[k] * cos;
+        dim -= k * c[k] * sin;
+    }
+    const norm = re * re + im * im;
+    return { re, im, delay: (dre * re + dim * im) / norm };
+}
+
+// Complex response and group delay (samples) of one filter at normalized frequency w (rad/sample)
+function filterAt(filter, w) {
+    let re = 1, im = 0, delay = 0;
+    const multiply = (h, sign) => {
+        if (sign < 0) {
+            const norm = h.re * h.re + h.im * h.im;
+            h = { re: h.re / norm, im: -h.im / norm };
+        }
+        [re, im] = [re * h.re - im * h.im, re * h.im + im * h.re];
+    };
+    if (filter.sos) {
+        filter.sos.forEach(section => {
+            const b = evaluate(section.slice(0, 3), w);
+            const a = evaluate(section.slice(3), w);
+            multiply(b, 1);
+            multiply(a, -1);
+            delay += b.delay - a.delay;
+        });
+        // Forward-backward filtering applies |H|^2 with no phase shift
+        if (filter.zeroPhase) return { re: re * re + im * im, im: 0, delay: 0 };
+        return { re, im, delay };
+    }
+    const h = evaluate(filter.taps, w);
+    multiply(h, 1);
+    multiply({ re: Math.cos(w * filter.delay), im: Math.sin(w * filter.delay) }, 1);
+    return { re, im, delay: h.delay - filter.delay };
+}
+
+// `points` frequencies from 0 to `nyquist` inclusive
+function frequencyGrid(nyquist, points = RESPONSE_POINTS) {
+    return Float64Array.from({ length: points }, (_, i) => i * nyquist / (points - 1));
+}
+
+// Magnitude (dB), unwrapped phase (rad) and group delay (s) of a cascade at
+// `frequencies` (Hz). A frequency above a stage's Nyquist rate is NaN.
+function cascadeResponse(stages, frequencies) {
+    const n = frequencies.length;
+    const magnitude = new Float64Array(n);
+    const phase = new Float64Array(n);
+    const groupDelay = new Float64Array(n);
+    let previous = null;
+    let offset = 0;
+    for (let i = 0; i < n; i++) {
+        const f = frequencies[i];
+        let re = 1, im = 0, delay = 0;
+        for (const { filter, rate } of stages) {
+            if (f > rate / 2 + 1e-9) {
+                re = NaN;
+                break;
+            }
+            const h = filterAt(filter, 2 * Math.PI * f / rate);
+            [re, im] = [re * h.re - im * h.im, re * h.im + im * h.re];
+            delay += h.delay / rate;
+        }
+        const gain = Math.hypot(re, im);
+        magnitude[i] = 20 * Math.log10(Math.max(gain, 1e-15));
+        groupDelay[i] = Number.isFinite(delay) && Number.isFinite(re) ? delay : NaN;
+
+        // Unwrap like numpy.unwrap: jumps over pi are taken as wraps
+        const wrapped = Math.atan2(im, re);
+        if (!Number.isFinite(re)) {
+            phase[i] = NaN;
+            continue;
+        }
+        if (previous !== null) {
+            const jump = wrapped + offset - previous;
+            offset -= 2 * Math.PI * Math.round(jump / (2 * Math.PI));
+        }
+        phase[i] = wrapped + offset;
+        previous = phase[i];
+    }
+    return { frequencies, magnitude, phase, groupDelay };
+}
+
+// Roots of c[0] x^n + c[1] x^(n-1) + ... + c[n] (Aberth-Ehrlich iteration)
+function polynomialRoots(coeffs) {
+    let c = Array.from(coeffs);
+    while (c.length > 0 && c[0] === 0) c.shift();
+    const roots = [];
+    while (c.length > 1 && c[c.length - 1] === 0) {
+        c.pop();
+        roots.push({ re: 0, im: 0 });
+    }
+    const n = c.length - 1;
+    if (n < 1) return roots;
+    if (n === 1) return [...roots, { re: -c[1] / c[0], im: 0 }];
+    if (n === 2) {
+        const [a, b, d] = c;
+        const disc = b * b - 4 * a * d;
+        const sq = Math.sqrt(Math.abs(disc));
+        if (disc < 0) return [...roots, { re: -b / (2 * a), im: sq / (2 * a) }, { re: -b / (2 * a), im: -sq / (2 * a) }];
+        // Avoid cancellation: the larger root first, the other from the product a * x1 * x2 = d
+        const q = -(b + Math.sign(b || 1) * sq) / 2;
+        return [...roots, { re: q / a, im: 0 }, { re: q === 0 ? 0 : d / q, im: 0 }];
+    }
+
+    // Start on a circle with the geometric mean of the roots' magnitudes
+    const radius = Math.pow(Math.abs(c[n] / c[0]), 1 / n) || 1;
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        const angle = 2 * Math.PI * k / n + 0.4;
+        re[k] = radius * Math.cos(angle);
+        im[k] = radius * Math.sin(angle);
+    }
+    // Roots stop moving once their correction is negligible
+    const settled = new Uint8Array(n);
+    for (let iteration = 0; iteration < 500; iteration++) {
+        let moving = 0;
+        for (let k = 0; k < n; k++) {
+            if (settled[k]) continue;
+            // p(x) and p'(x) by Horner's rule
+            let pr = c[0], pi = 0, dr = 0, di = 0;
+            for (let j = 1; j <= n; j++) {
+                [dr, di] = [dr * re[k] - di * im[k] + pr, dr * im[k] + di * re[k] + pi];
+                [pr, pi] = [pr * re[k] - pi * im[k] + c[j], pr * im[k] + pi * re[k]];
+            }
+            const dn = dr * dr + di * di;
+            if (dn === 0) continue;
+            const rr = (pr * dr + pi * di) / dn;
+            const ri = (pi * dr - pr * di) / dn;
+            let sr = 0, si = 0;
+            for (let j = 0; j < n; j++) {
+                if (j === k) continue;
+                const xr = re[k] - re[j];
+                const xi = im[k] - im[j];
+                const xn = xr * xr + xi * xi || 1e-300;
+                sr += xr / xn;
+                si -= xi / xn;
+            }
+            // w = ratio / (1 - ratio * sum)
+            const er = 1 - (rr * sr - ri * si);
+            const ei = -(rr * si + ri * sr);
+            const en = er * er + ei * ei || 1e-300;
+            const wr = (rr * er + ri * ei) / en;
+            const wi = (ri * er - rr * ei) / en;
+            re[k] -= wr;
+            im[k] -= wi;
+            if (Math.hypot(wr, wi) < 1e-12 * (1 + Math.hypot(re[k], im[k]))) settled[k] = 1;
+            else moving++;
+        }
+        if (moving === 0) break;
+    }
+    for (let k = 0; k < n; k++) roots.push({ re: re[k], im: im[k] });
+    return roots;
+}
+
+// Zeros and poles in the z-plane. An FIR has all its poles at the origin; its
+// zeros are left out (null) past MAX_ROOT_DEGREE taps.
+function polesZeros(filter) {
+    if (filter.sos) {
+        return {
+            zeros: filter.sos.flatMap(section => polynomialRoots(section.slice(0, 3))),
+            poles: filter.sos.flatMap(section => polynomialRoots(section.slice(3)))
+        };
+    }
+    const degree = filter.taps.length - 1;
+    return {
+        zeros: degree <= MAX_ROOT_DEGREE ? polynomialRoots(filter.taps) : null,
+        poles: Array.from({ length: degree }, () => ({ re: 0, im: 0 }))
+    };
+}
+
+// Poles on or outside the unit circle (an FIR is always stable)
+function unstablePoles(filter) {
+    if (!filter.sos) return [];
+    return polesZeros(filter).poles.filter(p => Math.hypot(p.re, p.im) >= 1);
+}
+
+export { RESPONSE_POINTS, MAX_ROOT_DEGREE, frequencyGrid, cascadeResponse, polynomialRoots, polesZeros, unstablePoles };
@@ -0,0 +1,246 @@
+// sandbox.js - Runs user-written pipeline steps (JavaScript, or Python on Pyodide) in Web Workers, away from the page and its data
+
+const CUSTOM_TIMEOUT_MS = 5000;
+const PYTHON_TIMEOUT_MS = 30000;
+// The first Python run also downloads and starts the runtime
+const PYODIDE_LOAD_TIMEOUT_MS = 120000;
+
+// Served from the app's own static files (fetched by scripts/fetch-pyodide.sh), never a CDN
+const PYODIDE_URL = new URL('../vendor/pyodide/', import.meta.url).href;
+
+const DEFAULT_SOURCE = `(signal, fs, params) => {
+    // signal: Float64Array, fs: sampling rate (Hz), params: slider values by name.
+    // Return an array of the same length.
+    return signal.map(v => v * params.gain);
+}`;
+
+// One parameter per line: name min max [step] [default]
+const DEFAULT_PARAMS = 'gain 0 10 0.1 1';
+
+const DEFAULT_PYTHON_SOURCE = `import numpy as np
+from scipy import signal as sps
+
+def process(signal, fs, params):
+    # signal: numpy array, fs: sampling rate (Hz), params: dict of slider values.
+    # Return an array of the same length.
+    sos = sps.butter(4, params['cutoff'], 'lowpass', fs=fs, output='sos')
+    return sps.sosfiltfilt(sos, signal)
+`;
+
+const DEFAULT_PYTHON_PARAMS = 'cutoff 1 100 1 30';
+
+const CUSTOM_LANGUAGES = {
+    javascript: {
+        signature: 'Function (signal, fs, params) => signal',
+        source: DEFAULT_SOURCE,
+        params: DEFAULT_PARAMS
+    },
+    python: {
+        signature: 'Python defining process(signal, fs, params); numpy and scipy are available',
+        source: DEFAULT_PYTHON_SOURCE,
+        params: DEFAULT_PYTHON_PARAMS
+    }
+};
+
+// Workers drop the network, storage, messaging, worker and eval globals before
+// running user code. Some of these are getter-only attributes that ignore
+// assignment, so each is redefined as a locked undefined value on the global and
+// its prototypes, and the worker fails rather than run user code if any is still
+// reachable. This is best-effort, not isolation: dynamic import() cannot be
+// removed, and the Function constructor stays reachable through any function.
+const LOCKDOWN = `
+const BLOCKED = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'BroadcastChannel',
+    'importScripts', 'indexedDB', 'caches', 'navigator', 'Worker', 'SharedWorker', 'eval'];
+function lockDown() {
+    for (const name of BLOCKED) {
+        for (let target = self; target; target = Object.getPrototypeOf(target)) {
+            if (!Object.prototype.hasOwnProperty.call(target, name)) continue;
+            try { Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false }); } catch (e) {}
+        }
+    }
+    const reachable = BLOCKED.filter(name => {
+        try { return self[name] !== undefined; } catch (e) { return false; }
+    });
+    if (reachable.length > 0) throw new Error('Sandbox lockdown failed; still reachable: ' + reachable.join(', '));
+}
+`;
+
+// The compiled function is cached so a step costs one compile for all channels
+const JAVASCRIPT_WORKER = LOCKDOWN + `
+lockDown();
+let compiled = { source: null, fn: null };
+self.onmessage = (event) => {
+    const { id, source, signal, samplingRate, params } = event.data;
+    try {
+        if (compiled.source !== source) {
+            const fn = new Function('"use strict"; return (' + source + '\\n);')();
+            if (typeof fn !== 'function') throw new Error('The code must evaluate to a function (signal, fs, params) => signal');
+            compiled = { source, fn };
+        }
+        const result = compiled.fn(signal, samplingRate, params);
+        if (!result || typeof result.length !== 'number') throw new Error('The function must return an array');
+        if (result.length !== signal.length) {
+            throw new Error('The function returned ' + result.length + ' samples for an input of ' + signal.length);
+        }
+        const output = Float64Array.from(result, Number);
+        self.postMessage({ id, output }, [output.buffer]);
+    } catch (e) {
+        self.postMessage({ id, error: e && e.message ? e.message : String(e) });
+    }
+};
+`;
+
+// Pyodide loads numpy and scipy before the lockdown; Python errors are
+// reported by their last traceback line (e.g. "ValueError: ..."). Python reaches
+// this worker's globals through the js and pyodide_js modules, so those are
+// unregistered as well; the lockdown stays best-effort, as for JavaScript.
+const PYTHON_WORKER = LOCKDOWN + `
+const RUNNER = [
+    'import numpy as np',
+    'def _run_step(fn, signal, fs, params):',
+    '    x = np.array(signal.to_py(), dtype=float)',
+    '    return np.ascontiguousarray(np.asarray(fn(x, fs, params.to_py()), dtype=float).ravel())'
+].join('\\n');
+const UNLINK = [
+    'import sys',
+    'for name in ("js", "pyodide_js"):',
+    '    sys.modules.pop(name, None)'
+].join('\\n');
+let runtime = null;
+let compiled = { source: null, fn: null };
+
+async function load(indexURL) {
+    try {
+        importScripts(indexURL + 'pyodide.js');
+    } catch (e) {
+        throw new Error('Pyodide is not installed under ' + indexURL + ' (see the README)');
+    }
+    const pyodide = await loadPyodide({ indexURL });
+    await pyodide.loadPackage(['numpy', 'scipy']);
+    pyodide.runPython(RUNNER);
+    pyodide.unregisterJsModule('js');
+    pyodide.unregisterJsModule('pyodide_js');
+    pyodide.runPython(UNLINK);
+    lockDown();
+    return pyodide;
+}
+
+self.onmessage = async (event) => {
+    const { id, indexURL, source, signal, samplingRate, params } = event.data;
+    let result = null;
+    try {
+        if (!runtime) runtime = load(indexURL).catch(e => { runtime = null; throw e; });
+        const pyodide = await runtime;
+        if (compiled.source !== source) {
+            const namespace = pyodide.globals.get('dict')();
+            pyodide.runPython(source, { globals: namespace });
+            const fn = namespace.get('process');
+            if (!fn) throw new Error('The code must define process(signal, fs, params)');
+            if (compiled.fn) compiled.fn.destroy();
+            compiled = { source, fn };
+        }
+        result = pyodide.globals.get('_run_step')(compiled.fn, signal, samplingRate, params);
+        const buffer = result.getBuffer('f64');
+        const output = Float64Array.from(buffer.data);
+        buffer.release();
+        if (output.length !== signal.length) {
+            throw new Error('process returned ' + output.length + ' samples for an input of ' + signal.length);
+        }
+        self.postMessage({ id, output }, [output.buffer]);
+    } catch (e) {
+        const message = e && e.message ? e.message.trim().split('\\n').pop() : String(e);
+        self.postMessage({ id, error: message });
+    } finally {
+        if (result) result.destroy();
+    }
+};
+`;
+
+// One worker per language, started on first use
+const runtimes = {
+    javascript: { source: JAVASCRIPT_WORKER, timeout: CUSTOM_TIMEOUT_MS, worker: null, ready: false, pending: new Map() },
+    python: { source: PYTHON_WORKER, timeout: PYTHON_TIMEOUT_MS, worker: null, ready: false, pending: new Map() }
+};
+let nextId = 0;
+
+function startWorker(runtime) {
+    const url = URL.createObjectURL(new Blob([runtime.source], { type: 'text/javascript' }));
+    runtime.worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    runtime.worker.onmessage = (event) => {
+        if (!event.data.error) runtime.ready = true;
+        const job = runtime.pending.get(event.data.id);
+        if (!job) return;
+        runtime.pending.delete(event.data.id);
+        if (event.data.error) job.reject(new Error(event.data.error));
+        else job.resolve(event.data.output);
+    };
+    runtime.worker.onerror = (event) => {
+        event.preventDefault();
+        stopWorker(runtime, new Error(event.message || 'Custom step failed'));
+    };
+}
+
+// A runaway function can only be stopped by terminating its worker; jobs queued behind it fail too
+function stopWorker(runtime, error) {
+    if (runtime.worker) runtime.worker.terminate();
+    runtime.worker = null;
+    runtime.ready = false;
+    runtime.pending.forEach(job => job.reject(error));
+    runtime.pending.clear();
+}
+
+// Run `source` on a copy of `signal`; resolves to a Float64Array of the same
+// length or rejects with the error the code raised, a bad return value or a timeout
+function runCustom(source, signal, samplingRate, params, { language = 'javascript', timeout } = {}) {
+    const runtime = runtimes[language];
+    return new Promise((resolve, reject) => {
+        if (!runtime.worker) startWorker(runtime);
+        const id = nextId++;
+        let limit = timeout || runtime.timeout;
+        if (language === 'python' && !runtime.ready) limit += PYODIDE_LOAD_TIMEOUT_MS;
+        const timer = setTimeout(() => {
+            stopWorker(runtime, new Error(`Custom step timed out after ${limit / 1000} s`));
+        }, limit);
+        runtime.pending.set(id, {
+            resolve: (output) => {
+                clearTimeout(timer);
+                resolve(output);
+            },
+            reject: (error) => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+        const copy = Float64Array.from(signal);
+        runtime.worker.postMessage({ id, indexURL: PYODIDE_URL, source, signal: copy, samplingRate, params: { ...params } }, [copy.buffer]);
+    });
+}
+
+// Parameter declarations, one per line: name min max [step] [default].
+// Blank lines and lines starting with # are skipped. Step defaults to 1/100
+// of the range, default to min.
+function parseParamSpecs(text) {
+    const specs = [];
+    const errors = [];
+    text.split('\n').forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const [name, ...fields] = trimmed.split(/\s+/);
+        const [min, max, step = (max - min) / 100, value = min] = fields.map(Number);
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+            errors.push(`Line ${i + 1}: "${name}" is not a valid parameter name`);
+        } else if (fields.length < 2 || fields.length > 4 || [min, max, step, value].some(v => !Number.isFinite(v))) {
+            errors.push(`Line ${i + 1}: expected name min max [step] [default]`);
+        } else if (min >= max || step <= 0) {
+            errors.push(`Line ${i + 1}: min must be below max and step positive`);
+        } else if (specs.some(spec => spec.name === name)) {
+            errors.push(`Line ${i + 1}: ${name} is declared twice`);
+        } else {
+            specs.push({ name, min, max, step, value: Math.min(max, Math.max(min, value)) });
+        }
+    });
+    return { specs, errors };
+}
+
+export { CUSTOM_LANGUAGES, runCustom, parseParamSpecs };
@@ -0,0 +1,122 @@
+// savgol.js - Savitzky-Golay smoothing and differentiation (scipy.signal.savgol_coeffs / savgol_filter)
+
+const SAVGOL_MODES = {
+    interp: 'Interpolate (polynomial fit at edges)',
+    mirror: 'Mirror',
+    nearest: 'Nearest',
+    constant: 'Constant (zeros)',
+    wrap: 'Wrap'
+};
+
+// Solve the small dense system m * x = rhs by Gaussian elimination with partial pivoting
+function solve(m, rhs) {
+    const n = rhs.length;
+    const a = m.map((row, i) => [...row, rhs[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let r = col + 1; r < n; r++) {
+            const f = a[r][col] / a[col][col];
+            for (let c = col; c <= n; c++) a[r][c] -= f * a[col][c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = a[r][n];
+        for (let c = r + 1; c < n; c++) sum -= a[r][c] * x[c];
+        x[r] = sum / a[r][r];
+    }
+    return x;
+}
+
+// Least-squares weights that evaluate the fitted polynomial (or its `deriv`-th
+// derivative) at sample `pos` of the window, applied as sum(coeffs[j] * window[j])
+function savgolCoeffs(windowLength, polyorder, deriv = 0, delta = 1, pos = (windowLength - 1) / 2) {
+    const coeffs = new Float64Array(windowLength);
+    if (deriv > polyorder) return coeffs;
+
+    // Fit in u = (j - pos) / h so the normal equations stay well conditioned
+    const h = Math.max(pos, windowLength - 1 - pos, 1);
+    const u = Array.from({ length: windowLength }, (_, j) => (j - pos) / h);
+    const terms = polyorder + 1;
+
+    const gram = Array.from({ length: terms }, (_, r) =>
+        Array.from({ length: terms }, (_, c) => u.reduce((sum, v) => sum + Math.pow(v, r + c), 0)));
+    const target = new Array(terms).fill(0);
+    let factorial = 1;
+    for (let i = 2; i <= deriv; i++) factorial *= i;
+    target[deriv] = factorial / Math.pow(h * delta, deriv);
+
+    // Minimum-norm solution of A c = target, with A[r][j] = u[j]^r
+    const w = solve(gram, target);
+    for (let j = 0; j < windowLength; j++) {
+        let sum = 0;
+        for (let r = 0; r < terms; r++) sum += w[r] * Math.pow(u[j], r);
+        coeffs[j] = sum;
+    }
+    return coeffs;
+}
+
+// Index into the signal for positions past either end, following scipy.ndimage's modes
+function extendIndex(i, n, mode) {
+    if (i >= 0 && i < n) return i;
+    switch (mode) {
+        case 'nearest':
+            return i < 0 ? 0 : n - 1;
+        case 'wrap':
+            return ((i % n) + n) % n;
+        case 'mirror': {
+            if (n === 1) return 0;
+            const period = 2 * (n - 1);
+            const k = ((i % period) + period) % period;
+            return k < n ? k : period - k;
+        }
+        default:
+            return -1;
+    }
+}
+
+function savgolFilter(signal, windowLength, polyorder, { deriv = 0, delta = 1, mode = 'interp' } = {}) {
+    const n = signal.length;
+    if (windowLength % 2 === 0 || windowLength < 1) throw new Error('Window length must be a positive odd number');
+    if (polyorder >= windowLength) throw new Error('Polynomial order must be less than the window length');
+    if (mode === 'interp' && windowLength > n) {
+        throw new Error('With interp edges the window cannot be longer than the signal');
+    }
+
+    const half = (windowLength - 1) / 2;
+    const coeffs = savgolCoeffs(windowLength, polyorder, deriv, delta);
+    const output = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+        let sum = 0;
+        for (let j = 0; j < windowLength; j++) {
+            const k = extendIndex(i - half + j, n, mode);
+            if (k >= 0) sum += coeffs[j] * signal[k];
+        }
+        output[i] = sum;
+    }
+
+    // interp: evaluate a polynomial fitted to the first and last full windows
+    if (mode === 'interp') {
+        for (let t = 0; t < half; t++) {
+            const left = savgolCoeffs(windowLength, polyorder, deriv, delta, t);
+            const right = savgolCoeffs(windowLength, polyorder, deriv, delta, windowLength - half + t);
+            let start = 0;
+            let end = 0;
+            for (let j = 0; j < windowLength; j++) {
+                start += left[j] * signal[j];
+                end += right[j] * signal[n - windowLength + j];
+            }
+            output[t] = start;
+            output[n - half + t] = end;
+        }
+    }
+
+    return output;
+}
+
+export { SAVGOL_MODES, savgolCoeffs, savgolFilter };
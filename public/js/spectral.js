@@ -0,0 +1,146 @@
+// spectral.js - Welch power spectral density and STFT spectrogram (scipy.signal.welch / spectrogram)
+
+import { rfft } from './fft.js';
+import { getWindow } from './windows.js';
+
+const DETREND_TYPES = {
+    none: 'None',
+    constant: 'Remove mean',
+    linear: 'Remove linear trend'
+};
+
+const PSD_AVERAGING = {
+    mean: 'Mean',
+    median: 'Median'
+};
+
+const PSD_SCALING = {
+    density: 'Density (V²/Hz)',
+    spectrum: 'Spectrum (V²)'
+};
+
+function detrend(segment, type) {
+    const n = segment.length;
+    if (type === 'constant') {
+        const mean = segment.reduce((sum, v) => sum + v, 0) / n;
+        return segment.map(v => v - mean);
+    }
+    if (type === 'linear' && n > 1) {
+        // Least-squares line through (i, segment[i])
+        const meanX = (n - 1) / 2;
+        const meanY = segment.reduce((sum, v) => sum + v, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (i - meanX) * (segment[i] - meanY);
+            sxx += (i - meanX) * (i - meanX);
+        }
+        const slope = sxy / sxx;
+        return segment.map((v, i) => v - meanY - slope * (i - meanX));
+    }
+    return segment;
+}
+
+// Ratio of the median to the mean of chi-squared(2) periodogram bins over n segments
+function medianBias(n) {
+    let bias = 1;
+    for (let k = 1; k <= (n - 1) / 2; k++) bias += 1 / (2 * k + 1) - 1 / (2 * k);
+    return bias;
+}
+
+function median(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function windowScale(win, samplingRate, scaling) {
+    const sum = win.reduce((s, w) => s + w, 0);
+    const sumSquares = win.reduce((s, w) => s + w * w, 0);
+    return scaling === 'spectrum' ? 1 / (sum * sum) : 1 / (samplingRate * sumSquares);
+}
+
+// One-sided, scaled periodogram of the window-length segment starting at `start`
+function periodogram(signal, start, win, scale, detrendType) {
+    const length = win.length;
+    const segment = detrend(Float64Array.from(signal.slice(start, start + length)), detrendType);
+    for (let i = 0; i < length; i++) segment[i] *= win[i];
+
+    const { re, im } = rfft(segment);
+    const bins = re.length;
+    const power = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        // Double every bin except DC and an even-length Nyquist
+        const oneSided = k === 0 || (length % 2 === 0 && k === bins - 1) ? 1 : 2;
+        power[k] = oneSided * scale * (re[k] * re[k] + im[k] * im[k]);
+    }
+    return power;
+}
+
+// One-sided PSD averaged over overlapping, windowed segments. Segments longer
+// than the signal shrink to the signal length; overlap is in samples.
+function welch(signal, samplingRate, {
+    nperseg = 256,
+    noverlap = null,
+    window = 'hann',
+    detrend: detrendType = 'constant',
+    average = 'mean',
+    scaling = 'density'
+} = {}) {
+    const n = signal.length;
+    const segmentLength = Math.min(Math.max(1, Math.round(nperseg)), n);
+    if (segmentLength === 0) return { frequencies: new Float64Array(0), psd: new Float64Array(0), segments: 0 };
+
+    const overlap = noverlap === null ? segmentLength >> 1 : Math.round(noverlap);
+    if (overlap < 0 || overlap >= segmentLength) {
+        throw new Error('Overlap must be at least 0 and less than the segment length');
+    }
+
+    const win = getWindow(window, segmentLength, 0, true);
+    const scale = windowScale(win, samplingRate, scaling);
+
+    const step = segmentLength - overlap;
+    const segments = Math.floor((n - overlap) / step);
+    const bins = Math.floor(segmentLength / 2) + 1;
+    const periodograms = [];
+    for (let s = 0; s < segments; s++) {
+        periodograms.push(periodogram(signal, s * step, win, scale, detrendType));
+    }
+
+    const psd = new Float64Array(bins);
+    if (average === 'median') {
+        const bias = medianBias(segments);
+        for (let k = 0; k < bins; k++) psd[k] = median(periodograms.map(p => p[k])) / bias;
+    } else {
+        periodograms.forEach(p => p.forEach((v, k) => { psd[k] += v / segments; }));
+    }
+
+    const frequencies = Float64Array.from({ length: bins }, (_, k) => k * samplingRate / segmentLength);
+    return { frequencies, psd, segments };
+}
+
+// Short-time PSD frames; `times` are segment centres in seconds from the first sample
+function stft(signal, samplingRate, { nperseg = 256, hop = null, window = 'hann', detrend: detrendType = 'constant', scaling = 'density' } = {}) {
+    const n = signal.length;
+    const segmentLength = Math.min(Math.max(1, Math.round(nperseg)), n);
+    const step = hop === null ? Math.max(1, segmentLength >> 2) : Math.round(hop);
+    if (step < 1) throw new Error('Hop must be at least one sample');
+    if (segmentLength === 0) return { times: new Float64Array(0), frequencies: new Float64Array(0), frames: [] };
+
+    const win = getWindow(window, segmentLength, 0, true);
+    const scale = windowScale(win, samplingRate, scaling);
+    const count = Math.floor((n - segmentLength) / step) + 1;
+
+    const frames = [];
+    const times = new Float64Array(count);
+    for (let s = 0; s < count; s++) {
+        frames.push(periodogram(signal, s * step, win, scale, detrendType));
+        times[s] = (s * step + segmentLength / 2) / samplingRate;
+    }
+
+    const bins = Math.floor(segmentLength / 2) + 1;
+    const frequencies = Float64Array.from({ length: bins }, (_, k) => k * samplingRate / segmentLength);
+    return { times, frequencies, frames };
+}
+
+export { DETREND_TYPES, PSD_AVERAGING, PSD_SCALING, welch, stft };
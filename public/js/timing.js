@@ -0,0 +1,183 @@
+// timing.js - Timestamp parsing and sampling-interval analysis
+
+const TIME_UNITS = {
+    s: 'Seconds',
+    ms: 'Milliseconds',
+    us: 'Microseconds',
+    iso: 'ISO-8601 date/time',
+    clock: 'Clock time (HH:MM:SS.fff)'
+};
+
+const ISO_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2})?)(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+const CLOCK_PATTERN = /^(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)$/;
+
+// An interval longer than this many median intervals counts as a gap
+const GAP_FACTOR = 1.5;
+
+function detectTimeUnit(column) {
+    const sample = firstValues(column, 100);
+    if (sample.length === 0) return 's';
+
+    if (typeof sample[0] === 'string') {
+        if (sample.every(v => ISO_PATTERN.test(v.trim()))) return 'iso';
+        if (sample.every(v => CLOCK_PATTERN.test(v.trim()))) return 'clock';
+        return 's';
+    }
+
+    // Absolute epoch timestamps are recognisable by their magnitude
+    const magnitude = Math.abs(sample[0]);
+    if (magnitude > 1e14) return 'us';
+    if (magnitude > 1e11) return 'ms';
+    if (magnitude > 1e8) return 's';
+
+    // Relative timestamps: whole-number steps of 1 or more are most likely milliseconds
+    const steps = [];
+    for (let i = 1; i < sample.length; i++) steps.push(sample[i] - sample[i - 1]);
+    const step = median(Float64Array.from(steps.filter(d => d > 0)));
+    return step >= 1 && Number.isInteger(step) ? 'ms' : 's';
+}
+
+// Convert a timestamp column to seconds (epoch seconds for absolute times)
+function parseTimestamps(column, unit) {
+    const seconds = new Float64Array(column.length);
+    let dayOffset = 0;
+    let previous = -Infinity;
+
+    for (let i = 0; i < column.length; i++) {
+        const value = column[i];
+        switch (unit) {
+            case 'ms':
+                seconds[i] = toNumber(value) / 1e3;
+                break;
+            case 'us':
+                seconds[i] = toNumber(value) / 1e6;
+                break;
+            case 'iso':
+                seconds[i] = parseIso(value);
+                break;
+            case 'clock': {
+                let t = parseClock(value) + dayOffset;
+                // Clock times wrap at midnight
+                if (t < previous - 43200) {
+                    dayOffset += 86400;
+                    t += 86400;
+                }
+                if (!isNaN(t)) previous = t;
+                seconds[i] = t;
+                break;
+            }
+            default:
+                seconds[i] = toNumber(value);
+        }
+    }
+
+    return seconds;
+}
+
+function parseIso(value) {
+    const match = typeof value === 'string' && value.trim().match(ISO_PATTERN);
+    if (!match) return NaN;
+    // Date.parse only keeps milliseconds; add the full fraction separately
+    const whole = Date.parse(match[1].replace(' ', 'T') + (match[3] || ''));
+    return whole / 1000 + (match[2] ? parseFloat('0' + match[2]) : 0);
+}
+
+function parseClock(value) {
+    const match = typeof value === 'string' && value.trim().match(CLOCK_PATTERN);
+    if (!match) return NaN;
+    return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+}
+
+function toNumber(value) {
+    return typeof value === 'number' ? value : parseFloat(value);
+}
+
+function analyzeTiming(seconds) {
+    const n = seconds.length;
+    const intervals = new Float64Array(Math.max(0, n - 1));
+    let invalid = 0;
+    let count = 0;
+
+    for (let i = 0; i < n; i++) {
+        if (isNaN(seconds[i])) invalid++;
+    }
+    for (let i = 1; i < n; i++) {
+        const dt = seconds[i] - seconds[i - 1];
+        if (!isNaN(dt)) intervals[count++] = dt;
+    }
+
+    const valid = intervals.subarray(0, count);
+    const positive = valid.filter(dt => dt > 0);
+    const medianInterval = median(positive);
+
+    let sum = 0;
+    positive.forEach(dt => { sum += dt; });
+    const meanInterval = positive.length > 0 ? sum / positive.length : NaN;
+
+    // Jitter is measured on regular intervals only, so gaps don't dominate it
+    let jitterSum = 0;
+    let jitterCount = 0;
+    let maxDeviation = 0;
+    const gaps = [];
+    let duplicates = 0;
+    let outOfOrder = 0;
+    let missingSamples = 0;
+
+    for (let i = 1; i < n; i++) {
+        const dt = seconds[i] - seconds[i - 1];
+        if (isNaN(dt)) continue;
+        if (dt === 0) {
+            duplicates++;
+        } else if (dt < 0) {
+            outOfOrder++;
+        } else if (dt > GAP_FACTOR * medianInterval) {
+            const missing = Math.round(dt / medianInterval) - 1;
+            missingSamples += missing;
+            gaps.push({ index: i, time: seconds[i - 1], duration: dt, missingSamples: missing });
+        } else {
+            const deviation = dt - medianInterval;
+            jitterSum += deviation * deviation;
+            jitterCount++;
+            maxDeviation = Math.max(maxDeviation, Math.abs(deviation));
+        }
+    }
+
+    let first = NaN;
+    let last = NaN;
+    for (let i = 0; i < n && isNaN(first); i++) first = seconds[i];
+    for (let i = n - 1; i >= 0 && isNaN(last); i--) last = seconds[i];
+
+    return {
+        samples: n,
+        invalid,
+        start: first,
+        duration: last - first,
+        medianInterval,
+        meanInterval,
+        jitterStd: jitterCount > 0 ? Math.sqrt(jitterSum / jitterCount) : 0,
+        jitterMax: maxDeviation,
+        samplingRate: medianInterval > 0 ? 1 / medianInterval : NaN,
+        gaps,
+        missingSamples,
+        duplicates,
+        outOfOrder
+    };
+}
+
+function median(values) {
+    if (values.length === 0) return NaN;
+    const sorted = Float64Array.from(values).sort();
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function firstValues(column, count) {
+    const values = [];
+    for (let i = 0; i < column.length && values.length < count; i++) {
+        const v = column[i];
+        if (typeof v === 'string' ? v.trim() !== '' : !isNaN(v)) values.push(v);
+    }
+    return values;
+}
+
+export { TIME_UNITS, GAP_FACTOR, detectTimeUnit, parseTimestamps, analyzeTiming };
@@ -12,4 +12,25 @@ function downloadFile(content, filename, mimeType) {
     URL.revokeObjectURL(url);
 }
 
-export { downloadFile };
+// Smallest and largest value (NaN skipped), without spreading `values` into arguments (long recordings overflow the stack)
+function minMax(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        const v = values[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+// One CSV line; fields with commas, quotes, line breaks or edge spaces are quoted
+// and their quotes doubled, as Papa.unparse writes them
+function csvRow(fields) {
+    return fields.map(field => {
+        const text = String(field);
+        return /[",\r\n]|^\s|\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',');
+}
+
+export { downloadFile, minMax, csvRow };
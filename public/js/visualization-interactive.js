@@ -1,18 +1,31 @@
 // visualization-interactive.js - Interactive visualization with data loading
 
-import { downloadFile } from './utils.js';
+import { downloadFile, csvRow } from './utils.js';
+import { loadCurrentWorkspace, saveSession } from './workspace.js';
+import { parseTimestamps } from './timing.js';
+import { buildTimeline, repairChannel } from './gaps.js';
+import { applyMontage } from './montage.js';
+import { FUNCTIONS, parseExpression, evaluateExpression, checkDerivedName } from './expressions.js';
+import { FFT_PADDING, FFT_SCALING, spectrum } from './fft.js';
+import { SPECTRAL_WINDOWS } from './windows.js';
+import { DETREND_TYPES, PSD_AVERAGING, PSD_SCALING, welch, stft } from './spectral.js';
+import { drawHeatmap } from './heatmap.js';
+import { CWT_WAVELETS, cwt, logFrequencies } from './wavelets.js';
 
 let appState = null;
+let recordingData = null;
 let signalData = {};
 let visibleChannels = [];
+// Seconds from the first sample; timestamps may be absolute (epoch or clock seconds)
 let timeRange = { start: 0, end: 10 };
-let timeChart, fftChart;
+let timeOrigin = 0;
+let timeChart, fftChart, psdChart;
 let zoomState = { time: { start: 0, end: 1 }, fft: { start: 0, end: 1 } };
 let convertTimestamps = false;
 
 // Initialize on load
-document.addEventListener('DOMContentLoaded', () => {
-    loadAppState();
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadAppState();
     if (appState) {
         initWithLoadedData();
     } else {
@@ -20,29 +33,31 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-function loadAppState() {
-    const savedState = sessionStorage.getItem('appState');
-    if (savedState) {
-        appState = JSON.parse(savedState);
-        return true;
-    }
-    return false;
+async function loadAppState() {
+    const workspace = await loadCurrentWorkspace().catch(err => {
+        console.error('Could not load workspace:', err);
+        return null;
+    });
+    if (!workspace || !workspace.appState.selectedChannels) return false;
+
+    appState = workspace.appState;
+    recordingData = workspace.data;
+    return true;
 }
 
 function initWithLoadedData() {
-    visibleChannels = [...appState.selectedChannels];
 
     // Update info display
     document.getElementById('fileNameDisplay').textContent = appState.fileName;
     document.getElementById('samplingRateDisplay').textContent = appState.samplingRate;
     
-    const duration = (appState.parsedData.length / appState.samplingRate).toFixed(2);
+    const duration = (appState.length / appState.samplingRate).toFixed(2);
     document.getElementById('durationDisplay').textContent = duration;
     document.getElementById('timeEnd').value = Math.min(10, parseFloat(duration));
     timeRange.end = Math.min(10, parseFloat(duration));
 
-    initializeControls();
     prepareSignalData();
+    initializeControls();
     initCharts();
     updateAllPlots();
 }
@@ -53,7 +68,11 @@ function initDemoData() {
     const duration = 10; // seconds
     const numSamples = samplingRate * duration;
     
-    const data = [];
+    const data = {
+        timestamp: new Float64Array(numSamples),
+        ch1: new Float32Array(numSamples),
+        ch2: new Float32Array(numSamples)
+    };
     for (let i = 0; i < numSamples; i++) {
         const t = i / samplingRate;
         // Simulate EEG with multiple frequency components
@@ -67,11 +86,9 @@ function initDemoData() {
             6 * Math.sin(2 * Math.PI * 15 * t) +
             3 * (Math.random() - 0.5);
         
-        data.push({
-            timestamp: t,
-            ch1: ch1,
-            ch2: ch2
-        });
+        data.timestamp[i] = t;
+        data.ch1[i] = ch1;
+        data.ch2[i] = ch2;
     }
 
     // Create mock appState for demo
@@ -80,10 +97,9 @@ function initDemoData() {
         samplingRate: samplingRate,
         selectedTimestamp: 'timestamp',
         selectedChannels: ['ch1', 'ch2'],
-        parsedData: data
+        length: numSamples
     };
-
-    visibleChannels = ['ch1', 'ch2'];
+    recordingData = data;
 
     // Update info display
     document.getElementById('fileNameDisplay').textContent = 'Demo EEG Data';
@@ -92,19 +108,63 @@ function initDemoData() {
     document.getElementById('timeEnd').value = duration;
     timeRange.end = duration;
 
-    initializeControls();
     prepareSignalData();
+    initializeControls();
     initCharts();
     updateAllPlots();
 }
 
 function initializeControls() {
+    renderChannelToggles();
+    renderDerivedChannels();
+
+    document.getElementById('stackedPlot').addEventListener('change', updateAllPlots);
+    document.getElementById('showGrid').addEventListener('change', updateAllPlots);
+    document.getElementById('logScale').addEventListener('change', updateAllPlots);
+    document.getElementById('maxFreq').addEventListener('change', updateAllPlots);
+    fillSelect('fftWindow', SPECTRAL_WINDOWS, 'hann');
+    fillSelect('fftPadding', FFT_PADDING, 'none');
+    fillSelect('fftScaling', FFT_SCALING, 'amplitude');
+    ['fftWindow', 'fftPadding', 'fftScaling'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateFFTPlot);
+    });
+    fillSelect('psdWindow', SPECTRAL_WINDOWS, 'hann');
+    fillSelect('psdDetrend', DETREND_TYPES, 'constant');
+    fillSelect('psdAverage', PSD_AVERAGING, 'mean');
+    fillSelect('psdScaling', PSD_SCALING, 'density');
+    ['psdSegment', 'psdOverlap', 'psdWindow', 'psdDetrend', 'psdAverage', 'psdScaling'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updatePSDPlot);
+    });
+    fillSelect('stftWindow', SPECTRAL_WINDOWS, 'hann');
+    ['stftSegment', 'stftHop', 'stftWindow'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateSpectrograms);
+    });
+    fillSelect('cwtWavelet', CWT_WAVELETS, 'morlet');
+    ['cwtWavelet', 'cwtMinFreq', 'cwtCount'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateScalograms);
+    });
+    document.getElementById('convertTimestamps').addEventListener('change', (e) => {
+        convertTimestamps = e.target.checked;
+        updateAllPlots();
+    });
+
+    document.getElementById('applyTimeRange').addEventListener('click', () => {
+        timeRange.start = parseFloat(document.getElementById('timeStart').value);
+        timeRange.end = parseFloat(document.getElementById('timeEnd').value);
+        updateAllPlots();
+    });
+
+    document.getElementById('exportCSV').addEventListener('click', exportCSV);
+    document.getElementById('exportPlot').addEventListener('click', exportPlot);
+}
+
+function renderChannelToggles() {
     const channelToggles = document.getElementById('channelToggles');
     
     // Create channel toggles
-    channelToggles.innerHTML = appState.selectedChannels.map(ch => `
+    channelToggles.innerHTML = Object.keys(signalData).map(ch => `
         <label class="checkbox-label">
-            <input type="checkbox" value="${ch}" checked data-channel="${ch}">
+            <input type="checkbox" value="${ch}" ${visibleChannels.includes(ch) ? 'checked' : ''} data-channel="${ch}">
             <span>${ch}</span>
         </label>
     `).join('');
@@ -122,45 +182,139 @@ function initializeControls() {
             updateAllPlots();
         });
     });
+}
 
-    document.getElementById('stackedPlot').addEventListener('change', updateAllPlots);
-    document.getElementById('showGrid').addEventListener('change', updateAllPlots);
-    document.getElementById('logScale').addEventListener('change', updateAllPlots);
-    document.getElementById('maxFreq').addEventListener('change', updateAllPlots);
-    document.getElementById('convertTimestamps').addEventListener('change', (e) => {
-        convertTimestamps = e.target.checked;
-        updateAllPlots();
+// Channels computed from an expression over the recording's channels; they are
+// added to the selection and saved with the session, so the pipeline sees them too
+function renderDerivedChannels() {
+    const container = document.getElementById('derivedChannels');
+    const derived = appState.derivedChannels || [];
+    const items = derived.map(({ name, expression }) => `
+        <div class="derived-item">
+            <span><strong>${name}</strong> = <code>${expression}</code></span>
+            <button type="button" class="recent-delete" data-name="${name}" title="Remove">×</button>
+        </div>
+    `).join('');
+    container.innerHTML = `
+        ${items}
+        <div class="derived-form">
+            <input type="text" id="derivedName" class="input-field" placeholder="Name, e.g. magnitude">
+            <input type="text" id="derivedExpression" class="input-field" placeholder="e.g. sqrt(ax^2 + ay^2 + az^2)">
+            <button type="button" class="btn btn-primary" id="addDerived">Add Channel</button>
+        </div>
+        <p id="derivedStatus" class="derived-help">Channel names (in quotes if they contain spaces or dashes),
+            numbers, <code>+ - * / % ^</code> and ${Object.keys(FUNCTIONS).join(', ')}.</p>
+    `;
+
+    document.getElementById('addDerived').addEventListener('click', addDerivedChannel);
+    container.querySelectorAll('button[data-name]').forEach(btn => {
+        btn.addEventListener('click', () => removeDerivedChannel(btn.dataset.name));
     });
+}
 
-    document.getElementById('applyTimeRange').addEventListener('click', () => {
-        timeRange.start = parseFloat(document.getElementById('timeStart').value);
-        timeRange.end = parseFloat(document.getElementById('timeEnd').value);
-        updateAllPlots();
-    });
+function showDerivedError(message) {
+    document.getElementById('derivedStatus').innerHTML = `<span class="timing-warning">⚠ ${message}</span>`;
+}
 
-    document.getElementById('exportCSV').addEventListener('click', exportCSV);
-    document.getElementById('exportPlot').addEventListener('click', exportPlot);
+function numericColumns() {
+    return Object.keys(recordingData).filter(name => !Array.isArray(recordingData[name]));
+}
+
+function addDerivedChannel() {
+    const name = document.getElementById('derivedName').value.trim();
+    const expression = document.getElementById('derivedExpression').value.trim();
+    const problem = checkDerivedName(name, [...Object.keys(recordingData), ...Object.keys(signalData)]);
+    if (problem) {
+        showDerivedError(problem);
+        return;
+    }
+    try {
+        recordingData[name] = evaluateExpression(expression, recordingData);
+    } catch (e) {
+        showDerivedError(e.message);
+        return;
+    }
+    appState.derivedChannels = [...(appState.derivedChannels || []), { name, expression }];
+    appState.selectedChannels = [...appState.selectedChannels, name];
+    refreshDerivedChannels([...visibleChannels, name]);
+}
+
+function removeDerivedChannel(name) {
+    const user = appState.derivedChannels.find(d =>
+        d.name !== name && parseExpression(d.expression, numericColumns()).channels.includes(name));
+    if (user) {
+        showDerivedError(`${name} is used by ${user.name}; remove that first`);
+        return;
+    }
+    delete recordingData[name];
+    appState.derivedChannels = appState.derivedChannels.filter(d => d.name !== name);
+    appState.selectedChannels = appState.selectedChannels.filter(ch => ch !== name);
+    refreshDerivedChannels(visibleChannels);
+}
+
+// Rebuild the channels (montages may now derive more or fewer) keeping what was visible
+function refreshDerivedChannels(visible) {
+    prepareSignalData();
+    visibleChannels = visible.filter(ch => signalData[ch]);
+    renderChannelToggles();
+    renderDerivedChannels();
+    updateAllPlots();
+    if (appState.recordingId) {
+        saveSession(appState.recordingId, {
+            derivedChannels: appState.derivedChannels,
+            selectedChannels: appState.selectedChannels
+        }).catch(err => console.error('Could not save derived channels:', err));
+    }
 }
 
 function prepareSignalData() {
-    const timestampCol = appState.selectedTimestamp;
-    
-    // Extract data for each channel
+    // Extract data for each channel, repairing missing samples as configured on import
+    const times = parseTimestamps(recordingData[appState.selectedTimestamp], appState.timeUnit || 's');
+    timeOrigin = times.find(t => Number.isFinite(t)) || 0;
+    const timeline = buildTimeline(times, appState.samplingRate);
+    const strategies = appState.repairStrategies || {};
+    const repaired = {};
     appState.selectedChannels.forEach(channel => {
-        const times = [];
-        const values = [];
-        
-        appState.parsedData.forEach(row => {
-            const t = parseFloat(row[timestampCol]);
-            const v = parseFloat(row[channel]);
-            if (!isNaN(t) && !isNaN(v)) {
-                times.push(t);
-                values.push(v);
-            }
-        });
-        
-        signalData[channel] = { times, values };
+        repaired[channel] = repairChannel(timeline, recordingData[channel], strategies[channel] || 'drop');
     });
+    signalData = withMontage(repaired);
+    visibleChannels = Object.keys(signalData);
+}
+
+// Re-referenced or bipolar channels replace (or join) the recorded ones
+function withMontage(channels) {
+    try {
+        return applyMontage(appState.montage, channels);
+    } catch (e) {
+        console.error('Montage error:', e);
+        return channels;
+    }
+}
+
+function fillSelect(id, options, selected) {
+    document.getElementById(id).innerHTML = Object.entries(options).map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+function fftOptions() {
+    return {
+        window: document.getElementById('fftWindow').value,
+        padding: document.getElementById('fftPadding').value,
+        scaling: document.getElementById('fftScaling').value
+    };
+}
+
+// Welch settings; overlap is entered as a percentage of the segment
+function psdOptions() {
+    return {
+        nperseg: parseInt(document.getElementById('psdSegment').value) || 256,
+        overlap: Math.min(95, Math.max(0, parseFloat(document.getElementById('psdOverlap').value) || 0)),
+        window: document.getElementById('psdWindow').value,
+        detrend: document.getElementById('psdDetrend').value,
+        average: document.getElementById('psdAverage').value,
+        scaling: document.getElementById('psdScaling').value
+    };
 }
 
 function initCharts() {
@@ -190,7 +344,8 @@ function initCharts() {
             labels: [],
             datasets: []
         },
-        options: chartOptions
+        options: chartOptions,
+        plugins: [eventMarkersPlugin]
     });
 
     fftChart = new Chart(ctx2, {
@@ -201,11 +356,63 @@ function initCharts() {
         },
         options: chartOptions
     });
+
+    psdChart = new Chart(document.getElementById('psdChart').getContext('2d'), {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            ...chartOptions,
+            scales: {
+                x: { display: true, type: 'linear', title: { display: true, text: 'Frequency (Hz)' } },
+                y: { display: true, title: { display: true, text: '' } }
+            }
+        }
+    });
+}
+
+// Draws recording events (EDF+ annotations, BrainVision markers) as vertical lines
+const eventMarkersPlugin = {
+    id: 'eventMarkers',
+    afterDatasetsDraw(chart) {
+        const events = appState.annotations || [];
+        if (events.length === 0 || convertTimestamps) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.strokeStyle = '#feca57';
+        ctx.fillStyle = '#feca57';
+        ctx.font = '10px sans-serif';
+        ctx.setLineDash([4, 3]);
+
+        events.forEach(event => {
+            if (event.onset < timeOrigin + timeRange.start || event.onset > timeOrigin + timeRange.end) return;
+            const x = scales.x.getPixelForValue(event.onset);
+            if (x < chartArea.left || x > chartArea.right) return;
+
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(event.text, x + 3, chartArea.top + 10);
+        });
+
+        ctx.restore();
+    }
+};
+
+// Sample indices [start, end) of `times` inside the time range
+function rangeIndices(times) {
+    const start = times.findIndex(t => t >= timeOrigin + timeRange.start);
+    const end = times.findIndex(t => t >= timeOrigin + timeRange.end);
+    return [start === -1 ? times.length : start, end === -1 ? times.length : end];
 }
 
 function updateAllPlots() {
     updateTimePlot();
     updateFFTPlot();
+    updatePSDPlot();
+    updateSpectrograms();
+    updateScalograms();
 }
 
 function updateTimePlot() {
@@ -216,23 +423,24 @@ function updateTimePlot() {
     
     visibleChannels.forEach((channel, idx) => {
         const data = signalData[channel];
-        const startIdx = data.times.findIndex(t => t >= timeRange.start);
-        const endIdx = data.times.findIndex(t => t >= timeRange.end);
+        const [startIdx, endIdx] = rangeIndices(data.times);
         
         const timeSlice = data.times.slice(startIdx, endIdx);
         const valueSlice = data.values.slice(startIdx, endIdx);
+        const repairedSlice = data.repaired.slice(startIdx, endIdx);
         
         // Convert timestamps if requested
         let xData = timeSlice;
         if (convertTimestamps) {
-            xData = timeSlice.map(t => new Date(t * 1000).toLocaleString());
+            xData = Array.from(timeSlice, t => new Date(t * 1000).toLocaleString());
         }
         
         traces.push({
             label: channel,
-            data: xData.map((x, i) => ({ x: x, y: valueSlice[i] })),
+            data: Array.from(xData, (x, i) => ({ x: x, y: valueSlice[i] })),
             borderColor: getChannelColor(idx),
             backgroundColor: getChannelColor(idx) + '20',
+            segment: repairedSegment(repairedSlice),
             tension: 0,
             borderWidth: 1.5,
             pointRadius: 0,
@@ -248,16 +456,16 @@ function updateFFTPlot() {
     const logScale = document.getElementById('logScale').checked;
     const showGrid = document.getElementById('showGrid').checked;
     const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const options = fftOptions();
     
     const traces = [];
     
     visibleChannels.forEach((channel, idx) => {
         const data = signalData[channel];
-        const startIdx = data.times.findIndex(t => t >= timeRange.start);
-        const endIdx = data.times.findIndex(t => t >= timeRange.end);
+        const [startIdx, endIdx] = rangeIndices(data.times);
         
         const valueSlice = data.values.slice(startIdx, endIdx);
-        const fftResult = computeFFT(valueSlice, appState.samplingRate);
+        const fftResult = spectrum(valueSlice, appState.samplingRate, options);
         
         // Filter by max frequency
         const freqLimit = fftResult.frequencies.findIndex(f => f > maxFreq);
@@ -266,7 +474,7 @@ function updateFFTPlot() {
         
         traces.push({
             label: channel,
-            data: frequencies.map((f, i) => ({ x: f, y: magnitudes[i] })),
+            data: Array.from(frequencies, (f, i) => ({ x: f, y: magnitudes[i] })),
             borderColor: getChannelColor(idx),
             backgroundColor: getChannelColor(idx) + '20',
             tension: 0,
@@ -280,38 +488,155 @@ function updateFFTPlot() {
     fftChart.update('none');
 }
 
+// Welch PSD in dB; segments shrink to the selected range when it is shorter
+function updatePSDPlot() {
+    const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const options = psdOptions();
+
+    const traces = [];
+
+    visibleChannels.forEach((channel, idx) => {
+        const data = signalData[channel];
+        const [startIdx, endIdx] = rangeIndices(data.times);
+
+        const valueSlice = data.values.slice(startIdx, endIdx);
+        const nperseg = Math.min(options.nperseg, valueSlice.length);
+        const psdResult = welch(valueSlice, appState.samplingRate, {
+            ...options,
+            nperseg,
+            noverlap: Math.floor(nperseg * options.overlap / 100)
+        });
+
+        const points = [];
+        for (let k = 0; k < psdResult.frequencies.length && psdResult.frequencies[k] <= maxFreq; k++) {
+            points.push({ x: psdResult.frequencies[k], y: 10 * Math.log10(psdResult.psd[k] + 1e-20) });
+        }
+
+        traces.push({
+            label: channel,
+            data: points,
+            borderColor: getChannelColor(idx),
+            backgroundColor: getChannelColor(idx) + '20',
+            tension: 0,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false
+        });
+    });
+
+    psdChart.options.scales.y.title.text = options.scaling === 'spectrum' ? 'Power (dB re V²)' : 'PSD (dB re V²/Hz)';
+    psdChart.data.datasets = traces;
+    psdChart.update('none');
+}
+
+// One STFT heatmap per visible channel over the selected time range, up to maxFreq
+function updateSpectrograms() {
+    const container = document.getElementById('spectrograms');
+    const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const nperseg = parseInt(document.getElementById('stftSegment').value) || 128;
+    const hop = Math.max(1, parseInt(document.getElementById('stftHop').value) || 32);
+    const windowName = document.getElementById('stftWindow').value;
+
+    container.innerHTML = visibleChannels.map(channel => `
+        <div class="heatmap-channel">${channel}</div>
+        <canvas height="180"></canvas>
+    `).join('');
+
+    const canvases = container.querySelectorAll('canvas');
+    visibleChannels.forEach((channel, idx) => {
+        const data = signalData[channel];
+        const [startIdx, endIdx] = rangeIndices(data.times);
+        const valueSlice = data.values.slice(startIdx, endIdx);
+
+        const result = stft(valueSlice, appState.samplingRate, { nperseg, hop, window: windowName });
+        let bins = result.frequencies.findIndex(f => f > maxFreq);
+        if (bins === -1) bins = result.frequencies.length;
+
+        const canvas = canvases[idx];
+        canvas.width = container.clientWidth;
+        drawHeatmap(canvas, {
+            xs: Array.from(result.times, t => t + data.times[Math.max(0, startIdx)]),
+            ys: result.frequencies.slice(0, bins),
+            columns: result.frames.map(frame => Array.from(frame.slice(0, bins), p => 10 * Math.log10(p + 1e-20))),
+            xLabel: 'Time (s)',
+            yLabel: 'Frequency (Hz)',
+            unit: 'dB/Hz'
+        });
+    });
+}
+
+// Wavelet power on log-spaced frequencies from cwtMinFreq up to maxFreq (capped at Nyquist)
+function scalogramSettings() {
+    const maxFreq = Math.min(parseFloat(document.getElementById('maxFreq').value), appState.samplingRate / 2);
+    const minFreq = Math.min(parseFloat(document.getElementById('cwtMinFreq').value) || 1, maxFreq);
+    const count = Math.min(128, Math.max(4, parseInt(document.getElementById('cwtCount').value) || 40));
+    return {
+        wavelet: document.getElementById('cwtWavelet').value,
+        frequencies: logFrequencies(minFreq, maxFreq, count)
+    };
+}
+
+// Average power over blocks of samples so wide ranges stay at most `columns` wide
+function blockAverage(rows, times, columns) {
+    const block = Math.max(1, Math.ceil(times.length / columns));
+    const count = Math.ceil(times.length / block);
+    const xs = Array.from({ length: count }, (_, c) => times[Math.min(times.length - 1, c * block + (block >> 1))]);
+    const averaged = rows.map(row => Array.from({ length: count }, (_, c) => {
+        const end = Math.min(row.length, (c + 1) * block);
+        let sum = 0;
+        for (let i = c * block; i < end; i++) sum += row[i];
+        return sum / (end - c * block);
+    }));
+    return { xs, averaged };
+}
+
+function updateScalograms() {
+    const container = document.getElementById('scalograms');
+    const { wavelet, frequencies } = scalogramSettings();
+
+    container.innerHTML = visibleChannels.map(channel => `
+        <div class="heatmap-channel">${channel}</div>
+        <canvas height="180"></canvas>
+    `).join('');
+
+    const canvases = container.querySelectorAll('canvas');
+    visibleChannels.forEach((channel, idx) => {
+        const data = signalData[channel];
+        const [startIdx, endIdx] = rangeIndices(data.times);
+        const valueSlice = data.values.slice(startIdx, endIdx);
+        const timeSlice = data.times.slice(startIdx, endIdx);
+
+        const canvas = canvases[idx];
+        canvas.width = container.clientWidth;
+        const power = valueSlice.length > 1 ? cwt(valueSlice, appState.samplingRate, frequencies, wavelet) : [];
+        const { xs, averaged } = blockAverage(power, timeSlice, canvas.width);
+
+        // drawHeatmap takes columns (time) of rows (frequency, bottom up)
+        drawHeatmap(canvas, {
+            xs,
+            ys: frequencies,
+            columns: xs.map((_, c) => averaged.map(row => 10 * Math.log10(row[c] + 1e-20))),
+            xLabel: 'Time (s)',
+            yLabel: 'Frequency (Hz)',
+            unit: 'dB'
+        });
+    });
+}
+
+// Repaired stretches of a trace are drawn as a dashed red line
+function repairedSegment(repaired) {
+    const isRepaired = ctx => repaired[ctx.p0DataIndex] || repaired[ctx.p1DataIndex];
+    return {
+        borderColor: ctx => (isRepaired(ctx) ? '#ff4757' : undefined),
+        borderDash: ctx => (isRepaired(ctx) ? [4, 3] : undefined)
+    };
+}
+
 function getChannelColor(index) {
     const colors = ['#14786e', '#00d4ff', '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57', '#ff9ff3'];
     return colors[index % colors.length];
 }
 
-// FFT Implementation
-function computeFFT(signal, samplingRate) {
-    const N = signal.length;
-    const frequencies = [];
-    const magnitudes = [];
-    
-    // Compute FFT using DFT (simple implementation)
-    for (let k = 0; k < N / 2; k++) {
-        let real = 0;
-        let imag = 0;
-        
-        for (let n = 0; n < N; n++) {
-            const angle = -2 * Math.PI * k * n / N;
-            real += signal[n] * Math.cos(angle);
-            imag += signal[n] * Math.sin(angle);
-        }
-        
-        const magnitude = Math.sqrt(real * real + imag * imag) / N;
-        const frequency = k * samplingRate / N;
-        
-        frequencies.push(frequency);
-        magnitudes.push(magnitude * 2); // Scale for single-sided spectrum
-    }
-    
-    return { frequencies, magnitudes };
-}
-
 function zoomChart(type, action) {
     const zoom = zoomState[type];
     const range = zoom.end - zoom.start;
@@ -333,13 +658,13 @@ function zoomChart(type, action) {
 }
 
 function exportCSV() {
-    let csv = appState.selectedTimestamp + ',' + visibleChannels.join(',') + '\n';
+    let csv = csvRow([appState.selectedTimestamp, ...visibleChannels]) + '\n';
     
     const minLength = Math.min(...visibleChannels.map(ch => signalData[ch].times.length));
     
     for (let i = 0; i < minLength; i++) {
         const time = signalData[visibleChannels[0]].times[i];
-        if (time < timeRange.start || time > timeRange.end) continue;
+        if (time < timeOrigin + timeRange.start || time > timeOrigin + timeRange.end) continue;
         
         const values = visibleChannels.map(ch => signalData[ch].values[i].toFixed(6));
         csv += time.toFixed(6) + ',' + values.join(',') + '\n';
@@ -1,45 +1,55 @@
 // visualization.js - Visualization page logic
 
-import { downloadFile } from './utils.js';
+import { downloadFile, csvRow } from './utils.js';
+import { loadCurrentWorkspace } from './workspace.js';
+import { parseTimestamps } from './timing.js';
+import { buildTimeline, repairChannel } from './gaps.js';
+import { applyMontage } from './montage.js';
+import { FFT_PADDING, FFT_SCALING, spectrum } from './fft.js';
+import { SPECTRAL_WINDOWS } from './windows.js';
+import { DETREND_TYPES, PSD_AVERAGING, PSD_SCALING, welch, stft } from './spectral.js';
+import { CWT_WAVELETS, cwt, logFrequencies } from './wavelets.js';
 
 let appState = null;
+let recordingData = null;
 let signalData = {};
 let visibleChannels = [];
 let timeRange = { start: 0, end: 10 };
 
 // Initialize on load
-document.addEventListener('DOMContentLoaded', () => {
-    loadAppState();
-    initializeControls();
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!await loadAppState()) return;
     prepareSignalData();
+    initializeControls();
     updateAllPlots();
 });
 
-function loadAppState() {
-    const savedState = sessionStorage.getItem('appState');
-    if (!savedState) {
+async function loadAppState() {
+    const workspace = await loadCurrentWorkspace().catch(() => null);
+    if (!workspace || !workspace.appState.selectedChannels) {
         alert('No data loaded. Redirecting to home...');
         window.location.href = 'index.html';
-        return;
+        return false;
     }
-    appState = JSON.parse(savedState);
-    visibleChannels = [...appState.selectedChannels];
+    appState = workspace.appState;
+    recordingData = workspace.data;
 
     // Update info display
     document.getElementById('fileNameDisplay').textContent = appState.fileName;
     document.getElementById('samplingRateDisplay').textContent = appState.samplingRate;
     
-    const duration = (appState.parsedData.length / appState.samplingRate).toFixed(2);
+    const duration = (appState.length / appState.samplingRate).toFixed(2);
     document.getElementById('durationDisplay').textContent = duration;
     document.getElementById('timeEnd').value = Math.min(10, parseFloat(duration));
     timeRange.end = Math.min(10, parseFloat(duration));
+    return true;
 }
 
 function initializeControls() {
     const channelToggles = document.getElementById('channelToggles');
     
     // Create channel toggles
-    channelToggles.innerHTML = appState.selectedChannels.map(ch => `
+    channelToggles.innerHTML = Object.keys(signalData).map(ch => `
         <label class="checkbox-label">
             <input type="checkbox" value="${ch}" checked data-channel="${ch}">
             <span>${ch}</span>
@@ -64,6 +74,27 @@ function initializeControls() {
     document.getElementById('showGrid').addEventListener('change', updateAllPlots);
     document.getElementById('logScale').addEventListener('change', updateAllPlots);
     document.getElementById('maxFreq').addEventListener('change', updateAllPlots);
+    fillSelect('fftWindow', SPECTRAL_WINDOWS, 'hann');
+    fillSelect('fftPadding', FFT_PADDING, 'none');
+    fillSelect('fftScaling', FFT_SCALING, 'amplitude');
+    ['fftWindow', 'fftPadding', 'fftScaling'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateFFTPlot);
+    });
+    fillSelect('psdWindow', SPECTRAL_WINDOWS, 'hann');
+    fillSelect('psdDetrend', DETREND_TYPES, 'constant');
+    fillSelect('psdAverage', PSD_AVERAGING, 'mean');
+    fillSelect('psdScaling', PSD_SCALING, 'density');
+    ['psdSegment', 'psdOverlap', 'psdWindow', 'psdDetrend', 'psdAverage', 'psdScaling'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updatePSDPlot);
+    });
+    fillSelect('stftWindow', SPECTRAL_WINDOWS, 'hann');
+    ['stftSegment', 'stftHop', 'stftWindow'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateSpectrograms);
+    });
+    fillSelect('cwtWavelet', CWT_WAVELETS, 'morlet');
+    ['cwtWavelet', 'cwtMinFreq', 'cwtCount'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateScalograms);
+    });
 
     document.getElementById('applyTimeRange').addEventListener('click', () => {
         timeRange.start = parseFloat(document.getElementById('timeStart').value);
@@ -76,30 +107,33 @@ function initializeControls() {
 }
 
 function prepareSignalData() {
-    const timestampCol = appState.selectedTimestamp;
-    
-    // Extract data for each channel
+    const times = parseTimestamps(recordingData[appState.selectedTimestamp], appState.timeUnit || 's');
+    const timeline = buildTimeline(times, appState.samplingRate);
+    const strategies = appState.repairStrategies || {};
+    const repaired = {};
     appState.selectedChannels.forEach(channel => {
-        const times = [];
-        const values = [];
-        
-        appState.parsedData.forEach(row => {
-            const t = parseFloat(row[timestampCol]);
-            const v = parseFloat(row[channel]);
-            if (!isNaN(t) && !isNaN(v)) {
-                times.push(t);
-                values.push(v);
-            }
-        });
-        
-        signalData[channel] = { times, values };
+        repaired[channel] = repairChannel(timeline, recordingData[channel], strategies[channel] || 'drop');
     });
+    signalData = withMontage(repaired);
+    visibleChannels = Object.keys(signalData);
+}
+
+// Re-referenced or bipolar channels replace (or join) the recorded ones
+function withMontage(channels) {
+    try {
+        return applyMontage(appState.montage, channels);
+    } catch (e) {
+        console.error('Montage error:', e);
+        return channels;
+    }
 }
 
 function updateAllPlots() {
     updateTimePlot();
     updateFFTPlot();
     updatePSDPlot();
+    updateSpectrograms();
+    updateScalograms();
 }
 
 function updateTimePlot() {
@@ -126,6 +160,11 @@ function updateTimePlot() {
             xaxis: stacked ? `x${idx + 1}` : 'x',
             yaxis: stacked ? `y${idx + 1}` : 'y'
         });
+        traces.push({
+            ...repairedTrace(timeSlice, valueSlice, data.repaired.slice(startIdx, endIdx)),
+            xaxis: stacked ? `x${idx + 1}` : 'x',
+            yaxis: stacked ? `y${idx + 1}` : 'y'
+        });
     });
 
     const layout = {
@@ -176,10 +215,52 @@ function updateTimePlot() {
     Plotly.newPlot('timePlot', traces, layout, config);
 }
 
+// Overlay trace that only shows the repaired stretches of a signal (NaN elsewhere breaks the line)
+function repairedTrace(times, values, repaired) {
+    const y = Array.from(values, (v, i) =>
+        (repaired[i] || repaired[i - 1] || repaired[i + 1] ? v : NaN));
+    return {
+        x: times,
+        y: y,
+        type: 'scatter',
+        mode: 'lines',
+        line: { width: 1.5, color: '#ff4757', dash: 'dot' },
+        hoverinfo: 'skip',
+        showlegend: false
+    };
+}
+
+function fillSelect(id, options, selected) {
+    document.getElementById(id).innerHTML = Object.entries(options).map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+function fftOptions() {
+    return {
+        window: document.getElementById('fftWindow').value,
+        padding: document.getElementById('fftPadding').value,
+        scaling: document.getElementById('fftScaling').value
+    };
+}
+
+// Welch settings; overlap is entered as a percentage of the segment
+function psdOptions() {
+    return {
+        nperseg: parseInt(document.getElementById('psdSegment').value) || 256,
+        overlap: Math.min(95, Math.max(0, parseFloat(document.getElementById('psdOverlap').value) || 0)),
+        window: document.getElementById('psdWindow').value,
+        detrend: document.getElementById('psdDetrend').value,
+        average: document.getElementById('psdAverage').value,
+        scaling: document.getElementById('psdScaling').value
+    };
+}
+
 function updateFFTPlot() {
     const logScale = document.getElementById('logScale').checked;
     const showGrid = document.getElementById('showGrid').checked;
     const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const options = fftOptions();
     
     const traces = [];
     
@@ -189,12 +270,12 @@ function updateFFTPlot() {
         const endIdx = data.times.findIndex(t => t >= timeRange.end);
         
         const valueSlice = data.values.slice(startIdx, endIdx);
-        const fftResult = computeFFT(valueSlice, appState.samplingRate);
+        const fftResult = spectrum(valueSlice, appState.samplingRate, options);
         
         // Filter by max frequency
         const freqLimit = fftResult.frequencies.findIndex(f => f > maxFreq);
-        const frequencies = fftResult.frequencies.slice(0, freqLimit);
-        const magnitudes = fftResult.magnitudes.slice(0, freqLimit);
+        const frequencies = Array.from(fftResult.frequencies.slice(0, freqLimit));
+        const magnitudes = Array.from(fftResult.magnitudes.slice(0, freqLimit));
         
         traces.push({
             x: frequencies,
@@ -219,7 +300,7 @@ function updateFFTPlot() {
             color: '#aaa'
         },
         yaxis: {
-            title: 'Magnitude',
+            title: options.scaling === 'power' ? 'Power' : 'Amplitude',
             type: logScale ? 'log' : 'linear',
             gridcolor: showGrid ? '#1a3a52' : 'transparent',
             color: '#aaa'
@@ -238,6 +319,7 @@ function updateFFTPlot() {
 function updatePSDPlot() {
     const showGrid = document.getElementById('showGrid').checked;
     const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const options = psdOptions();
     
     const traces = [];
     
@@ -247,7 +329,7 @@ function updatePSDPlot() {
         const endIdx = data.times.findIndex(t => t >= timeRange.end);
         
         const valueSlice = data.values.slice(startIdx, endIdx);
-        const psdResult = computePSD(valueSlice, appState.samplingRate);
+        const psdResult = computePSD(valueSlice, appState.samplingRate, options);
         
         // Filter by max frequency
         const freqLimit = psdResult.frequencies.findIndex(f => f > maxFreq);
@@ -277,7 +359,7 @@ function updatePSDPlot() {
             color: '#aaa'
         },
         yaxis: {
-            title: 'Power Spectral Density (dB/Hz)',
+            title: options.scaling === 'spectrum' ? 'Power (dB re V²)' : 'Power Spectral Density (dB re V²/Hz)',
             gridcolor: showGrid ? '#1a3a52' : 'transparent',
             color: '#aaa'
         }
@@ -292,48 +374,155 @@ function updatePSDPlot() {
     Plotly.newPlot('psdPlot', traces, layout, config);
 }
 
-// FFT Implementation
-function computeFFT(signal, samplingRate) {
-    const N = signal.length;
-    const frequencies = [];
-    const magnitudes = [];
-    
-    // Compute FFT using DFT (simple implementation)
-    for (let k = 0; k < N / 2; k++) {
-        let real = 0;
-        let imag = 0;
-        
-        for (let n = 0; n < N; n++) {
-            const angle = -2 * Math.PI * k * n / N;
-            real += signal[n] * Math.cos(angle);
-            imag += signal[n] * Math.sin(angle);
-        }
-        
-        const magnitude = Math.sqrt(real * real + imag * imag) / N;
-        const frequency = k * samplingRate / N;
-        
-        frequencies.push(frequency);
-        magnitudes.push(magnitude * 2); // Scale for single-sided spectrum
-    }
-    
-    return { frequencies, magnitudes };
+// One STFT heatmap per visible channel over the selected time range, up to maxFreq
+function updateSpectrograms() {
+    const container = document.getElementById('spectrograms');
+    const showGrid = document.getElementById('showGrid').checked;
+    const maxFreq = parseFloat(document.getElementById('maxFreq').value);
+    const nperseg = parseInt(document.getElementById('stftSegment').value) || 128;
+    const hop = Math.max(1, parseInt(document.getElementById('stftHop').value) || 32);
+    const windowName = document.getElementById('stftWindow').value;
+
+    container.innerHTML = visibleChannels.map((_, idx) => `<div id="spectrogram-${idx}"></div>`).join('');
+
+    visibleChannels.forEach((channel, idx) => {
+        const data = signalData[channel];
+        const startIdx = data.times.findIndex(t => t >= timeRange.start);
+        const endIdx = data.times.findIndex(t => t >= timeRange.end);
+        const valueSlice = data.values.slice(startIdx, endIdx);
+
+        const result = stft(valueSlice, appState.samplingRate, { nperseg, hop, window: windowName });
+        let bins = result.frequencies.findIndex(f => f > maxFreq);
+        if (bins === -1) bins = result.frequencies.length;
+
+        // Plotly heatmaps take z as rows (frequency) by columns (time)
+        const z = Array.from({ length: bins }, (_, k) =>
+            result.frames.map(frame => 10 * Math.log10(frame[k] + 1e-20)));
+
+        const trace = {
+            x: Array.from(result.times, t => t + data.times[Math.max(0, startIdx)]),
+            y: Array.from(result.frequencies.slice(0, bins)),
+            z,
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            colorbar: { title: 'dB/Hz' }
+        };
+
+        const layout = {
+            title: { text: channel, font: { size: 12 } },
+            height: 220,
+            paper_bgcolor: '#0f3460',
+            plot_bgcolor: '#0a2540',
+            font: { color: '#eee' },
+            margin: { l: 60, r: 20, t: 30, b: 40 },
+            xaxis: {
+                title: 'Time (s)',
+                gridcolor: showGrid ? '#1a3a52' : 'transparent',
+                color: '#aaa'
+            },
+            yaxis: {
+                title: 'Frequency (Hz)',
+                gridcolor: showGrid ? '#1a3a52' : 'transparent',
+                color: '#aaa'
+            }
+        };
+
+        Plotly.newPlot(`spectrogram-${idx}`, [trace], layout, { responsive: true, displaylogo: false });
+    });
 }
 
-// PSD Implementation (Welch's method simplified)
-function computePSD(signal, samplingRate) {
-    const fftResult = computeFFT(signal, samplingRate);
-    
-    // Convert magnitude to power (square and normalize)
-    const psd = fftResult.magnitudes.map(mag => {
-        const power = mag * mag;
-        return 10 * Math.log10(power + 1e-10); // Convert to dB
+// Wavelet power on log-spaced frequencies from cwtMinFreq up to maxFreq (capped at Nyquist)
+function scalogramSettings() {
+    const maxFreq = Math.min(parseFloat(document.getElementById('maxFreq').value), appState.samplingRate / 2);
+    const minFreq = Math.min(parseFloat(document.getElementById('cwtMinFreq').value) || 1, maxFreq);
+    const count = Math.min(128, Math.max(4, parseInt(document.getElementById('cwtCount').value) || 40));
+    return {
+        wavelet: document.getElementById('cwtWavelet').value,
+        frequencies: logFrequencies(minFreq, maxFreq, count)
+    };
+}
+
+// Average power over blocks of samples so wide ranges stay at most `columns` wide
+function blockAverage(rows, times, columns) {
+    const block = Math.max(1, Math.ceil(times.length / columns));
+    const count = Math.ceil(times.length / block);
+    const xs = Array.from({ length: count }, (_, c) => times[Math.min(times.length - 1, c * block + (block >> 1))]);
+    const averaged = rows.map(row => Array.from({ length: count }, (_, c) => {
+        const end = Math.min(row.length, (c + 1) * block);
+        let sum = 0;
+        for (let i = c * block; i < end; i++) sum += row[i];
+        return sum / (end - c * block);
+    }));
+    return { xs, averaged };
+}
+
+function updateScalograms() {
+    const container = document.getElementById('scalograms');
+    const showGrid = document.getElementById('showGrid').checked;
+    const { wavelet, frequencies } = scalogramSettings();
+
+    container.innerHTML = visibleChannels.map((_, idx) => `<div id="scalogram-${idx}"></div>`).join('');
+
+    visibleChannels.forEach((channel, idx) => {
+        const data = signalData[channel];
+        const startIdx = data.times.findIndex(t => t >= timeRange.start);
+        const endIdx = data.times.findIndex(t => t >= timeRange.end);
+        const valueSlice = data.values.slice(startIdx, endIdx);
+        const timeSlice = data.times.slice(startIdx, endIdx);
+
+        const power = valueSlice.length > 1 ? cwt(valueSlice, appState.samplingRate, frequencies, wavelet) : [];
+        const { xs, averaged } = blockAverage(power, timeSlice, 800);
+
+        const trace = {
+            x: xs,
+            y: Array.from(frequencies),
+            z: averaged.map(row => row.map(p => 10 * Math.log10(p + 1e-20))),
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            colorbar: { title: 'dB' }
+        };
+
+        const layout = {
+            title: { text: channel, font: { size: 12 } },
+            height: 220,
+            paper_bgcolor: '#0f3460',
+            plot_bgcolor: '#0a2540',
+            font: { color: '#eee' },
+            margin: { l: 60, r: 20, t: 30, b: 40 },
+            xaxis: {
+                title: 'Time (s)',
+                gridcolor: showGrid ? '#1a3a52' : 'transparent',
+                color: '#aaa'
+            },
+            yaxis: {
+                title: 'Frequency (Hz)',
+                type: 'log',
+                gridcolor: showGrid ? '#1a3a52' : 'transparent',
+                color: '#aaa'
+            }
+        };
+
+        Plotly.newPlot(`scalogram-${idx}`, [trace], layout, { responsive: true, displaylogo: false });
+    });
+}
+
+// Welch PSD in dB; segments shrink to the selected range when it is shorter
+function computePSD(signal, samplingRate, options) {
+    const nperseg = Math.min(options.nperseg, signal.length);
+    const { frequencies, psd } = welch(signal, samplingRate, {
+        ...options,
+        nperseg,
+        noverlap: Math.floor(nperseg * options.overlap / 100)
     });
     
-    return { frequencies: fftResult.frequencies, psd };
+    return {
+        frequencies: Array.from(frequencies),
+        psd: Array.from(psd, power => 10 * Math.log10(power + 1e-20))
+    };
 }
 
 function exportCSV() {
-    let csv = appState.selectedTimestamp + ',' + visibleChannels.join(',') + '\n';
+    let csv = csvRow([appState.selectedTimestamp, ...visibleChannels]) + '\n';
     
     const minLength = Math.min(...visibleChannels.map(ch => signalData[ch].times.length));
     
@@ -0,0 +1,372 @@
+// wavelets.js - Continuous (Morlet, Mexican hat) and discrete (Daubechies, Symlet) wavelet transforms
+
+import { fft, ifft, nextPowerOfTwo } from './fft.js';
+
+const CWT_WAVELETS = {
+    morlet: 'Morlet',
+    mexhat: 'Mexican hat'
+};
+
+const WAVELET_FAMILIES = {
+    db: 'Daubechies',
+    sym: 'Symlet'
+};
+
+const THRESHOLD_MODES = {
+    soft: 'Soft',
+    hard: 'Hard'
+};
+
+const THRESHOLD_RULES = {
+    universal: 'Universal (VisuShrink)',
+    sure: 'SURE (SureShrink)'
+};
+
+const MORLET_W0 = 6;
+
+// ---- Continuous transform ----
+
+// Wavelet Fourier transform at s * omega, and the ratio of Fourier period to scale
+// (Torrence & Compo, 1998, table 1)
+const CWT_DEFINITIONS = {
+    morlet: {
+        transform: (sw) => (sw > 0 ? Math.pow(Math.PI, -0.25) * Math.exp(-0.5 * (sw - MORLET_W0) ** 2) : 0),
+        fourierFactor: 4 * Math.PI / (MORLET_W0 + Math.sqrt(2 + MORLET_W0 * MORLET_W0))
+    },
+    mexhat: {
+        // Derivative-of-Gaussian, m = 2; 1.329340388 is Gamma(2.5)
+        transform: (sw) => sw * sw * Math.exp(-0.5 * sw * sw) / Math.sqrt(1.329340388),
+        fourierFactor: 2 * Math.PI / Math.sqrt(2.5)
+    }
+};
+
+// `count` frequencies spaced evenly on a log axis, ascending
+function logFrequencies(minFreq, maxFreq, count) {
+    if (count === 1) return Float64Array.of(minFreq);
+    const ratio = Math.log(maxFreq / minFreq) / (count - 1);
+    return Float64Array.from({ length: count }, (_, i) => minFreq * Math.exp(i * ratio));
+}
+
+// Wavelet power |W|² at each requested frequency, computed by FFT convolution.
+// Returns one Float64Array (length of the signal) per frequency.
+function cwt(signal, samplingRate, frequencies, wavelet = 'morlet') {
+    const definition = CWT_DEFINITIONS[wavelet];
+    if (!definition) throw new Error(`Unknown wavelet: ${wavelet}`);
+
+    const n = signal.length;
+    const dt = 1 / samplingRate;
+    const m = nextPowerOfTwo(2 * n);
+    const mean = signal.reduce((sum, v) => sum + v, 0) / (n || 1);
+    const padded = new Float64Array(m);
+    for (let i = 0; i < n; i++) padded[i] = signal[i] - mean;
+    const spectrum = fft(padded);
+
+    const omega = Float64Array.from({ length: m }, (_, k) =>
+        2 * Math.PI * (k <= m / 2 ? k : k - m) / (m * dt));
+
+    return Array.from(frequencies, frequency => {
+        const scale = 1 / (frequency * definition.fourierFactor);
+        const norm = Math.sqrt(2 * Math.PI * scale / dt);
+        const re = new Float64Array(m);
+        const im = new Float64Array(m);
+        for (let k = 0; k < m; k++) {
+            const psi = norm * definition.transform(scale * omega[k]);
+            re[k] = spectrum.re[k] * psi;
+            im[k] = spectrum.im[k] * psi;
+        }
+        const w = ifft(re, im);
+        const power = new Float64Array(n);
+        for (let i = 0; i < n; i++) power[i] = w.re[i] * w.re[i] + w.im[i] * w.im[i];
+        return power;
+    });
+}
+
+// ---- Orthogonal filters ----
+
+function cmul(a, b) {
+    return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+}
+
+function csqrt(a) {
+    const r = Math.hypot(a.re, a.im);
+    const re = Math.sqrt((r + a.re) / 2);
+    const im = Math.sqrt(Math.max(0, (r - a.re) / 2));
+    return { re, im: a.im < 0 ? -im : im };
+}
+
+// Roots of the real polynomial sum(c[k] * x^k) by Durand-Kerner iteration
+function polyRoots(c) {
+    const degree = c.length - 1;
+    const lead = c[degree];
+    let roots = Array.from({ length: degree }, (_, k) => {
+        const angle = 2 * Math.PI * k / degree + 0.4;
+        return { re: 0.9 * Math.cos(angle), im: 0.9 * Math.sin(angle) };
+    });
+    for (let iter = 0; iter < 500; iter++) {
+        let change = 0;
+        roots = roots.map((root, i) => {
+            let value = { re: c[degree] / lead, im: 0 };
+            for (let k = degree - 1; k >= 0; k--) {
+                value = cmul(value, root);
+                value.re += c[k] / lead;
+            }
+            let denominator = { re: 1, im: 0 };
+            roots.forEach((other, j) => {
+                if (j !== i) denominator = cmul(denominator, { re: root.re - other.re, im: root.im - other.im });
+            });
+            const scale = denominator.re * denominator.re + denominator.im * denominator.im;
+            const step = {
+                re: (value.re * denominator.re + value.im * denominator.im) / scale,
+                im: (value.im * denominator.re - value.re * denominator.im) / scale
+            };
+            change = Math.max(change, Math.hypot(step.re, step.im));
+            return { re: root.re - step.re, im: root.im - step.im };
+        });
+        if (change < 1e-15) break;
+    }
+    return roots;
+}
+
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+    return result;
+}
+
+// Spread of the phase of H(e^{iw}) around its best linear fit over the passband
+function phaseNonlinearity(h) {
+    const points = 64;
+    const phases = [];
+    let previous = 0;
+    for (let p = 0; p < points; p++) {
+        const w = Math.PI * (p + 0.5) / points * 0.9;
+        let re = 0;
+        let im = 0;
+        h.forEach((v, n) => {
+            re += v * Math.cos(w * n);
+            im -= v * Math.sin(w * n);
+        });
+        let phase = Math.atan2(im, re);
+        while (phase - previous > Math.PI) phase -= 2 * Math.PI;
+        while (phase - previous < -Math.PI) phase += 2 * Math.PI;
+        phases.push(phase);
+        previous = phase;
+    }
+    const ws = phases.map((_, p) => Math.PI * (p + 0.5) / points * 0.9);
+    const meanW = ws.reduce((s, v) => s + v, 0) / points;
+    const meanP = phases.reduce((s, v) => s + v, 0) / points;
+    let sxy = 0;
+    let sxx = 0;
+    ws.forEach((w, p) => {
+        sxy += (w - meanW) * (phases[p] - meanP);
+        sxx += (w - meanW) ** 2;
+    });
+    const slope = sxy / sxx;
+    return phases.reduce((s, phase, p) => s + (phase - meanP - slope * (ws[p] - meanW)) ** 2, 0);
+}
+
+// Lowpass reconstruction filter from a choice of zeros: (z + 1)^order times the chosen roots
+function filterFromZeros(order, zeros) {
+    let poly = [{ re: 1, im: 0 }];
+    const multiply = (root) => {
+        const next = Array.from({ length: poly.length + 1 }, () => ({ re: 0, im: 0 }));
+        poly.forEach((coefficient, k) => {
+            next[k].re += coefficient.re;
+            next[k].im += coefficient.im;
+            const product = cmul(coefficient, root);
+            next[k + 1].re -= product.re;
+            next[k + 1].im -= product.im;
+        });
+        poly = next;
+    };
+    for (let k = 0; k < order; k++) multiply({ re: -1, im: 0 });
+    zeros.forEach(multiply);
+    const h = Float64Array.from(poly, coefficient => coefficient.re);
+    const sum = h.reduce((s, v) => s + v, 0);
+    return h.map(v => v * Math.SQRT2 / sum);
+}
+
+// Daubechies spectral factorisation: the roots of P(y) = sum C(N-1+k, k) y^k,
+// mapped through y = -(z - 1)^2 / 4z, give reciprocal pairs of zeros. Daubechies
+// filters keep the zeros inside the unit circle (minimum phase); Symlets keep the
+// combination whose phase is closest to linear.
+function orthogonalFilter(family, order) {
+    if (order < 1 || order > 20) throw new Error('Wavelet order must be between 1 and 20');
+    if (order === 1) return Float64Array.of(Math.SQRT1_2, Math.SQRT1_2);
+
+    const p = Array.from({ length: order }, (_, k) => binomial(order - 1 + k, k));
+    const groups = [];
+    polyRoots(p).forEach(y => {
+        if (y.im < -1e-9) return;
+        // z^2 - 2(1 - 2y) z + 1 = 0
+        const b = { re: 1 - 2 * y.re, im: -2 * y.im };
+        const root = csqrt({ re: b.re * b.re - b.im * b.im - 1, im: 2 * b.re * b.im });
+        let inside = { re: b.re + root.re, im: b.im + root.im };
+        if (Math.hypot(inside.re, inside.im) > 1) inside = { re: b.re - root.re, im: b.im - root.im };
+        const r2 = inside.re * inside.re + inside.im * inside.im;
+        const outside = { re: inside.re / r2, im: -inside.im / r2 };
+        groups.push(Math.abs(y.im) <= 1e-9
+            ? { inside: [{ re: inside.re, im: 0 }], outside: [{ re: outside.re, im: 0 }] }
+            : { inside: [inside, { re: inside.re, im: -inside.im }], outside: [outside, { re: outside.re, im: -outside.im }] });
+    });
+
+    const fromMask = mask => filterFromZeros(order, groups.flatMap((g, i) => (mask & (1 << i) ? g.outside : g.inside)));
+    if (family === 'db') return fromMask(0);
+    if (family !== 'sym') throw new Error(`Unknown wavelet family: ${family}`);
+
+    // A choice and its complement give time-reversed filters; keep the first found
+    let best = null;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < (1 << groups.length); mask++) {
+        const h = fromMask(mask);
+        const score = phaseNonlinearity(h);
+        if (score < bestScore - 1e-9) {
+            best = h;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+const filterCache = {};
+
+function waveletFilter(family, order) {
+    const key = `${family}${order}`;
+    if (!filterCache[key]) filterCache[key] = orthogonalFilter(family, order);
+    return filterCache[key];
+}
+
+// ---- Discrete transform (periodised) ----
+
+function highpassFrom(h) {
+    const length = h.length;
+    return h.map((_, n) => (n % 2 ? -1 : 1) * h[length - 1 - n]);
+}
+
+// One analysis level; odd lengths repeat the last sample, as pywt's periodization mode does
+function dwtLevel(x, h) {
+    const even = x.length % 2 ? Float64Array.from([...x, x[x.length - 1]]) : x;
+    const n = even.length;
+    const g = highpassFrom(h);
+    const half = n / 2;
+    const approximation = new Float64Array(half);
+    const detail = new Float64Array(half);
+    for (let k = 0; k < half; k++) {
+        let a = 0;
+        let d = 0;
+        for (let j = 0; j < h.length; j++) {
+            const v = even[(2 * k + j) % n];
+            a += h[j] * v;
+            d += g[j] * v;
+        }
+        approximation[k] = a;
+        detail[k] = d;
+    }
+    return { approximation, detail };
+}
+
+// Transpose of dwtLevel (the periodised transform is orthogonal), trimmed to `length`
+function idwtLevel(approximation, detail, h, length) {
+    const n = 2 * approximation.length;
+    const g = highpassFrom(h);
+    const x = new Float64Array(n);
+    for (let k = 0; k < approximation.length; k++) {
+        for (let j = 0; j < h.length; j++) {
+            x[(2 * k + j) % n] += h[j] * approximation[k] + g[j] * detail[k];
+        }
+    }
+    return x.subarray(0, length);
+}
+
+// Deepest level at which the filter still fits the coarsest approximation (pywt.dwt_max_level)
+function maxLevel(length, filterLength) {
+    if (filterLength <= 1 || length < filterLength - 1) return 0;
+    return Math.floor(Math.log2(length / (filterLength - 1)));
+}
+
+// Coefficients ordered as pywt.wavedec: [cA_level, cD_level, ..., cD1]
+function wavedec(signal, h, level) {
+    const details = [];
+    const lengths = [];
+    let approximation = Float64Array.from(signal);
+    for (let l = 0; l < level; l++) {
+        lengths.push(approximation.length);
+        const next = dwtLevel(approximation, h);
+        details.push(next.detail);
+        approximation = next.approximation;
+    }
+    return { coeffs: [approximation, ...details.reverse()], lengths };
+}
+
+function waverec({ coeffs, lengths }, h) {
+    let approximation = coeffs[0];
+    for (let l = 1; l < coeffs.length; l++) {
+        approximation = idwtLevel(approximation, coeffs[l], h, lengths[lengths.length - l]);
+    }
+    return Float64Array.from(approximation);
+}
+
+function median(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// SureShrink threshold for coefficients already divided by the noise level,
+// capped at the universal threshold
+function sureThreshold(x) {
+    const n = x.length;
+    const squares = Float64Array.from(x, v => v * v).sort();
+    let best = 0;
+    let bestRisk = Infinity;
+    let cumulative = 0;
+    for (let k = 0; k < n; k++) {
+        cumulative += squares[k];
+        const risk = (n - 2 * (k + 1) + cumulative + (n - k - 1) * squares[k]) / n;
+        if (risk < bestRisk) {
+            bestRisk = risk;
+            best = Math.sqrt(squares[k]);
+        }
+    }
+    return Math.min(best, Math.sqrt(2 * Math.log(n)));
+}
+
+function shrink(value, threshold, mode) {
+    if (Math.abs(value) <= threshold) return 0;
+    return mode === 'hard' ? value : Math.sign(value) * (Math.abs(value) - threshold);
+}
+
+// Threshold the detail coefficients and reconstruct. The noise level is estimated
+// from the finest details (median absolute value / 0.6745). Returns the denoised
+// signal with the coefficients before thresholding and the threshold used per level.
+function waveletDenoise(signal, { family = 'db', order = 4, level = 4, threshold = 'soft', rule = 'universal' } = {}) {
+    const h = waveletFilter(family, Math.round(order));
+    const levels = Math.min(Math.max(1, Math.round(level)), maxLevel(signal.length, h.length));
+    if (levels < 1) throw new Error('Signal is too short for this wavelet');
+
+    const decomposition = wavedec(signal, h, levels);
+    const finest = decomposition.coeffs[levels];
+    const sigma = median(finest.map(Math.abs)) / 0.6745;
+
+    const thresholds = [];
+    const coeffs = decomposition.coeffs.map((c, i) => {
+        if (i === 0) return c;
+        const t = rule === 'sure' && sigma > 0
+            ? sigma * sureThreshold(c.map(v => v / sigma))
+            : sigma * Math.sqrt(2 * Math.log(signal.length));
+        thresholds.push(t);
+        return c.map(v => shrink(v, t, threshold));
+    });
+
+    return {
+        output: waverec({ coeffs, lengths: decomposition.lengths }, h),
+        coeffs: decomposition.coeffs,
+        thresholds,
+        levels
+    };
+}
+
+export {
+    CWT_WAVELETS, WAVELET_FAMILIES, THRESHOLD_MODES, THRESHOLD_RULES,
+    logFrequencies, cwt, waveletFilter, maxLevel, wavedec, waverec, waveletDenoise
+};
@@ -0,0 +1,102 @@
+// windows.js - Window functions: symmetric for FIR design (scipy.signal.get_window(..., fftbins=False)),
+// periodic for spectral analysis (fftbins=True)
+
+const WINDOWS = {
+    hamming: 'Hamming',
+    hann: 'Hann',
+    blackman: 'Blackman',
+    kaiser: 'Kaiser'
+};
+
+// Windows offered by the spectral views
+const SPECTRAL_WINDOWS = {
+    boxcar: 'Rectangular (none)',
+    hann: 'Hann',
+    hamming: 'Hamming',
+    blackman: 'Blackman',
+    flattop: 'Flat-top'
+};
+
+// Periodic windows are the first `length` points of a symmetric window one sample longer
+function generalCosine(length, coefficients, periodic = false) {
+    const w = new Float64Array(length);
+    if (length === 1) {
+        w[0] = 1;
+        return w;
+    }
+    const span = periodic ? length : length - 1;
+    for (let n = 0; n < length; n++) {
+        const phase = 2 * Math.PI * n / span;
+        w[n] = coefficients.reduce((sum, c, k) => sum + (k % 2 ? -c : c) * Math.cos(k * phase), 0);
+    }
+    return w;
+}
+
+function hamming(length, periodic = false) {
+    return generalCosine(length, [0.54, 0.46], periodic);
+}
+
+function hann(length, periodic = false) {
+    return generalCosine(length, [0.5, 0.5], periodic);
+}
+
+function blackman(length, periodic = false) {
+    return generalCosine(length, [0.42, 0.5, 0.08], periodic);
+}
+
+function flattop(length, periodic = false) {
+    return generalCosine(length, [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368], periodic);
+}
+
+function boxcar(length) {
+    return new Float64Array(length).fill(1);
+}
+
+// Modified Bessel function of the first kind, order 0 (power series)
+function besselI0(x) {
+    const quarter = x * x / 4;
+    let term = 1;
+    let sum = 1;
+    for (let k = 1; term > sum * 1e-17; k++) {
+        term *= quarter / (k * k);
+        sum += term;
+    }
+    return sum;
+}
+
+function kaiser(length, beta) {
+    const w = new Float64Array(length);
+    if (length === 1) {
+        w[0] = 1;
+        return w;
+    }
+    const alpha = (length - 1) / 2;
+    const denominator = besselI0(beta);
+    for (let n = 0; n < length; n++) {
+        const r = (n - alpha) / alpha;
+        w[n] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denominator;
+    }
+    return w;
+}
+
+function getWindow(name, length, beta = 0, periodic = false) {
+    switch (name) {
+        case 'boxcar':
+            return boxcar(length);
+        case 'hamming':
+            return hamming(length, periodic);
+        case 'hann':
+            return hann(length, periodic);
+        case 'blackman':
+            return blackman(length, periodic);
+        case 'flattop':
+            return flattop(length, periodic);
+        case 'kaiser':
+            if (periodic) return kaiser(length + 1, beta).subarray(0, length);
+            return kaiser(length, beta);
+        default:
+            throw new Error(`Unknown window: ${name}`);
+    }
+}
+
+export { WINDOWS, SPECTRAL_WINDOWS, getWindow, hamming, hann, blackman, flattop, boxcar, kaiser };
@@ -0,0 +1,158 @@
+// workspace.js - Persistent IndexedDB workspace shared between pages
+//
+// recordings:     metadata for each imported file (small, listed on the home page)
+// recordingData:  the typed column arrays, keyed by recording id
+// sessions:       channel selection, sampling rate and pipeline per recording
+// meta:           which recording the pages should open
+
+import { addDerivedChannels } from './expressions.js';
+
+const DB_NAME = 'spectracular';
+const DB_VERSION = 2;
+const MAX_RECORDINGS = 10;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                // Upgrading from version 1 drops its recordings store before the stores are created
+                if (e.oldVersion < 2 && db.objectStoreNames.contains('recordings')) {
+                    db.deleteObjectStore('recordings');
+                }
+                db.createObjectStore('recordings', { keyPath: 'id' });
+                db.createObjectStore('recordingData');
+                db.createObjectStore('sessions', { keyPath: 'recordingId' });
+                db.createObjectStore('meta');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run `action` inside a transaction and resolve with its last request's result
+function transaction(storeNames, mode, action) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries([].concat(storeNames).map(name => [name, tx.objectStore(name)]));
+        let request = null;
+        const track = (r) => (request = r);
+        action(stores, track);
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+async function createRecording({ data, ...metadata }) {
+    const now = Date.now();
+    const recording = {
+        ...metadata,
+        id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: now,
+        openedAt: now
+    };
+
+    // Ask the browser not to evict the workspace under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+
+    await transaction(['recordings', 'recordingData'], 'readwrite', (stores) => {
+        stores.recordings.put(recording);
+        stores.recordingData.put(data, recording.id);
+    });
+    await pruneRecordings();
+    return recording.id;
+}
+
+async function listRecordings() {
+    const recordings = await transaction('recordings', 'readonly', (stores, track) => {
+        track(stores.recordings.getAll());
+    });
+    return recordings.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+function deleteRecording(id) {
+    return transaction(['recordings', 'recordingData', 'sessions'], 'readwrite', (stores) => {
+        stores.recordings.delete(id);
+        stores.recordingData.delete(id);
+        stores.sessions.delete(id);
+    });
+}
+
+async function pruneRecordings() {
+    const recordings = await listRecordings();
+    for (const recording of recordings.slice(MAX_RECORDINGS)) {
+        await deleteRecording(recording.id);
+    }
+}
+
+function loadSession(recordingId) {
+    return transaction('sessions', 'readonly', (stores, track) => {
+        track(stores.sessions.get(recordingId));
+    });
+}
+
+// Merge `changes` into the stored session for a recording
+async function saveSession(recordingId, changes) {
+    const session = await loadSession(recordingId) || { recordingId };
+    const updated = { ...session, ...changes, recordingId, updatedAt: Date.now() };
+    await transaction('sessions', 'readwrite', (stores) => {
+        stores.sessions.put(updated);
+    });
+    return updated;
+}
+
+async function openRecording(id) {
+    await transaction(['recordings', 'meta'], 'readwrite', (stores) => {
+        const request = stores.recordings.get(id);
+        request.onsuccess = () => {
+            if (request.result) {
+                stores.recordings.put({ ...request.result, openedAt: Date.now() });
+            }
+        };
+        stores.meta.put(id, 'currentRecordingId');
+    });
+}
+
+// Everything a page needs to show the current recording:
+// appState (recording metadata merged with its session) and the column data
+async function loadCurrentWorkspace() {
+    const id = await transaction('meta', 'readonly', (stores, track) => {
+        track(stores.meta.get('currentRecordingId'));
+    });
+    if (!id) return null;
+
+    const [recording, data, session] = await Promise.all([
+        transaction('recordings', 'readonly', (stores, track) => track(stores.recordings.get(id))),
+        transaction('recordingData', 'readonly', (stores, track) => track(stores.recordingData.get(id))),
+        loadSession(id)
+    ]);
+    if (!recording || !data) return null;
+
+    // Derived channels are recomputed from their expressions rather than stored
+    const appState = { ...recording, ...(session || {}), recordingId: id };
+    const errors = addDerivedChannels(data, appState.derivedChannels);
+    Object.entries(errors).forEach(([name, message]) => console.error(`Derived channel ${name}:`, message));
+
+    return {
+        appState,
+        data: data
+    };
+}
+
+export {
+    createRecording,
+    listRecordings,
+    deleteRecording,
+    loadSession,
+    saveSession,
+    openRecording,
+    loadCurrentWorkspace
+};
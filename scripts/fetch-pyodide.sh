@@ -0,0 +1,37 @@
+#!/bin/sh
+# fetch-pyodide.sh - Downloads the Pyodide runtime, numpy and scipy into public/vendor/pyodide
+# so the Python pipeline step is served from the app's own files
+set -eu
+
+PYODIDE_VERSION="${PYODIDE_VERSION:-0.26.4}"
+DEST="$(cd "$(dirname "$0")/.." && pwd)/public/vendor/pyodide"
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+echo "Downloading Pyodide $PYODIDE_VERSION..."
+curl -fsSL "https://github.com/pyodide/pyodide/releases/download/$PYODIDE_VERSION/pyodide-$PYODIDE_VERSION.tar.bz2" \
+    | tar -xj -C "$TMP"
+SRC="$TMP/pyodide"
+
+rm -rf "$DEST"
+mkdir -p "$DEST"
+for file in pyodide.js pyodide.mjs pyodide.asm.js pyodide.asm.wasm python_stdlib.zip pyodide-lock.json; do
+    if [ -f "$SRC/$file" ]; then cp "$SRC/$file" "$DEST/"; fi
+done
+
+# numpy, scipy and everything they depend on, from the release's lock file
+python3 - "$SRC/pyodide-lock.json" numpy scipy <<'EOF' | while read -r file; do cp "$SRC/$file" "$DEST/"; done
+import json, sys
+packages = json.load(open(sys.argv[1]))['packages']
+needed, queue = set(), list(sys.argv[2:])
+while queue:
+    name = queue.pop()
+    if name in needed:
+        continue
+    needed.add(name)
+    queue.extend(packages[name]['depends'])
+for name in sorted(needed):
+    print(packages[name]['file_name'])
+EOF
+
+echo "Pyodide installed in $DEST"
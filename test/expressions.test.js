@@ -0,0 +1,21 @@
+// expressions.test.js - Names that only exist on Object.prototype are not functions or constants
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression } from '../public/js/expressions.js';
+
+test('inherited names are unknown functions', () => {
+    assert.throws(() => parseExpression('toString(ch1)', ['ch1']), /Unknown function "toString"/);
+    assert.throws(() => parseExpression('__proto__(ch1)', ['ch1']), /Unknown function "__proto__"/);
+});
+
+test('inherited names are unknown identifiers', () => {
+    assert.throws(() => parseExpression('ch1 * constructor', ['ch1']), /Unknown channel "constructor"/);
+});
+
+test('channels may use inherited names', () => {
+    const { tree } = parseExpression('constructor * pi', ['constructor']);
+    assert.equal(tree.left.type, 'channel');
+    assert.equal(tree.right.type, 'constant');
+});
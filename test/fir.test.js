@@ -0,0 +1,80 @@
+// fir.test.js - Window-method FIR designs against stored scipy.signal outputs (scipy 1.17)
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, testSignal } from './helpers.js';
+import { kaiserord, firwin, firFilter } from '../public/js/fir.js';
+
+// [design, call, scipy taps]
+const DESIGNS = [
+    // firwin(21, 30, fs=250)
+    ["firwin(21, 30, 'lowpass', 250, 'hamming')", () => firwin(21, 30, 'lowpass', 250, 'hamming'), [
+        0.002411473182158887, 0.001739209264873071, -0.0016537934024511752, -0.010307406003409379,
+        -0.020644060626526108, -0.02012002725869627, 0.006774400541665245, 0.06596815569764568,
+        0.14426584505148224, 0.21208014299434938, 0.23897212111781704, 0.21208014299434938, 0.14426584505148224,
+        0.06596815569764568, 0.006774400541665245, -0.02012002725869627, -0.020644060626526108,
+        -0.010307406003409379, -0.0016537934024511752, 0.001739209264873071, 0.002411473182158887
+    ]],
+    // firwin(21, 30, window='hann', pass_zero=False, fs=250)
+    ["firwin(21, 30, 'highpass', 250, 'hann')", () => firwin(21, 30, 'highpass', 250, 'hann'), [
+        0, -0.00041695311095507316, 0.0009448713402851481, 0.007913096335107856, 0.01800381067264997,
+        0.018709341192095167, -0.006527717513631151, -0.0649023512508271, -0.1436695189417696,
+        -0.21256071517241493, 0.7599819448709433, -0.21256071517241493, -0.1436695189417696, -0.0649023512508271,
+        -0.006527717513631151, 0.018709341192095167, 0.01800381067264997, 0.007913096335107856,
+        0.0009448713402851481, -0.00041695311095507316, 0
+    ]],
+    // firwin(31, [8, 30], window='blackman', pass_zero=False, fs=250)
+    ["firwin(31, [8, 30], 'bandpass', 250, 'blackman')", () => firwin(31, [8, 30], 'bandpass', 250, 'blackman'), [
+        3.7323554150826093e-19, -0.00013158072644883382, -0.00042115975290327705, -0.00037412799511268077,
+        0.0002711584669173893, 0.00022524059427410768, -0.00409570872591825, -0.01692491034299931,
+        -0.03862673191956868, -0.061031948030686504, -0.06762890283686356, -0.0415987964436735,
+        0.021562882505558493, 0.10575949245889522, 0.17846844221032493, 0.20722731320369492, 0.17846844221032493,
+        0.10575949245889524, 0.021562882505558493, -0.041598796443673515, -0.06762890283686358,
+        -0.061031948030686504, -0.03862673191956872, -0.016924910342999325, -0.00409570872591825,
+        0.00022524059427410823, 0.00027115846691738965, -0.00037412799511268077, -0.00042115975290327705,
+        -0.00013158072644883428, 3.7323554150826093e-19
+    ]],
+    // firwin(31, [48, 52], window=('kaiser', 5), fs=250)
+    ["firwin(31, [48, 52], 'bandstop', 250, 'kaiser', 5)", () => firwin(31, [48, 52], 'bandstop', 250, 'kaiser', 5), [
+        -0.0010663450723189876, -0.0006617866220715343, 0.0028958853472700868, 0.004361555965783426,
+        -0.0023376514740897822, -0.010063683009477487, -0.003963458515174724, 0.012755461420465651,
+        0.015193813396517361, -0.0067207555670471455, -0.024544886785152067, -0.008356692432021246,
+        0.02356286737756133, 0.024829912103959184, -0.009784640547814161, 0.96780080882722,
+        -0.009784640547814161, 0.024829912103959184, 0.02356286737756133, -0.008356692432021246,
+        -0.024544886785152067, -0.0067207555670471455, 0.015193813396517361, 0.012755461420465651,
+        -0.003963458515174724, -0.010063683009477487, -0.0023376514740897822, 0.004361555965783426,
+        0.0028958853472700868, -0.0006617866220715343, -0.0010663450723189876
+    ]]
+];
+
+DESIGNS.forEach(([name, design, expected]) => {
+    test(`${name} matches scipy.signal.firwin`, () => {
+        assertClose(design(), expected, 1e-12, name);
+    });
+});
+
+// [ripple (dB), width (fraction of Nyquist), scipy.signal.kaiserord numtaps and beta]
+const KAISER = [
+    [60.0, 0.08, 92, 5.65326],
+    [30.0, 0.1, 32, 2.1166248611409806],
+    [15.0, 0.2, 6, 0]
+];
+
+test('kaiserord matches scipy.signal.kaiserord', () => {
+    KAISER.forEach(([ripple, width, numtaps, beta]) => {
+        const result = kaiserord(ripple, width);
+        assert.equal(result.numtaps, numtaps);
+        assertClose([result.beta], [beta], 1e-12, `kaiserord(${ripple}, ${width})`);
+    });
+});
+
+test('firFilter matches numpy.convolve(signal, taps, mode=\'same\')', () => {
+    const output = firFilter(firwin(21, 30, 'lowpass', 250, 'hamming'), testSignal());
+    assertClose(output, {
+        0: 0.29739855460995945, 1: 0.3826137946986306, 2: 0.44239765731007025, 3: 0.47878059379930993,
+        10: 0.7570497001670263, 50: 0.27435963451642675, 100: 0.2827145206901599, 150: 0.2689261598412632,
+        200: 0.2407097677696713, 250: 0.2075256337176799, 296: -0.3778207629547995, 297: -0.3119141770794829,
+        298: -0.24392385319143725, 299: -0.18021322976466816
+    }, 1e-12);
+});
@@ -0,0 +1,36 @@
+// gaps.test.js - Channel alignment after drop repairs
+// Run with: node --test --experimental-default-type=module test/
+// (Node 22.7+ detects the ES modules without the flag)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { alignChannels } from '../public/js/gaps.js';
+
+function channel(times) {
+    return { times: Float64Array.from(times), values: Float64Array.from(times, t => t * 10) };
+}
+
+test('channels with the same times need no index maps', () => {
+    const { times, indices } = alignChannels([channel([0, 1, 2, 3]), channel([0, 1, 2, 3])]);
+    assert.deepEqual(Array.from(times), [0, 1, 2, 3]);
+    assert.deepEqual(indices, [null, null]);
+});
+
+test('channels with different interior drops keep only the shared times', () => {
+    // Same length and same first and last times, but each lost a different sample
+    const a = channel([0, 1, 3, 4, 5]);
+    const b = channel([0, 1, 2, 4, 5]);
+    const { times, indices } = alignChannels([a, b]);
+    assert.deepEqual(Array.from(times), [0, 1, 4, 5]);
+    assert.deepEqual(indices, [[0, 1, 3, 4], [0, 1, 3, 4]]);
+    indices.forEach((index, s) => {
+        const signal = [a, b][s];
+        assert.deepEqual(index.map(i => signal.times[i]), Array.from(times));
+    });
+});
+
+test('channels with drops of different lengths are aligned', () => {
+    const { times, indices } = alignChannels([channel([0, 1, 2, 3, 4]), channel([0, 2, 4])]);
+    assert.deepEqual(Array.from(times), [0, 2, 4]);
+    assert.deepEqual(indices, [[0, 2, 4], [0, 1, 2]]);
+});
@@ -0,0 +1,34 @@
+// helpers.js - Shared input and comparison for the reference-value tests
+
+import assert from 'node:assert/strict';
+
+// The signal the stored scipy outputs were computed from: 5 Hz and 60 Hz tones,
+// a slow cosine and a linear trend, 300 samples at 250 Hz
+function testSignal(n = 300) {
+    return Float64Array.from({ length: n }, (_, i) =>
+        Math.sin(2 * Math.PI * 5 * i / 250) + 0.5 * Math.sin(2 * Math.PI * 60 * i / 250 + 0.3) +
+        0.25 * Math.cos(0.37 * i) + 0.001 * i);
+}
+
+// Compare arrays, nested arrays or { index: value } samples of an array. The
+// allowed error is `tolerance` times the largest expected magnitude: values far
+// below it (e.g. PSD bins away from a peak) carry that value's rounding error
+function assertClose(actual, expected, tolerance, label = '') {
+    const pairs = [];
+    const collect = (a, e, path) => {
+        if (typeof e === 'number') {
+            pairs.push([a, e, path]);
+            return;
+        }
+        if (Array.isArray(e)) assert.equal(a.length, e.length, `${label} ${path} length`);
+        Object.entries(e).forEach(([i, value]) => collect(a[i], value, `${path}[${i}]`));
+    };
+    collect(actual, expected, '');
+
+    const scale = Math.max(...pairs.map(([, e]) => Math.abs(e))) || 1;
+    pairs.forEach(([a, e, path]) => {
+        assert.ok(Math.abs(a - e) <= tolerance * scale, `${label}${path}: expected ${e}, got ${a}`);
+    });
+}
+
+export { testSignal, assertClose };
@@ -0,0 +1,135 @@
+// iir.test.js - IIR designs and filtering against stored scipy.signal outputs (scipy 1.17)
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import { assertClose, testSignal } from './helpers.js';
+import { butter, cheby1, cheby2, ellip, iirnotch, sosfilt, sosfiltfilt } from '../public/js/iir.js';
+
+// [design, call, scipy second-order sections]
+const DESIGNS = [
+    // butter(4, 30, 'lowpass', fs=250, output='sos')
+    ["butter(4, 30, 'lowpass', 250)", () => butter(4, 30, 'lowpass', 250), [
+        [
+            0.00891445723946302, 0.01782891447892604, 0.00891445723946302, 1.0, -0.8931036327062872,
+            0.22516058868743402
+        ],
+        [1.0, 2.0, 1.0, 1.0, -1.1552915050582222, 0.5848302129885163]
+    ]],
+    // butter(3, 10, 'highpass', fs=250, output='sos')
+    ["butter(3, 10, 'highpass', 250)", () => butter(3, 10, 'highpass', 250), [
+        [0.7772465214002013, -0.7772465214002013, 0, 1.0, -0.7756795110496131, 0],
+        [1.0, -2.0, 1.0, 1.0, -1.7229288336415642, 0.7788135317507895]
+    ]],
+    // butter(2, [8, 12], 'bandpass', fs=250, output='sos')
+    ["butter(2, [8, 12], 'bandpass', 250)", () => butter(2, [8, 12], 'bandpass', 250), [
+        [
+            0.002357208772852324, 0.004714417545704648, 0.002357208772852324, 1.0, -1.8446099162440224,
+            0.9220570795292771
+        ],
+        [1.0, -2.0, 1.0, 1.0, -1.8969516123540815, 0.940800903816633]
+    ]],
+    // butter(2, [48, 52], 'bandstop', fs=250, output='sos')
+    ["butter(2, [48, 52], 'bandstop', 250)", () => butter(2, [48, 52], 'bandstop', 250), [
+        [
+            0.9313788581229818, -0.5763517479909793, 0.931378858122982, 1.0, -0.5312749131399037,
+            0.9306151829469846
+        ],
+        [1.0, -0.6188155796799032, 1.0000000000000002, 1.0, -0.66243373701778, 0.9321491306907755]
+    ]],
+    // cheby1(4, 1, 30, 'lowpass', fs=250, output='sos')
+    ["cheby1(4, 1, 30, 'lowpass', 250)", () => cheby1(4, 1, 30, 'lowpass', 250), [
+        [
+            0.0036407985057754994, 0.007281597011550999, 0.0036407985057754994, 1.0, -1.4592369681077884,
+            0.5929156442825058
+        ],
+        [1.0, 2.0, 1.0, 1.0, -1.3363884114641287, 0.8253271985641437]
+    ]],
+    // cheby1(3, 0.5, [8, 30], 'bandpass', fs=250, output='sos')
+    ["cheby1(3, 0.5, [8, 30], 'bandpass', 250)", () => cheby1(3, 0.5, [8, 30], 'bandpass', 250), [
+        [
+            0.010931223524534175, 0.02186244704906835, 0.010931223524534175, 1.0, -1.5677327957328737,
+            0.69816511096109
+        ],
+        [1.0, 0, -1.0, 1.0, -1.273103495924013, 0.7735049618871614],
+        [1.0, -2.0, 1.0, 1.0, -1.8937230269919523, 0.9308635283391962]
+    ]],
+    // cheby2(4, 40, 30, 'lowpass', fs=250, output='sos')
+    ["cheby2(4, 40, 30, 'lowpass', 250)", () => cheby2(4, 40, 30, 'lowpass', 250), [
+        [
+            0.014390591248522232, 0.0009788818445146525, 0.014390591248522235, 1.0, -1.3130795492176115,
+            0.4483715736284608
+        ],
+        [1.0, -1.3793642780248272, 0.9999999999999997, 1.0, -1.6329122957546058, 0.7694329746274544]
+    ]],
+    // cheby2(3, 30, 20, 'highpass', fs=250, output='sos')
+    ["cheby2(3, 30, 20, 'highpass', 250)", () => cheby2(3, 30, 20, 'highpass', 250), [
+        [0.403486923826317, -0.403486923826317, 0, 1.0, -0.35206396666232237, 0],
+        [1.0, -1.811546210708828, 1.0, 1.0, -0.819995883087125, 0.4549098809903118]
+    ]],
+    // ellip(4, 1, 40, 30, 'lowpass', fs=250, output='sos')
+    ["ellip(4, 1, 40, 30, 'lowpass', 250)", () => ellip(4, 1, 40, 30, 'lowpass', 250), [
+        [
+            0.024854348945679713, 0.01598669316104778, 0.024854348945679713, 1.0, -1.4024774274834768,
+            0.5711108825762516
+        ],
+        [1.0, -0.8447315704140443, 1.0, 1.0, -1.3605452495253527, 0.8655251230758367]
+    ]],
+    // ellip(5, 0.5, 60, 20, 'highpass', fs=250, output='sos')
+    ["ellip(5, 0.5, 60, 20, 'highpass', 250)", () => ellip(5, 0.5, 60, 20, 'highpass', 250), [
+        [0.40515184062181814, -0.40515184062181814, 0, 1.0, -0.2214145455624721, 0],
+        [1.0, -1.9677309681354171, 1.0, 1.0, -1.257832142573693, 0.6070518879416118],
+        [1.0, -1.924589354306018, 1.0000000000000002, 1.0, -1.6879341639399343, 0.917969471182177]
+    ]],
+    // ellip(3, 0.5, 50, [8, 30], 'bandstop', fs=250, output='sos')
+    ["ellip(3, 0.5, 50, [8, 30], 'bandstop', 250)", () => ellip(3, 0.5, 50, [8, 30], 'bandstop', 250), [
+        [
+            0.5704021795156415, -1.0531816933608769, 0.5704021795156414, 1.0, -1.2801284260360248,
+            0.38663261785480807
+        ],
+        [1.0, -1.7900029894957317, 1.0000000000000002, 1.0, -1.362468308441899, 0.8075160901560086],
+        [1.0, -1.8880752082269603, 0.9999999999999997, 1.0, -1.890490928764803, 0.9339402030128869]
+    ]]
+];
+
+DESIGNS.forEach(([name, design, expected]) => {
+    test(`${name} matches scipy's second-order sections`, () => {
+        assertClose(design(), expected, 1e-9, name);
+    });
+});
+
+test('iirnotch(50, 30, 250) matches scipy.signal.iirnotch as one second-order section', () => {
+    assertClose(iirnotch(50, 30, 250), [[
+        0.9794827609814495, -0.6053536376811252, 0.9794827609814495, 1.0, -0.6053536376811252, 0.958965521962899
+    ]], 1e-12);
+});
+
+// Selected output samples: the edges carry the initial conditions and padding
+test('sosfilt matches scipy.signal.sosfilt', () => {
+    const output = sosfilt(butter(4, 30, 'lowpass', 250), testSignal());
+    assertClose(output, {
+        0: 0.003545815432705648, 1: 0.028982941486107416, 2: 0.10736597038786852, 3: 0.24102330440601924,
+        10: 0.5474936893604092, 50: -0.357054440538609, 100: -0.39153546046764975, 150: -0.4140272180515271,
+        200: -0.4157619171086818, 250: -0.3904822347943353, 296: -0.4507776826094603,
+        297: -0.4757819063214466, 298: -0.4805152895637547, 299: -0.42693537879155985
+    }, 1e-9);
+});
+
+test('sosfiltfilt matches scipy.signal.sosfiltfilt', () => {
+    const output = sosfiltfilt(butter(4, 30, 'lowpass', 250), testSignal());
+    assertClose(output, {
+        0: 0.39790965436005393, 1: 0.4121840233024505, 2: 0.4303084764318791, 3: 0.45466933518818425,
+        10: 0.7506412486128832, 50: 0.28444496582670403, 100: 0.29102540686015876, 150: 0.27451912561127606,
+        200: 0.2429700577224312, 250: 0.20624195924209882, 296: -0.3386278576865176, 297: -0.338635279067079,
+        298: -0.3935765029022945, 299: -0.4876389462435311
+    }, 1e-9);
+});
+
+test('sosfiltfilt with an elliptic bandpass matches scipy.signal.sosfiltfilt', () => {
+    const output = sosfiltfilt(ellip(3, 0.5, 50, [8, 30], 'bandpass', 250), testSignal());
+    assertClose(output, {
+        0: -0.013252249181062936, 1: -0.06511893106674566, 2: -0.10708417415169674, 3: -0.13693439648865108,
+        10: -0.1548790767674305, 50: 0.25620866545592397, 100: 0.18608094585978088, 150: 0.12327291967519255,
+        200: 0.048807917778247986, 250: -0.07985537021819085, 296: 0.2400272187935533,
+        297: 0.22753074902496975, 298: 0.14715650270957975, 299: 0.02144918463917528
+    }, 1e-9);
+});
@@ -0,0 +1,47 @@
+// resample.test.js - Polyphase resampling and decimation against stored scipy.signal outputs (scipy 1.17)
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, testSignal } from './helpers.js';
+import { resamplePoly, decimate } from '../public/js/resample.js';
+
+// [call, call, output length, selected output samples]
+const CASES = [
+    // resample_poly(x, 3, 2)
+    ["resamplePoly(testSignal(), 3, 2)", () => resamplePoly(testSignal(), 3, 2), 450,
+        {
+            0: 0.3980012149860566, 1: 0.782784240832227, 2: 0.7741026593945838, 112: -0.18392132472644115,
+            225: 0.42269773076825484, 337: 0.19700615184886694, 447: -0.3959098507616219,
+            448: -0.5738418805879678, 449: -0.32055010586581084
+        }],
+    // resample_poly(x, 2, 5)
+    ["resamplePoly(testSignal(), 2, 5)", () => resamplePoly(testSignal(), 2, 5), 120,
+        {
+            0: 0.39415883962670856, 1: 0.4176797736095935, 2: 0.5495204429126702, 30: -0.1419252638082101,
+            60: 0.27461229039350804, 90: 0.22532905520386917, 117: -0.4641038579241042,
+            118: -0.48839740452765873, 119: -0.21340556615467532
+        }],
+    // resample_poly(x, 4, 1)
+    ["resamplePoly(testSignal(), 4, 1)", () => resamplePoly(testSignal(), 4, 1), 1200,
+        {
+            0: 0.3980133035262918, 1: 0.5609710393518827, 2: 0.7079706357272258, 300: 0.006349738663640773,
+            600: 0.422710569418825, 900: 0.3735490699417112, 1197: -0.36721592103826983,
+            1198: -0.2253830211655648, 1199: -0.09481780572984971
+        }],
+    // decimate(x, 4, ftype='fir')
+    ["decimate(testSignal(), 4)", () => decimate(testSignal(), 4), 75,
+        {
+            0: 0.29737297461166196, 1: 0.5164955284171606, 2: 0.6015216348979622, 18: 0.4561641166385304,
+            37: -0.1549961097365031, 56: 0.44084689322197196, 72: -0.4632495854772525,
+            73: -0.4787671817753171, 74: -0.3892852349845851
+        }]
+];
+
+CASES.forEach(([name, resample, length, expected]) => {
+    test(`${name} matches scipy.signal`, () => {
+        const output = resample();
+        assert.equal(output.length, length);
+        assertClose(output, expected, 1e-9, name);
+    });
+});
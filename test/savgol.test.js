@@ -0,0 +1,119 @@
+// savgol.test.js - Savitzky-Golay coefficients and filtering against stored scipy.signal outputs (scipy 1.17)
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import { assertClose, testSignal } from './helpers.js';
+import { savgolCoeffs, savgolFilter } from '../public/js/savgol.js';
+
+// [call, call, scipy coefficients]; use='dot' is the order savgolCoeffs returns
+const COEFFS = [
+    // savgol_coeffs(7, 2, use='dot')
+    ["savgolCoeffs(7, 2)", () => savgolCoeffs(7, 2), [
+        -0.09523809523809523, 0.14285714285714296, 0.285714285714286, 0.3333333333333336, 0.285714285714286,
+        0.142857142857143, -0.09523809523809529
+    ]],
+    // savgol_coeffs(9, 3, deriv=1, delta=0.004, use='dot')
+    ["savgolCoeffs(9, 3, 1, 0.004)", () => savgolCoeffs(9, 3, 1, 0.004), [
+        18.09764309764308, -29.882154882154865, -40.6144781144781, -26.51515151515152, -5.329070518200751e-15,
+        26.515151515151505, 40.61447811447811, 29.882154882154875, -18.097643097643108
+    ]],
+    // savgol_coeffs(11, 4, deriv=2, use='dot')
+    ["savgolCoeffs(11, 4, 2)", () => savgolCoeffs(11, 4, 2), [
+        -0.052447552447552545, 0.1013986013986013, 0.0850815850815851, 0.0005827505827508526,
+        -0.07925407925407871, -0.11072261072261015, -0.07925407925407885, 0.0005827505827508301,
+        0.08508158508158503, 0.10139860139860123, -0.05244755244755239
+    ]],
+    // savgol_coeffs(7, 3, pos=1, use='dot')
+    ["savgolCoeffs(7, 3, 0, 1, 1)", () => savgolCoeffs(7, 3, 0, 1, 1), [
+        0.1904761904761939, 0.4523809523809581, 0.38095238095238493, 0.1428571428571444, -0.09523809523809591,
+        -0.1666666666666682, 0.09523809523809616
+    ]]
+];
+
+COEFFS.forEach(([name, coeffs, expected]) => {
+    test(`${name} matches scipy.signal.savgol_coeffs`, () => {
+        assertClose(coeffs(), expected, 1e-9, name);
+    });
+});
+
+// [mode, smoothed samples, first-derivative samples]; the edges show each mode's extension
+const MODES = [
+    // savgol_filter(x, 11, 3, mode='interp') and with deriv=1, delta=1 / 250
+    ['interp', {
+            0: 0.49934521387175335, 1: 0.49628384657390406, 2: 0.48189902536963286, 3: 0.46495383572249877,
+            10: 0.7365910154371043, 50: 0.2532559025623057, 100: 0.2618442622647104,
+            150: 0.24841351584707105, 200: 0.22063562556786614, 250: 0.18791784378441861,
+            296: -0.28477512894819224, 297: -0.2606382583694425, 298: -0.30325383778324455,
+            299: -0.4362619823966558
+        },
+        {
+            0: 1.3803470358036587, 1: -2.5459021237466817, 2: -4.2813799174072855, 3: -3.826086345178154,
+            10: 45.90269481693772, 50: 15.120509380955621, 100: 21.897834923744178, 150: 26.922935771005214,
+            200: 29.588024907411857, 250: 29.570759235576098, 296: 12.408264293168283,
+            297: -1.3248338040875163, 298: -20.967960703107643, 299: -46.521116403892094
+        }],
+    // savgol_filter(x, 11, 3, mode='mirror') and with deriv=1, delta=1 / 250
+    ['mirror', {
+            0: 0.37324690006892625, 1: 0.4735206263786392, 2: 0.591205531122357, 3: 0.5177486589853235,
+            10: 0.7365910154371043, 50: 0.2532559025623057, 100: 0.2618442622647104,
+            150: 0.24841351584707105, 200: 0.22063562556786614, 250: 0.18791784378441861,
+            296: -0.3887554968974979, 297: -0.4019646424555431, 298: -0.2562494953557037,
+            299: -0.1508079027858852
+        },
+        {
+            0: 6.217248937900877e-15, 1: -2.7877340770147896, 2: -2.40682411374312, 3: -1.7104075781919699,
+            10: 45.90269481693772, 50: 15.120509380955621, 100: 21.897834923744178, 150: 26.922935771005214,
+            200: 29.588024907411857, 250: 29.570759235576098, 296: -2.6352683376993546,
+            297: 20.314733103212074, 298: 31.307692235753404, 299: 1.7763568394002505e-15
+        }],
+    // savgol_filter(x, 11, 3, mode='nearest') and with deriv=1, delta=1 / 250
+    ['nearest', {
+            0: 0.3855035016997984, 1: 0.42654242801541326, 2: 0.5117195237646057, 3: 0.5042301986615894,
+            10: 0.7365910154371043, 50: 0.2532559025623057, 100: 0.2618442622647104,
+            150: 0.24841351584707105, 200: 0.22063562556786614, 250: 0.18791784378441861,
+            296: -0.3395254339485727, 297: -0.39592875291571283, 298: -0.37328915440146276,
+            299: -0.3199408086286578
+        },
+        {
+            0: -12.613913968178142, 1: -0.9774903298835991, 2: 14.464041562533943, 3: 5.397484988443664,
+            10: 45.90269481693772, 50: 15.120509380955621, 100: 21.897834923744178, 150: 26.922935771005214,
+            200: 29.588024907411857, 250: 29.570759235576098, 296: 4.918250645499882,
+            297: 14.125123003794696, 298: 2.8161523569570335, 299: -24.016777841676223
+        }],
+    // savgol_filter(x, 11, 3, mode='constant') and with deriv=1, delta=1 / 250
+    ['constant', {
+            0: 0.2278829479323998, 1: 0.3468049714036704, 2: 0.49595746838786586, 3: 0.5292640513187645,
+            10: 0.7365910154371043, 50: 0.2532559025623057, 100: 0.2618442622647104,
+            150: 0.24841351584707105, 200: 0.22063562556786614, 250: 0.18791784378441861,
+            296: -0.37030629709712426, 297: -0.37654820945181, 298: -0.27524640511348375,
+            299: -0.12613537398962943
+        },
+        {
+            0: 12.980109774689844, 1: 18.89892509004934, 2: 24.624386082344177, 3: 5.281587522438229,
+            10: 45.90269481693772, 50: 15.120509380955621, 100: 21.897834923744178, 150: 26.922935771005214,
+            200: 29.588024907411857, 250: 29.570759235576098, 296: 4.775746649441773,
+            297: 26.617973324888915, 298: 27.255587680922705, 299: 7.452854621156141
+        }],
+    // savgol_filter(x, 11, 3, mode='wrap') and with deriv=1, delta=1 / 250
+    ['wrap', {
+            0: 0.15111717233913052, 1: 0.242726332575861, 2: 0.42734686197503785, 3: 0.5522068410348537,
+            10: 0.7365910154371043, 50: 0.2532559025623057, 100: 0.2618442622647104,
+            150: 0.24841351584707105, 200: 0.22063562556786614, 250: 0.18791784378441861,
+            296: -0.4329059043571586, 297: -0.3472676937513359, 298: -0.11602294114398967,
+            299: 0.07846337814099509
+        },
+        {
+            0: 15.958202358725842, 1: 37.14875031459762, 2: 44.67075538663761, 3: 6.499860163960377,
+            10: 45.90269481693772, 50: 15.120509380955621, 100: 21.897834923744178, 150: 26.922935771005214,
+            200: 29.588024907411857, 250: 29.570759235576098, 296: -1.8619832128933673,
+            297: 43.88621041133478, 298: 64.00286877713273, 299: 34.85712211115533
+        }]
+];
+
+MODES.forEach(([mode, smoothed, derivative]) => {
+    test(`savgolFilter with ${mode} edges matches scipy.signal.savgol_filter`, () => {
+        assertClose(savgolFilter(testSignal(), 11, 3, { mode }), smoothed, 1e-9, mode);
+        const slope = savgolFilter(testSignal(), 11, 3, { deriv: 1, delta: 1 / 250, mode });
+        assertClose(slope, derivative, 1e-9, `${mode} derivative`);
+    });
+});
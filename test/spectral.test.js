@@ -0,0 +1,48 @@
+// spectral.test.js - Welch PSD against stored scipy.signal.welch outputs (scipy 1.17)
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, testSignal } from './helpers.js';
+import { welch } from '../public/js/spectral.js';
+
+// [options, bin count, bin spacing (Hz), selected PSD bins]
+const CASES = [
+    // welch(x, 250, nperseg=128)
+    [{ nperseg: 128 }, 65, 1.953125,
+        {
+            0: 0.004396428539040392, 1: 0.001144612860674686, 2: 0.11237603710980663,
+            16: 6.799336228396324e-09, 32: 0.00384391622298497, 48: 1.0949846799387542e-10,
+            63: 4.208269894420153e-12, 64: 2.058585155344833e-12
+        }],
+    // welch(x, 250, 'hamming', nperseg=100, noverlap=75, detrend='linear')
+    [{ nperseg: 100, noverlap: 75, window: 'hamming', detrend: 'linear' }, 51, 2.5,
+        {
+            0: 9.948670314766144e-06, 1: 0.06841657335443319, 2: 0.15329887111287632,
+            12: 1.6066278814949589e-06, 25: 0.0066721234449301494, 38: 2.8596175318037064e-07,
+            49: 2.4831059174427557e-07, 50: 1.2403551746381556e-07
+        }],
+    // welch(x, 250, nperseg=64, average='median')
+    [{ nperseg: 64, average: 'median' }, 33, 3.90625,
+        {
+            0: 0.02896765905137513, 1: 0.12500042743097295, 2: 0.056615525152308825,
+            8: 1.2555861517484555e-07, 16: 0.016318810448507286, 24: 5.757049537368844e-09,
+            31: 1.8192766132938216e-10, 32: 8.229260234823018e-11
+        }],
+    // welch(x, 250, 'blackman', nperseg=128, detrend=False, scaling='spectrum')
+    [{ nperseg: 128, window: 'blackman', detrend: 'none', scaling: 'spectrum' }, 65, 1.953125,
+        {
+            0: 0.018168630542644875, 1: 0.03206129996365666, 2: 0.3542845591176311,
+            16: 3.275513639063037e-09, 32: 0.02195925164569122, 48: 5.692302994154578e-11,
+            63: 2.2415776016064745e-12, 64: 1.0966470774921656e-12
+        }]
+];
+
+CASES.forEach(([options, bins, spacing, expected]) => {
+    test(`welch ${JSON.stringify(options)} matches scipy.signal.welch`, () => {
+        const { frequencies, psd } = welch(testSignal(), 250, options);
+        assert.equal(psd.length, bins);
+        assertClose([frequencies[1]], [spacing], 1e-12);
+        assertClose(psd, expected, 1e-9);
+    });
+});
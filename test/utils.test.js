@@ -0,0 +1,14 @@
+// utils.test.js - CSV rows for exported channel names
+// Run with: node --test --experimental-default-type=module test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { csvRow } from '../public/js/utils.js';
+
+test('plain names are written as they are', () => {
+    assert.equal(csvRow(['time', 'Fp1', 'ch_2']), 'time,Fp1,ch_2');
+});
+
+test('names with commas, quotes or edge spaces are quoted', () => {
+    assert.equal(csvRow(['EEG Fp1,REF', 'say "hi"', ' pad']), '"EEG Fp1,REF","say ""hi"""," pad"');
+});